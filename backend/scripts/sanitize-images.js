@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// One-off migration: run every stored item image through the SVG sanitizer.
+//
+//   node scripts/sanitize-images.js            # rewrite items whose img changes
+//   node scripts/sanitize-images.js --dry-run  # only report what would change
+//
+// Uses the same STORAGE_DRIVER / DATA_PATH / SQLITE_PATH settings as the server.
+// Images that contain nothing usable after sanitizing are removed.
+const { loadConfig } = require('../src/config');
+const { createRepository } = require('../src/storage');
+const { sanitizeSvg } = require('../src/utils/sanitizeSvg');
+const { createLogger } = require('../src/utils/log');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const config = loadConfig();
+  const repository = createRepository(config.storage, { logger: createLogger(config.log) });
+
+  try {
+    // Trashed items too, so they don't come back unsanitized when restored.
+    const items = [...await repository.list(), ...await repository.trash()];
+    const operations = [];
+
+    for (const item of items) {
+      if (item.img === undefined) continue;
+      const img = sanitizeSvg(item.img);
+      if (img === item.img) continue;
+
+      const { id, version, deletedAt, img: _previous, ...fields } = item;
+      if (img) fields.img = img;
+      operations.push({ type: 'replace', id, fields, includeDeleted: Boolean(deletedAt) });
+      console.log(`item ${id}: ${img ? 'sanitized image' : 'removed unusable image'}`);
+    }
+
+    if (!operations.length) {
+      console.log(`All ${items.length} images are already clean.`);
+    } else if (dryRun) {
+      console.log(`${operations.length} of ${items.length} items would change (dry run, nothing written).`);
+    } else {
+      await repository.bulkWrite(operations, { actor: 'migrate:sanitize-images' });
+      console.log(`Updated ${operations.length} of ${items.length} items.`);
+    }
+  } finally {
+    if (repository.close) repository.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+const { DEFAULT_DATA_PATH } = require('../storage');
+
+describe('loadConfig', () => {
+  test('uses defaults for unset and blank variables', () => {
+    const config = loadConfig({ PORT: ' ', NODE_ENV: 'production' });
+    expect(config).toMatchObject({
+      env: 'production',
+      port: 3001,
+      corsOrigins: ['http://localhost:3000'],
+      storage: { driver: 'json', dataPath: DEFAULT_DATA_PATH },
+      limits: { body: '100kb', importBody: '10mb' },
+      log: { level: 'info', format: 'json' },
+      auth: { apiKeys: '', tokenTtl: 3600, publicReads: true },
+      rateLimit: { enabled: true, rules: {} },
+      retention: { days: 30 },
+      events: { heartbeatMs: 15000, retryMs: 2000, bufferSize: 1000 },
+    });
+  });
+
+  test('quiets logs and rate limits under test', () => {
+    const config = loadConfig({ NODE_ENV: 'test' });
+    expect(config.log.level).toBe('silent');
+    expect(config.rateLimit.enabled).toBe(false);
+  });
+
+  test('parses every setting', () => {
+    const config = loadConfig({
+      PORT: '8080',
+      CORS_ORIGINS: 'https://app.example.com, http://localhost:5173',
+      STORAGE_DRIVER: 'sqlite',
+      DATA_PATH: 'fixtures/items.json',
+      BODY_LIMIT: '1mb',
+      LOG_LEVEL: 'debug',
+      LOG_FORMAT: 'pretty',
+      API_KEYS: 'ci:secret:admin',
+      AUTH_TOKEN_TTL: '60',
+      AUTH_PUBLIC_READS: 'false',
+      RATE_LIMIT_ENABLED: 'true',
+      RATE_LIMIT_WRITE: '10/5',
+      TRASH_RETENTION_DAYS: '0.5',
+      SSE_HEARTBEAT_MS: '500',
+    });
+    expect(config).toMatchObject({
+      port: 8080,
+      corsOrigins: ['https://app.example.com', 'http://localhost:5173'],
+      storage: { driver: 'sqlite', dataPath: path.resolve('fixtures/items.json') },
+      limits: { body: '1mb' },
+      log: { level: 'debug', format: 'pretty' },
+      auth: { apiKeys: 'ci:secret:admin', tokenTtl: 60, publicReads: false },
+      rateLimit: { enabled: true, rules: { write: { capacity: 10, windowSeconds: 5 } } },
+      retention: { days: 0.5 },
+      events: { heartbeatMs: 500 },
+    });
+  });
+
+  test('reports every invalid variable at once', () => {
+    let error;
+    try {
+      loadConfig({
+        PORT: '70000',
+        CORS_ORIGINS: 'localhost:3000',
+        STORAGE_DRIVER: 'postgres',
+        BODY_LIMIT: 'huge',
+        LOG_LEVEL: 'loud',
+        API_KEYS: 'bot:key',
+        AUTH_PUBLIC_READS: 'maybe',
+        RATE_LIMIT_WRITE: 'lots',
+        TRASH_RETENTION_DAYS: '-1',
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems.map(problem => problem.split(':')[0])).toEqual([
+      'RATE_LIMIT_WRITE',
+      'PORT',
+      'CORS_ORIGINS',
+      'STORAGE_DRIVER',
+      'BODY_LIMIT',
+      'LOG_LEVEL',
+      'API_KEYS',
+      'AUTH_PUBLIC_READS',
+      'TRASH_RETENTION_DAYS',
+    ]);
+    expect(error.message).toMatch(/^Invalid configuration:\n {2}- RATE_LIMIT_WRITE: expected capacity\/windowSeconds/);
+  });
+
+  test('accepts * as the CORS origin', () => {
+    expect(loadConfig({ CORS_ORIGINS: '*' }).corsOrigins).toEqual(['*']);
+  });
+});
@@ -0,0 +1,148 @@
+// Runtime configuration, read from the environment once at startup.
+//
+// Every setting is parsed and checked here, and all problems are reported
+// together in one ConfigError, so a typo in a deployment stops the server
+// before it listens instead of surfacing on the first request that needs
+// the value. Modules receive plain values from the object built here and
+// don't read process.env themselves.
+const path = require('path');
+const { LEVELS, FORMATS: LOG_FORMATS } = require('./utils/log');
+const { parseApiKeys, DEFAULT_TOKEN_TTL } = require('./middleware/auth');
+const { parseRule, DEFAULT_RULES } = require('./rateLimit');
+const { DRIVERS, DEFAULT_DATA_PATH, DEFAULT_SQLITE_PATH } = require('./storage');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers for raw environment values; each throws with what was expected.
+
+function integer(min, max = Infinity) {
+  return value => {
+    const number = Number(value);
+    if (!/^\d+$/.test(value) || number < min || number > max) {
+      throw new Error(max === Infinity ? `expected an integer of at least ${min}` : `expected an integer from ${min} to ${max}`);
+    }
+    return number;
+  };
+}
+
+function positiveNumber(value) {
+  const number = Number(value);
+  if (!(number > 0) || !Number.isFinite(number)) throw new Error('expected a positive number');
+  return number;
+}
+
+function boolean(value) {
+  if (['true', '1'].includes(value.toLowerCase())) return true;
+  if (['false', '0'].includes(value.toLowerCase())) return false;
+  throw new Error('expected true or false');
+}
+
+function oneOf(choices) {
+  return value => {
+    if (!choices.includes(value)) throw new Error(`expected ${choices.join(', ')}`);
+    return value;
+  };
+}
+
+// Body size as body-parser understands it, e.g. 100kb or 10mb.
+function size(value) {
+  if (!/^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(value)) throw new Error('expected a size such as 100kb or 10mb');
+  return value;
+}
+
+// Comma-separated origins such as https://app.example.com, or * for any.
+function origins(value) {
+  const list = value.split(',').map(origin => origin.trim()).filter(Boolean);
+  for (const origin of list) {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch (err) {
+      url = null;
+    }
+    if (origin !== '*' && (!url || url.origin !== origin)) {
+      throw new Error(`"${origin}" is not an origin (scheme://host[:port], no path)`);
+    }
+  }
+  if (!list.length) throw new Error('expected at least one origin');
+  return list;
+}
+
+function filePath(value) {
+  return path.resolve(value);
+}
+
+/**
+ * Build the configuration from `env` (defaults to process.env).
+ * Unset or blank variables take their defaults. Throws a ConfigError
+ * listing every invalid variable.
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const read = (name, parse, fallback) => {
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+    try {
+      return parse(raw.trim());
+    } catch (err) {
+      problems.push(`${name}: ${err.message}`);
+      return fallback;
+    }
+  };
+
+  const nodeEnv = env.NODE_ENV || 'development';
+  const rateLimitRules = {};
+  for (const name of Object.keys(DEFAULT_RULES)) {
+    const rule = read(`RATE_LIMIT_${name.toUpperCase()}`, parseRule);
+    if (rule) rateLimitRules[name] = rule;
+  }
+
+  const config = {
+    env: nodeEnv,
+    port: read('PORT', integer(1, 65535), 3001),
+    // Browser origins allowed to call the API (the frontend)
+    corsOrigins: read('CORS_ORIGINS', origins, ['http://localhost:3000']),
+    storage: {
+      driver: read('STORAGE_DRIVER', oneOf(DRIVERS), 'json'),
+      dataPath: read('DATA_PATH', filePath, DEFAULT_DATA_PATH),
+      sqlitePath: read('SQLITE_PATH', filePath, DEFAULT_SQLITE_PATH),
+    },
+    limits: {
+      body: read('BODY_LIMIT', size, '100kb'),
+      importBody: read('IMPORT_BODY_LIMIT', size, '10mb'),
+    },
+    log: {
+      level: read('LOG_LEVEL', oneOf(Object.keys(LEVELS)), nodeEnv === 'test' ? 'silent' : 'info'),
+      format: read('LOG_FORMAT', oneOf(LOG_FORMATS), 'json'),
+    },
+    auth: {
+      apiKeys: read('API_KEYS', value => (parseApiKeys(value), value), ''),
+      tokenSecret: read('AUTH_TOKEN_SECRET', String, undefined),
+      tokenTtl: read('AUTH_TOKEN_TTL', integer(1), DEFAULT_TOKEN_TTL),
+      publicReads: read('AUTH_PUBLIC_READS', boolean, true),
+    },
+    rateLimit: {
+      enabled: read('RATE_LIMIT_ENABLED', boolean, nodeEnv !== 'test'),
+      rules: rateLimitRules,
+    },
+    retention: {
+      days: read('TRASH_RETENTION_DAYS', positiveNumber, 30),
+    },
+    events: {
+      heartbeatMs: read('SSE_HEARTBEAT_MS', integer(1), 15000),
+      retryMs: read('SSE_RETRY_MS', integer(1), 2000),
+      bufferSize: read('SSE_BUFFER_SIZE', integer(1), 1000),
+    },
+  };
+
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+}
+
+module.exports = { loadConfig, ConfigError };
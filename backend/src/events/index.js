@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Change types clients are told about. Purges only affect items that are
+// already out of the catalog, so they aren't published.
+const PUBLISHED = ['created', 'updated', 'deleted', 'restored'];
+
+/**
+ * Numbered feed of catalog changes for one repository, with the most recent
+ * `bufferSize` events kept so reconnecting clients can catch up.
+ *
+ * Event ids look like `<streamId>-<seq>`. The stream id is random per
+ * process, so ids handed out before a restart are recognised as unknown and
+ * answered with a reset instead of silently skipping events.
+ *
+ * Emits `event` with `{ id, seq, type, item? }`; an edit made outside the
+ * app (type 'reloaded') becomes a 'reset' telling clients to refetch.
+ */
+class EventLog extends EventEmitter {
+  constructor(repository, { bufferSize = 1000 } = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per connected client
+    this.streamId = crypto.randomBytes(4).toString('hex');
+    this.seq = 0;
+    this.buffer = [];
+    this.bufferSize = bufferSize;
+    repository.on('change', ({ type, item }) => {
+      if (type === 'reloaded') this.publish({ type: 'reset' });
+      else if (PUBLISHED.includes(type)) this.publish({ type, item });
+    });
+  }
+
+  get lastId() {
+    return `${this.streamId}-${this.seq}`;
+  }
+
+  publish(event) {
+    this.seq += 1;
+    const entry = { id: this.lastId, seq: this.seq, ...event };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.emit('event', entry);
+  }
+
+  /**
+   * Events after `lastId`, or null when they can't be replayed: the id is
+   * malformed, from another process, or older than the buffer.
+   */
+  since(lastId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(lastId);
+    if (!match || match[1] !== this.streamId) return null;
+    const seq = Number(match[2]);
+    if (seq > this.seq) return null;
+    const oldest = this.buffer.length ? this.buffer[0].seq : this.seq + 1;
+    if (seq < oldest - 1) return null;
+    return this.buffer.filter(event => event.seq > seq);
+  }
+}
+
+const logs = new WeakMap();
+
+// The event log for `repository`, created on first use.
+function eventLogFor(repository, options) {
+  let log = logs.get(repository);
+  if (!log) {
+    log = new EventLog(repository, options);
+    logs.set(repository, log);
+  }
+  return log;
+}
+
+/**
+ * Settings for GET /api/events, shared via `app.locals.events`:
+ * heartbeatMs between heartbeat events, the reconnect delay suggested to
+ * clients in retryMs, and bufferSize, the number of events kept for
+ * resuming.
+ */
+function createEventsConfig({ heartbeatMs = 15000, retryMs = 2000, bufferSize = 1000 } = {}) {
+  return { heartbeatMs, retryMs, bufferSize };
+}
+
+module.exports = { eventLogFor, createEventsConfig, EventLog };
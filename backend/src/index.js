@@ -1,22 +1,88 @@
 const express = require('express');
 const path = require('path');
-const morgan = require('morgan');
 const itemsRouter = require('./routes/items');
 const statsRouter = require('./routes/stats');
+const authRouter = require('./routes/auth');
+const eventsRouter = require('./routes/events');
+const docsRouter = require('./routes/docs');
+const healthRouter = require('./routes/health');
+const metricsRouter = require('./routes/metrics');
 const cors = require('cors');
+const { createRepository } = require('./storage');
+const { createRetentionPolicy, schedulePurge } = require('./storage/retention');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
+const {
+  createAuthConfig, authenticate, authenticateQueryToken, authorizeByMethod,
+} = require('./middleware/auth');
+const { requestId, requestLogger } = require('./middleware/logger');
+const { rateLimit, limitFailedAuth } = require('./middleware/rateLimit');
+const { validateRequest, validateResponse } = require('./middleware/openapi');
+const { collectMetrics } = require('./middleware/metrics');
+const { createRateLimitConfig } = require('./rateLimit');
+const { createEventsConfig } = require('./events');
+const { createMetrics, instrumentRepository } = require('./metrics');
+const { createLogger } = require('./utils/log');
+const { loadConfig } = require('./config');
 
+// Validated settings from the environment; throws on bad values (see src/config)
+const config = loadConfig();
 const app = express();
-const port = process.env.PORT || 3001;
 
-app.use(cors({ origin: 'http://localhost:3000' }));
-// Basic middleware
-app.use(express.json());
-app.use(morgan('dev'));
+// Settings read per request, e.g. the import size limit
+app.locals.config = config;
+// Structured logger (see utils/log)
+app.locals.logger = createLogger(config.log);
+// Request and data-store metrics served at /metrics (see src/metrics)
+app.locals.metrics = createMetrics();
+// Storage adapter shared by all routers (see src/storage), with timed operations
+app.locals.repository = instrumentRepository(
+  createRepository(config.storage, { logger: app.locals.logger }),
+  app.locals.metrics
+);
+// How long deleted items stay in the trash
+app.locals.retention = createRetentionPolicy(config.retention);
+// API keys, token secret and public-read policy (see middleware/auth)
+app.locals.auth = createAuthConfig(config.auth);
+// Token-bucket rules and store (see src/rateLimit)
+app.locals.rateLimit = createRateLimitConfig(config.rateLimit);
+// Live update stream settings (see src/events)
+app.locals.events = createEventsConfig(config.events);
 
-// Routes
-app.use('/api/items', itemsRouter);
-app.use('/api/stats', statsRouter);
+// Correlate, log and measure every request, including ones rejected below
+app.use(requestId);
+app.use(requestLogger);
+app.use(collectMetrics);
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+  exposedHeaders: [
+    'ETag', 'Link', 'X-Request-Id', 'Retry-After',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy',
+  ],
+}));
+// Basic middleware; larger bodies get 413 (bulk import has its own limit)
+app.use(express.json({ limit: config.limits.body }));
+
+// Health checks and metrics for the supervisor, outside /api so they need
+// no credentials and never hit a rate limit
+app.use(healthRouter);
+app.use(metricsRouter);
+
+// Under test every JSON response is checked against the API description
+// (src/openapi), so routes and spec can't drift apart unnoticed
+if (app.get('env') === 'test') app.use('/api', validateResponse);
+
+// Routes; requests are validated against the API description once authorized.
+// Failed authentications count against the rate limits too.
+app.use('/api', authenticate, limitFailedAuth('default'), rateLimit('default'));
+app.use('/api/auth/token', limitFailedAuth('token'));
+app.use('/api', docsRouter);
+app.use('/api/auth', validateRequest, authRouter);
+app.use('/api/items', authorizeByMethod, rateLimit('write'), validateRequest, itemsRouter);
+app.use('/api/stats', authorizeByMethod, validateRequest, statsRouter);
+app.use(
+  '/api/events',
+  authenticateQueryToken, limitFailedAuth('default'), authorizeByMethod, validateRequest, eventsRouter
+);
 
 // Not Found
 app.use('*', notFound);
@@ -25,7 +91,8 @@ app.use('*', notFound);
 app.use(errorHandler);
 
 if (require.main === module) {
-	app.listen(port, () => console.log('Backend running on http://localhost:' + port));
+	schedulePurge(app.locals.repository, app.locals.retention, { logger: app.locals.logger });
+	app.listen(config.port, () => app.locals.logger.info('Backend running', { url: 'http://localhost:' + config.port }));
 }
 
 module.exports = app;
\ No newline at end of file
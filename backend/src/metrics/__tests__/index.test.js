@@ -0,0 +1,85 @@
+const { createMetrics, instrumentRepository, Registry } = require('..');
+const SqliteRepository = require('../../storage/sqliteRepository');
+
+describe('Registry', () => {
+  test('renders counters and gauges with escaped labels', () => {
+    const registry = new Registry();
+    const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run.', labelNames: ['queue'] });
+    const gauge = registry.gauge({ name: 'queue_depth', help: 'Waiting jobs.' });
+    counter.inc({ queue: 'say "hi"\\now' });
+    counter.inc({ queue: 'say "hi"\\now' }, 2);
+    gauge.set({}, 7);
+    expect(registry.render()).toBe([
+      '# HELP jobs_total Jobs run.',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="say \\"hi\\"\\\\now"} 3',
+      '',
+      '# HELP queue_depth Waiting jobs.',
+      '# TYPE queue_depth gauge',
+      'queue_depth 7',
+      '',
+    ].join('\n'));
+  });
+
+  test('renders cumulative histogram buckets', () => {
+    const registry = new Registry();
+    const histogram = registry.histogram({ name: 'wait_seconds', help: 'Wait.', labelNames: ['op'], buckets: [1, 0.1] });
+    histogram.observe({ op: 'a' }, 0.05);
+    histogram.observe({ op: 'a' }, 0.5);
+    histogram.observe({ op: 'a' }, 3);
+    expect(registry.render()).toContain([
+      'wait_seconds_bucket{op="a",le="0.1"} 1',
+      'wait_seconds_bucket{op="a",le="1"} 2',
+      'wait_seconds_bucket{op="a",le="+Inf"} 3',
+      'wait_seconds_sum{op="a"} 3.55',
+      'wait_seconds_count{op="a"} 3',
+    ].join('\n'));
+  });
+
+  test('ignores labels it was not told about', () => {
+    const registry = new Registry();
+    const counter = registry.counter({ name: 'hits_total', help: 'Hits.', labelNames: ['route'] });
+    counter.inc({ route: '/a', path: '/a?x=1' });
+    counter.inc({ route: '/a', path: '/a?x=2' });
+    expect(registry.render()).toContain('hits_total{route="/a"} 2');
+  });
+
+  test('refuses duplicate names', () => {
+    const registry = new Registry();
+    registry.gauge({ name: 'up', help: 'Up.' });
+    expect(() => registry.counter({ name: 'up', help: 'Up.' })).toThrow('already registered');
+  });
+});
+
+describe('instrumentRepository', () => {
+  let repo;
+  let metrics;
+
+  beforeEach(() => {
+    metrics = createMetrics();
+    repo = instrumentRepository(new SqliteRepository({ filename: ':memory:' }), metrics);
+  });
+
+  afterEach(() => {
+    repo.close();
+  });
+
+  test('times operations by name and outcome', async () => {
+    await repo.create({ name: 'Lamp', category: 'Home', price: 12 });
+    await repo.list();
+    await repo.list();
+    await expect(repo.update(1, { price: 10 }, { ifVersion: [5] })).rejects.toThrow();
+
+    const text = metrics.registry.render();
+    expect(text).toContain('datastore_operation_duration_seconds_count{operation="create",outcome="success"} 1');
+    expect(text).toContain('datastore_operation_duration_seconds_count{operation="list",outcome="success"} 2');
+    expect(text).toContain('datastore_operation_duration_seconds_count{operation="update",outcome="error"} 1');
+  });
+
+  test('keeps the repository an event emitter', async () => {
+    const changes = [];
+    repo.on('change', change => changes.push(change.type));
+    await repo.create({ name: 'Lamp', category: 'Home', price: 12 });
+    expect(changes).toEqual(['created']);
+  });
+});
@@ -0,0 +1,222 @@
+// Process-local metrics rendered in the Prometheus text exposition format.
+//
+// Only what the app records is implemented: counters, gauges and
+// histograms with labels, no external client library. Values live in
+// memory and reset when the process restarts, which Prometheus expects.
+
+// Seconds; request latencies and the much faster data-store operations.
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const STORE_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// Repository methods timed by instrumentRepository (see src/storage).
+const STORE_OPERATIONS = [
+  'list', 'trash', 'get', 'history', 'create', 'replace', 'update',
+  'remove', 'restore', 'purge', 'bulkWrite', 'check',
+];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * One named metric and its series, one per distinct label set. Labels not
+ * in `labelNames` are ignored so callers can't explode cardinality by
+ * accident.
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series for `labels`, created with `init()` on first use.
+  seriesFor(labels, init) {
+    const picked = {};
+    for (const name of this.labelNames) picked[name] = labels[name] === undefined ? '' : labels[name];
+    const key = JSON.stringify(picked);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: picked, ...init() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) lines.push(...this.renderSeries(series));
+    return lines.join('\n');
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Buckets are cumulative, ending with le="+Inf" equal to the count.
+  renderSeries({ labels, counts, sum, count }) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n\n')}\n`;
+  }
+}
+
+/**
+ * The app's metrics: HTTP traffic recorded by middleware/metrics, data-store
+ * timings recorded by instrumentRepository, and the item count, which
+ * GET /metrics refreshes before rendering.
+ */
+function createMetrics() {
+  const registry = new Registry();
+  return {
+    registry,
+    requests: registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route pattern and status.',
+      labelNames: ['method', 'route', 'status'],
+    }),
+    duration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time from receiving a request until its response finished, in seconds.',
+      labelNames: ['method', 'route'],
+      buckets: HTTP_BUCKETS,
+    }),
+    errors: registry.counter({
+      name: 'http_request_errors_total',
+      help: 'Requests that ended in an error response, by problem code.',
+      labelNames: ['method', 'route', 'code'],
+    }),
+    items: registry.gauge({
+      name: 'catalog_items',
+      help: 'Items in the catalog, by state (active or trashed).',
+      labelNames: ['state'],
+    }),
+    storeDuration: registry.histogram({
+      name: 'datastore_operation_duration_seconds',
+      help: 'Time taken by repository operations, in seconds.',
+      labelNames: ['operation', 'outcome'],
+      buckets: STORE_BUCKETS,
+    }),
+  };
+}
+
+/**
+ * Time every repository operation into `metrics.storeDuration`, labelled
+ * with the method name and whether it succeeded. Wraps the methods on the
+ * instance itself, so event listeners and other callers keep working with
+ * the same object. Returns the repository.
+ */
+function instrumentRepository(repository, metrics) {
+  for (const operation of STORE_OPERATIONS) {
+    const method = repository[operation];
+    if (typeof method !== 'function') continue;
+    repository[operation] = async function timed(...args) {
+      const start = process.hrtime.bigint();
+      let outcome = 'error';
+      try {
+        const result = await method.apply(this, args);
+        outcome = 'success';
+        return result;
+      } finally {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metrics.storeDuration.observe({ operation, outcome }, seconds);
+      }
+    };
+  }
+  return repository;
+}
+
+module.exports = { createMetrics, instrumentRepository, Registry, HTTP_BUCKETS, STORE_BUCKETS };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../index');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const JsonRepository = require('../../storage/jsonRepository');
+const { createAuthConfig } = require('../../middleware/auth');
+
+const ADMIN_KEY = 'test-admin-key';
+let repo;
+
+function api() {
+  return request.agent(app).set('X-API-Key', ADMIN_KEY);
+}
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin` });
+});
+
+afterEach(() => {
+  repo.close();
+  app.set('env', 'test');
+});
+
+describe('problem details', () => {
+  test('are sent as application/problem+json with the request id', async () => {
+    const res = await api().get('/api/items/999').set('X-Request-Id', 'abc-123').expect(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: 'urn:items-api:problem:not_found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Item not found',
+      code: 'not_found',
+      instance: '/api/items/999',
+      requestId: 'abc-123',
+    });
+  });
+
+  test('tell a missing route apart from a missing resource', async () => {
+    const res = await api().get('/api/nope').expect(404);
+    expect(res.body.code).toBe('route_not_found');
+  });
+
+  test('list per-field validation messages', async () => {
+    const res = await api().post('/api/items').send({ name: '', price: 'x' }).expect(400);
+    expect(res.body).toMatchObject({
+      code: 'validation_failed',
+      errors: { name: 'must not be empty', category: 'is required', price: 'must be a number' },
+    });
+  });
+
+  test('distinguish invalid query parameters', async () => {
+    const res = await api().get('/api/items?limit=0').expect(400);
+    expect(res.body.code).toBe('invalid_query');
+    expect(res.body.errors).toHaveProperty('limit');
+  });
+
+  test('report malformed JSON bodies as 400', async () => {
+    const res = await api()
+      .post('/api/items')
+      .set('Content-Type', 'application/json')
+      .send('{"name": ')
+      .expect(400);
+    expect(res.body).toMatchObject({ code: 'malformed_body', detail: 'Request body is not valid JSON' });
+  });
+});
+
+describe('server errors', () => {
+  beforeEach(() => {
+    repo.list = () => {
+      throw new Error('SQLITE_IOERR: disk I/O error at /var/lib/items.db');
+    };
+  });
+
+  test('hide internal messages outside development', async () => {
+    const res = await api().get('/api/items').expect(500);
+    expect(res.body).toMatchObject({
+      code: 'internal_error',
+      title: 'Internal Server Error',
+      detail: 'An unexpected error occurred',
+    });
+    expect(JSON.stringify(res.body)).not.toMatch(/items\.db/);
+  });
+
+  test('show them in development', async () => {
+    app.set('env', 'development');
+    const res = await api().get('/api/items').expect(500);
+    expect(res.body.detail).toMatch(/disk I\/O error/);
+  });
+});
+
+describe('corrupt data file', () => {
+  let dir;
+  let jsonRepo;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'items-'));
+  });
+
+  afterEach(() => {
+    if (jsonRepo) jsonRepo.close();
+    jsonRepo = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['invalid JSON', '[{"id": 1,'],
+    ['a non-array document', '{"id": 1}'],
+  ])('%s surfaces as a data_corrupt problem', async (_, contents) => {
+    const filePath = path.join(dir, 'items.json');
+    fs.writeFileSync(filePath, contents);
+    jsonRepo = new JsonRepository({ filePath });
+    app.locals.repository = jsonRepo;
+
+    const res = await api().get('/api/items').expect(500);
+    expect(res.body).toMatchObject({
+      code: 'data_corrupt',
+      title: 'Stored Data Is Unreadable',
+      detail: 'An unexpected error occurred',
+    });
+  });
+});
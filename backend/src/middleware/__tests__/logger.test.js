@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../../index');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const { createAuthConfig } = require('../../middleware/auth');
+const { createLogger } = require('../../utils/log');
+
+let repo;
+let lines;
+
+function records() {
+  return lines.join('').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({ apiKeys: 'tests:test-admin-key:admin' });
+  lines = [];
+  app.locals.logger = createLogger({ level: 'info', format: 'json', stream: { write: line => lines.push(line) } });
+});
+
+afterEach(() => {
+  repo.close();
+});
+
+describe('request ids', () => {
+  test('generates an id and echoes it in the response', async () => {
+    const res = await request(app).get('/api/items').expect(200);
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('reuses a sane incoming X-Request-Id', async () => {
+    const res = await request(app).get('/api/items').set('X-Request-Id', 'ui-42.abc').expect(200);
+    expect(res.headers['x-request-id']).toBe('ui-42.abc');
+  });
+
+  test('replaces ids that are not header/log safe', async () => {
+    const res = await request(app).get('/api/items').set('X-Request-Id', 'a b"c').expect(200);
+    expect(res.headers['x-request-id']).not.toBe('a b"c');
+  });
+
+  test('error bodies carry the request id', async () => {
+    const res = await request(app).get('/api/items/999').set('X-Request-Id', 'trace-me').expect(404);
+    expect(res.body).toHaveProperty('requestId', 'trace-me');
+  });
+});
+
+describe('access log', () => {
+  test('writes one JSON record per request with the route pattern', async () => {
+    await request(app).get('/api/items/1').set('X-Request-Id', 'r1').expect(200);
+    const [record] = records();
+    expect(record).toMatchObject({
+      level: 'info',
+      msg: 'request',
+      requestId: 'r1',
+      method: 'GET',
+      route: '/api/items/:id',
+      path: '/api/items/1',
+      status: 200,
+    });
+    expect(record.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(record.responseSize).toBeGreaterThan(0);
+    expect(new Date(record.time).toISOString()).toBe(record.time);
+  });
+
+  test('client errors are logged as warnings with the error and full route', async () => {
+    await request(app).get('/api/items/999').expect(404);
+    const [record] = records();
+    expect(record).toMatchObject({
+      level: 'warn',
+      route: '/api/items/:id',
+      status: 404,
+      error: { message: 'Item not found', status: 404, code: 'not_found' },
+    });
+    expect(record.error.stack).toBeUndefined();
+  });
+
+  test('server errors are logged with a stack trace', async () => {
+    repo.get = () => {
+      throw new Error('disk on fire');
+    };
+    await request(app).get('/api/items/1').expect(500);
+    const [record] = records();
+    expect(record.level).toBe('error');
+    expect(record.error.message).toBe('disk on fire');
+    expect(record.error.stack).toMatch(/disk on fire/);
+  });
+
+  test('unmatched routes are logged without a route', async () => {
+    await request(app).get('/api/nope').expect(404);
+    const [record] = records();
+    expect(record.route).toBeUndefined();
+    expect(record.path).toBe('/api/nope');
+  });
+
+  test('keeps query-string tokens out of the log', async () => {
+    await request(app).get('/api/nope?access_token=secret&x=1').expect(404);
+    expect(records()[0].path).toBe('/api/nope?access_token=[redacted]&x=1');
+  });
+
+  test('counts streamed response bytes', async () => {
+    const res = await request(app).get('/api/items/export?format=ndjson').expect(200);
+    expect(records()[0].responseSize).toBe(Buffer.byteLength(res.text));
+  });
+});
+
+describe('createLogger', () => {
+  const capture = options => {
+    const out = [];
+    return { out, logger: createLogger({ ...options, stream: { write: line => out.push(line) } }) };
+  };
+
+  test('drops records below the configured level', () => {
+    const { out, logger } = capture({ level: 'warn' });
+    logger.info('skipped');
+    logger.warn('kept');
+    logger.error('kept too');
+    expect(out).toHaveLength(2);
+  });
+
+  test('silent writes nothing', () => {
+    const { out, logger } = capture({ level: 'silent' });
+    logger.error('nope');
+    expect(out).toHaveLength(0);
+  });
+
+  test('pretty format is a single readable line', () => {
+    const { out, logger } = capture({ level: 'info', format: 'pretty' });
+    logger.info('request', { method: 'GET', status: 200, skipped: undefined });
+    expect(out[0]).toMatch(/^\S+ INFO  request method=GET status=200\n$/);
+  });
+
+  test('rejects unknown levels and formats', () => {
+    expect(() => createLogger({ level: 'loud' })).toThrow(/LOG_LEVEL/);
+    expect(() => createLogger({ format: 'xml' })).toThrow(/LOG_FORMAT/);
+  });
+});
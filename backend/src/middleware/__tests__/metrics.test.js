@@ -0,0 +1,70 @@
+const request = require('supertest');
+const app = require('../../index');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const { createAuthConfig } = require('../auth');
+
+const ADMIN_KEY = 'test-admin-key';
+let repo;
+
+async function scrape() {
+  const res = await request(app).get('/metrics').expect(200);
+  expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0.0.4/);
+  return res.text;
+}
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([
+    { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+    { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  ]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin` });
+  app.locals.metrics.registry.reset();
+});
+
+afterEach(() => {
+  repo.close();
+});
+
+describe('GET /metrics', () => {
+  test('counts requests per route pattern and status', async () => {
+    await request(app).get('/api/items/1').expect(200);
+    await request(app).get('/api/items/2').expect(200);
+    await request(app).get('/api/items/99').expect(404);
+
+    const text = await scrape();
+    expect(text).toContain('http_requests_total{method="GET",route="/api/items/:id",status="200"} 2');
+    expect(text).toContain('http_requests_total{method="GET",route="/api/items/:id",status="404"} 1');
+    expect(text).toContain('http_request_duration_seconds_count{method="GET",route="/api/items/:id"} 3');
+    expect(text).toMatch(/http_request_duration_seconds_bucket\{method="GET",route="\/api\/items\/:id",le="\+Inf"\} 3/);
+  });
+
+  test('counts errors by problem code', async () => {
+    await request(app).get('/api/items/99').expect(404);
+    await request(app).post('/api/items').send({}).expect(401);
+
+    const text = await scrape();
+    expect(text).toContain('http_request_errors_total{method="GET",route="/api/items/:id",code="not_found"} 1');
+    // Rejected before the route matched, labelled from the API description
+    expect(text).toContain('http_request_errors_total{method="POST",route="/api/items",code="unauthorized"} 1');
+  });
+
+  test('labels unknown paths as unmatched', async () => {
+    await request(app).get('/api/nope/123').expect(404);
+    expect(await scrape()).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+  });
+
+  test('reports the item count', async () => {
+    await request(app).delete('/api/items/2').set('X-API-Key', ADMIN_KEY).expect(204);
+    const text = await scrape();
+    expect(text).toContain('catalog_items{state="active"} 1');
+    expect(text).toContain('catalog_items{state="trashed"} 1');
+  });
+
+  test('needs no credentials', async () => {
+    app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin`, publicReads: false });
+    await scrape();
+    await request(app).get('/healthz').expect(200);
+  });
+});
@@ -0,0 +1,128 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../../index');
+const itemsRouter = require('../../routes/items');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const { createAuthConfig } = require('../../middleware/auth');
+const { validateResponse } = require('../openapi');
+const { errorHandler } = require('../errorHandler');
+const { requestId } = require('../logger');
+
+const ADMIN_KEY = 'test-admin-key';
+let repo;
+
+function api() {
+  return request.agent(app).set('X-API-Key', ADMIN_KEY);
+}
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin` });
+});
+
+afterEach(() => {
+  repo.close();
+});
+
+describe('API description', () => {
+  test('is served as OpenAPI 3.1', async () => {
+    const res = await request(app).get('/api/openapi.json').expect(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths['/api/items/{id}']).toHaveProperty('patch');
+  });
+
+  test('describes every item route', async () => {
+    const { body } = await request(app).get('/api/openapi.json').expect(200);
+    const routes = itemsRouter.stack.filter(layer => layer.route).flatMap(layer =>
+      Object.keys(layer.route.methods).map(method => {
+        const path = `/api/items${layer.route.path}`.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '');
+        return `${method} ${path}`;
+      })
+    );
+    const described = Object.entries(body.paths).flatMap(([path, methods]) =>
+      Object.keys(methods).map(method => `${method} ${path}`)
+    );
+    expect(described).toEqual(expect.arrayContaining(routes));
+  });
+
+  test('has a browsable reference without external assets', async () => {
+    const res = await request(app).get('/api/docs').expect(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.text).toContain('openapi.json');
+    expect(res.text).not.toMatch(/<(script|link)[^>]+(src|href)="https?:/);
+  });
+});
+
+describe('request validation', () => {
+  test('rejects query parameters of the wrong type', async () => {
+    const res = await api().get('/api/items?limit=abc&sort=colour').expect(400);
+    expect(res.body.code).toBe('invalid_query');
+    expect(res.body.errors).toEqual({
+      limit: 'must be an integer between 1 and 100',
+      sort: 'must be one of id, name, price',
+    });
+  });
+
+  test('rejects malformed path parameters', async () => {
+    const res = await api().get('/api/items/abc').expect(400);
+    expect(res.body.code).toBe('bad_request');
+    expect(res.body.errors).toEqual({ id: 'must be a positive integer' });
+  });
+
+  test('rejects bodies that do not match the schema', async () => {
+    const res = await api().patch('/api/items/1').send({}).expect(400);
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.errors).toEqual({ body: 'must contain at least one field' });
+  });
+
+  test('reports missing required parameters', async () => {
+    const res = await api().get('/api/items/search').expect(400);
+    expect(res.body.errors).toEqual({ q: 'is required' });
+  });
+
+  test('runs after authorization', async () => {
+    await request(app).post('/api/items').send({ price: 'free' }).expect(401);
+  });
+
+  test('leaves undescribed routes to the 404 handler', async () => {
+    const res = await api().get('/api/nope?limit=abc').expect(404);
+    expect(res.body.code).toBe('route_not_found');
+  });
+});
+
+describe('response validation', () => {
+  // A stand-in for a route that has drifted from the description.
+  function driftingApp(handler) {
+    const drifting = express();
+    drifting.use(requestId);
+    drifting.use('/api', validateResponse);
+    drifting.get('/api/items/:id', handler);
+    drifting.use(errorHandler);
+    return drifting;
+  }
+
+  test('fails responses that do not match the description', async () => {
+    const drifting = driftingApp((req, res) => res.json({ id: 1, name: 'Lamp', price: '12', colour: 'red' }));
+    const res = await request(drifting).get('/api/items/1').expect(500);
+    expect(res.body.code).toBe('response_invalid');
+    expect(res.body.detail).toContain('GET /api/items/{id}');
+    expect(res.body.detail).toContain('price must be a number');
+    expect(res.body.detail).toContain('colour is not allowed');
+    expect(res.body.detail).toContain('category is required');
+  });
+
+  test('fails undocumented statuses', async () => {
+    const drifting = driftingApp((req, res) => res.status(202).json({}));
+    const res = await request(drifting).get('/api/items/1').expect(500);
+    expect(res.body.detail).toContain('status 202 is not documented');
+  });
+
+  test('passes responses that match', async () => {
+    const item = { id: 1, name: 'Lamp', category: 'Home', price: 12, version: 1 };
+    const drifting = driftingApp((req, res) => res.json(item));
+    const res = await request(drifting).get('/api/items/1').expect(200);
+    expect(res.body).toEqual(item);
+  });
+});
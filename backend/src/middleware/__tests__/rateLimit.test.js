@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../../index');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const { createAuthConfig } = require('../../middleware/auth');
+const { createRateLimitConfig } = require('../../rateLimit');
+
+const newItem = { name: 'Desk Lamp', category: 'Home', price: 25 };
+let repo;
+
+function limit(rules) {
+  app.locals.rateLimit = createRateLimitConfig({ enabled: true, rules });
+}
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({ apiKeys: 'a:key-a:admin, b:key-b:admin' });
+  limit({ default: { capacity: 2, windowSeconds: 60 } });
+});
+
+afterEach(() => {
+  repo.close();
+  app.locals.rateLimit = createRateLimitConfig({ enabled: false });
+});
+
+describe('rate limiting', () => {
+  test('sends RateLimit headers on allowed requests', async () => {
+    const res = await request(app).get('/api/items').expect(200);
+    expect(res.headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-policy': '2;w=60',
+    });
+    expect(Number(res.headers['ratelimit-reset'])).toBeGreaterThan(0);
+  });
+
+  test('rejects with 429, Retry-After and a problem body once exhausted', async () => {
+    await request(app).get('/api/items').expect(200);
+    await request(app).get('/api/stats').expect(200);
+    const res = await request(app).get('/api/items').expect(429);
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(res.body).toMatchObject({ code: 'rate_limited', status: 429, retryAfter: 30 });
+  });
+
+  test('limits authenticated callers per identity', async () => {
+    for (let i = 0; i < 2; i++) await request(app).get('/api/items').set('X-API-Key', 'key-a').expect(200);
+    await request(app).get('/api/items').set('X-API-Key', 'key-a').expect(429);
+    await request(app).get('/api/items').set('X-API-Key', 'key-b').expect(200);
+    await request(app).get('/api/items').expect(200);
+  });
+
+  test('counts failed authentications, so guessing keys and tokens is limited', async () => {
+    limit({ default: { capacity: 3, windowSeconds: 60 }, token: { capacity: 2, windowSeconds: 60 } });
+    const guess = () => request(app).post('/api/auth/token').set('X-API-Key', 'wrong');
+    await guess().expect(401);
+    await guess().expect(401);
+    const res = await guess().expect(429);
+    expect(res.headers['ratelimit-policy']).toBe('2;w=60');
+
+    await request(app).get('/api/items').set('Authorization', 'Bearer forged').expect(429);
+    await request(app).get('/api/events?access_token=forged').expect(429);
+  });
+
+  test('applies per-route rules only to their methods', async () => {
+    limit({ write: { capacity: 1, windowSeconds: 60 } });
+    await request(app).post('/api/items').set('X-API-Key', 'key-a').send(newItem).expect(201);
+    const res = await request(app).post('/api/items').set('X-API-Key', 'key-a').send(newItem).expect(429);
+    expect(res.headers['ratelimit-policy']).toBe('1;w=60');
+    await request(app).get('/api/items').set('X-API-Key', 'key-a').expect(200);
+  });
+
+  test('can be disabled', async () => {
+    app.locals.rateLimit = createRateLimitConfig({ enabled: false, rules: { default: { capacity: 1 } } });
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app).get('/api/items').expect(200);
+      expect(res.headers).not.toHaveProperty('ratelimit-limit');
+    }
+  });
+});
+
+describe('createRateLimitConfig', () => {
+  test('merges partial rule overrides', () => {
+    const { rules } = createRateLimitConfig({
+      rules: { import: { capacity: 1 }, write: { capacity: 10, windowSeconds: 5 } },
+    });
+    expect(rules.import).toMatchObject({ capacity: 1, windowSeconds: 60 });
+    expect(rules.write).toMatchObject({ capacity: 10, windowSeconds: 5, refillPerSecond: 2 });
+    expect(rules.write.methods).toContain('POST');
+  });
+});
+
+describe('body size', () => {
+  test('rejects oversized JSON bodies with 413', async () => {
+    const res = await request(app)
+      .post('/api/items')
+      .set('X-API-Key', 'key-a')
+      .send({ ...newItem, name: 'x'.repeat(200 * 1024) })
+      .expect(413);
+    expect(res.body).toMatchObject({ code: 'payload_too_large', limit: 100 * 1024 });
+  });
+
+  test('caps page size', async () => {
+    const res = await request(app).get('/api/items?limit=100000').expect(400);
+    expect(res.body.errors).toHaveProperty('limit');
+  });
+});
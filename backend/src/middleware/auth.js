@@ -0,0 +1,152 @@
+// Authentication (API keys and signed bearer tokens) and role checks.
+//
+// Scripts authenticate with `X-API-Key: <key>`; the UI sends
+// `Authorization: Bearer <token>` with a token from POST /api/auth/token,
+// or `?access_token=<token>` where it can't set headers (the event stream).
+// Roles are ordered viewer < editor < admin and each grants the ones below it.
+const crypto = require('crypto');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { verifyToken } = require('../utils/token');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Minimum role for each method; routes can demand more with requireRole().
+const METHOD_ROLES = {
+  GET: 'viewer',
+  HEAD: 'viewer',
+  POST: 'editor',
+  PUT: 'editor',
+  PATCH: 'editor',
+  DELETE: 'editor',
+};
+
+const DEFAULT_TOKEN_TTL = 60 * 60; // seconds
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Split "name:key:role" entries (comma-separated, as in API_KEYS) into
+// `{ name, key, role }`. Throws on a malformed entry, naming only its
+// name so the key itself doesn't end up in logs.
+function parseApiKeys(value) {
+  return value.split(',').map(e => e.trim()).filter(Boolean).map(entry => {
+    const [name, key, role] = entry.split(':');
+    if (!name || !key || !ROLES.includes(role)) {
+      throw new Error(`entry "${name || entry}": expected name:key:role`);
+    }
+    return { name, key, role };
+  });
+}
+
+/**
+ * Build the auth settings kept on `app.locals.auth` (see src/config for
+ * the environment variables behind each option).
+ *
+ * apiKeys: "name:key:role" entries, comma-separated
+ * tokenSecret: HMAC secret for bearer tokens. Without one a random secret
+ *   is used, so tokens stop working on restart.
+ * tokenTtl: token lifetime in seconds
+ * publicReads: allow GET/HEAD without credentials
+ */
+function createAuthConfig({
+  apiKeys = '',
+  tokenSecret,
+  tokenTtl = DEFAULT_TOKEN_TTL,
+  publicReads = true,
+} = {}) {
+  const keys = new Map();
+  for (const { name, key, role } of parseApiKeys(apiKeys)) {
+    // Keys are looked up by hash so the raw values aren't kept around.
+    keys.set(hashKey(key), { id: name, role });
+  }
+
+  return {
+    apiKeys: keys,
+    tokenSecret: tokenSecret || crypto.randomBytes(32).toString('hex'),
+    tokenTtl,
+    publicReads,
+  };
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function unauthorized(message) {
+  return new UnauthorizedError(message, { headers: { 'WWW-Authenticate': 'Bearer' } });
+}
+
+/**
+ * Identify the caller from an API key or bearer token and set `req.user`
+ * to `{ id, role, via }`. Requests without credentials continue anonymously;
+ * requests with invalid credentials are rejected with 401.
+ */
+function authenticate(req, res, next) {
+  const config = req.app.locals.auth;
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+
+  if (apiKey) {
+    const principal = config.apiKeys.get(hashKey(apiKey));
+    if (!principal) return next(unauthorized('Invalid API key'));
+    req.user = { ...principal, via: 'apiKey' };
+  } else if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    const user = /^bearer$/i.test(scheme) && token && userFromToken(token, config);
+    if (!user) return next(unauthorized('Invalid or expired token'));
+    req.user = user;
+  }
+  next();
+}
+
+/**
+ * Like `authenticate`, for routes that browsers open without custom headers
+ * (EventSource): a bearer token may come as the `access_token` query
+ * parameter instead. Mount after `authenticate`.
+ */
+function authenticateQueryToken(req, res, next) {
+  const token = req.query.access_token;
+  if (req.user || token === undefined) return next();
+  const user = typeof token === 'string' && userFromToken(token, req.app.locals.auth);
+  if (!user) return next(unauthorized('Invalid or expired token'));
+  req.user = user;
+  next();
+}
+
+function userFromToken(token, config) {
+  const claims = verifyToken(token, config.tokenSecret);
+  if (!claims || !ROLES.includes(claims.role)) return null;
+  return { id: claims.sub, role: claims.role, via: 'token' };
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return next(unauthorized('Authentication required'));
+    if (!hasRole(req.user, role)) return next(new ForbiddenError(`Requires ${role} role`));
+    next();
+  };
+}
+
+/**
+ * Enforce METHOD_ROLES. Reads pass without credentials when the
+ * `publicReads` setting is on.
+ */
+function authorizeByMethod(req, res, next) {
+  const role = METHOD_ROLES[req.method];
+  if (!role) return next();
+  if (role === 'viewer' && !req.user && req.app.locals.auth.publicReads) return next();
+  requireRole(role)(req, res, next);
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_TOKEN_TTL,
+  parseApiKeys,
+  createAuthConfig,
+  authenticate,
+  authenticateQueryToken,
+  authorizeByMethod,
+  requireRole,
+  hasRole,
+};
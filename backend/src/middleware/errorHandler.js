@@ -1,13 +1,71 @@
+// Errors are sent as RFC 7807 problem details (application/problem+json):
+//
+//   { type, title, status, detail, code, instance, requestId, errors?, ... }
+//
+// `code` is stable and meant for programs; `detail` is for humans and, for
+// server errors, only revealed in development. Validation failures list
+// per-field messages under `errors`.
+const http = require('http');
+const {
+  AppError,
+  RouteNotFoundError,
+  MalformedBodyError,
+  PayloadTooLargeError,
+} = require('../utils/errors');
+
+const PROBLEM_TYPE_PREFIX = 'urn:items-api:problem:';
+const HIDDEN_DETAIL = 'An unexpected error occurred';
 
 const notFound = (req, res, next) => {
-  const err = new Error('Route Not Found');
-  err.status = 404;
-  next(err);
+  next(new RouteNotFoundError('Route Not Found'));
+}
+
+// Map errors from outside the AppError hierarchy (body-parser, bugs) onto it.
+function normalize(err) {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') {
+    return new MalformedBodyError('Request body is not valid JSON', { cause: err });
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError(`Request body exceeds the ${err.limit} byte limit`, {
+      cause: err,
+      extensions: { limit: err.limit },
+    });
+  }
+  const wrapped = new AppError(err.message, { cause: err });
+  wrapped.stack = err.stack;
+  // http-errors from body-parser carry a status (e.g. 413, 415)
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 600) {
+    const title = http.STATUS_CODES[status] || 'Error';
+    Object.assign(wrapped, { status, title, code: title.toLowerCase().replace(/\W+/g, '_') });
+  }
+  return wrapped;
 }
 
 const errorHandler = (err, req, res, next) => {
-  const status = err.status || 500;
-  res.status(status).json({ error: err.message });
+  const error = normalize(err);
+  // Picked up by the request logger (middleware/logger)
+  res.locals.error = error;
+  // Too late for a problem body (e.g. an export failed mid-stream); let
+  // Express abort the connection.
+  if (res.headersSent) return next(err);
+
+  const body = {
+    type: PROBLEM_TYPE_PREFIX + error.code,
+    title: error.title,
+    status: error.status,
+    detail: error.expose || req.app.get('env') === 'development' ? error.message : HIDDEN_DETAIL,
+    code: error.code,
+    instance: req.originalUrl,
+    requestId: req.id,
+  };
+  if (error.errors) body.errors = error.errors;
+  // Extra members, e.g. currentVersion on 412s
+  Object.assign(body, error.extensions);
+  // e.g. WWW-Authenticate on 401s
+  if (error.headers) res.set(error.headers);
+  res.status(error.status).type('application/problem+json').json(body);
 }
 
-module.exports = { notFound, errorHandler };
\ No newline at end of file
+module.exports = { notFound, errorHandler };
@@ -1,5 +1,86 @@
-// Extra logger middleware stub for candidate to enhance
-module.exports = (req, res, next) => {
-  console.log(req.method, req.originalUrl);
+// Request correlation and structured access logging.
+const crypto = require('crypto');
+
+// Accept caller-supplied ids only if they are short and header/log safe.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id: the incoming X-Request-Id when it looks sane,
+ * otherwise a fresh UUID. Available as `req.id` and echoed in the response.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
   next();
-};
\ No newline at end of file
+}
+
+// Express restores req.baseUrl when a request leaves a router (e.g. via
+// next(err)), so record the full route pattern at the moment a route
+// matches, while the mount path is still accurate.
+function trackRoute(req, res) {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+      res.locals.route = (req.baseUrl + value.path).replace(/\/$/, '') || '/';
+    },
+  });
+}
+
+// Tokens passed in the query string (see middleware/auth) stay out of logs.
+function redactQueryToken(url) {
+  return url.replace(/([?&]access_token=)[^&]*/g, '$1[redacted]');
+}
+
+/**
+ * Log one structured record per request when the response finishes (or the
+ * client goes away first): request id, method, route, status, latency,
+ * response size and, for failed requests, the error that `errorHandler` saw.
+ */
+function requestLogger(req, res, next) {
+  const start = process.hrtime.bigint();
+  let done = false;
+
+  const log = () => {
+    if (done) return;
+    done = true;
+    const logger = req.app.locals.logger;
+    const status = res.headersSent ? res.statusCode : undefined;
+    const err = res.locals.error;
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      route: res.locals.route,
+      path: redactQueryToken(req.originalUrl),
+      status,
+      latencyMs: Number(process.hrtime.bigint() - start) / 1e6,
+      responseSize: Number(res.get('Content-Length')) || res.locals.bytesSent || 0,
+      aborted: res.writableFinished ? undefined : true,
+    };
+    if (err) {
+      fields.error = { message: err.message, status: err.status, code: err.code };
+      if (!err.status || err.status >= 500) fields.error.stack = err.stack;
+    }
+    const level = !status || status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    logger[level]('request', fields);
+  };
+
+  // Count streamed bytes for responses without a Content-Length.
+  const write = res.write;
+  res.locals.bytesSent = 0;
+  res.write = function countedWrite(chunk, ...args) {
+    if (chunk) res.locals.bytesSent += Buffer.byteLength(chunk);
+    return write.call(this, chunk, ...args);
+  };
+
+  trackRoute(req, res);
+  res.on('finish', log);
+  res.on('close', log);
+  next();
+}
+
+module.exports = { requestId, requestLogger };
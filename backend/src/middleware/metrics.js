@@ -0,0 +1,41 @@
+// Per-request metrics (see src/metrics).
+const { findOperation } = require('../openapi');
+
+// Label requests by route pattern, not path, so /api/items/1 and
+// /api/items/2 share a series. `res.locals.route` is set by requestLogger
+// once a route matches; requests rejected before that (401, 429, ...) fall
+// back to the matching path in the API description.
+function routeLabel(req, res) {
+  if (res.locals.route) return res.locals.route;
+  const match = findOperation(req.method, req.originalUrl.split('?')[0]);
+  return match ? match.template.replace(/\{(\w+)\}/g, ':$1') : 'unmatched';
+}
+
+/**
+ * Count each request, time it until the response finishes (or the client
+ * goes away) and count failed requests by the problem code `errorHandler`
+ * saw. Must run after requestLogger.
+ */
+function collectMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  let done = false;
+
+  const record = () => {
+    if (done) return;
+    done = true;
+    const { metrics } = req.app.locals;
+    const method = req.method;
+    const route = routeLabel(req, res);
+    const status = res.headersSent ? res.statusCode : 'aborted';
+    metrics.requests.inc({ method, route, status });
+    metrics.duration.observe({ method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+    const err = res.locals.error;
+    if (err) metrics.errors.inc({ method, route, code: err.code || 'internal_error' });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+}
+
+module.exports = { collectMetrics };
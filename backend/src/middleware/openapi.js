@@ -0,0 +1,121 @@
+// Request and response validation against the OpenAPI description
+// (src/openapi). Requests the description has no operation for pass through
+// untouched and end up at the route, or at the 404 handler.
+const { document, findOperation } = require('../openapi');
+const { validateSchema } = require('../openapi/schema');
+const {
+  BadRequestError,
+  InvalidQueryError,
+  ValidationError,
+  ResponseValidationError,
+} = require('../utils/errors');
+
+const JSON_TYPES = /^application\/(.+\+)?json$/;
+
+// Path segments, query strings and headers are text; convert values to the
+// declared type first so "10" passes as an integer and "abc" doesn't.
+function coerce(schema, value) {
+  if (schema.type === 'array') return [].concat(value).map(v => coerce(schema.items || {}, v));
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && ['true', '1', 'false', '0'].includes(value)) {
+    return value === 'true' || value === '1';
+  }
+  return value;
+}
+
+function rawParameter(req, params, { name, in: location }) {
+  if (location === 'path') return params[name];
+  if (location === 'query') return req.query[name];
+  return req.get(name);
+}
+
+/**
+ * Check path, query and header parameters and the JSON body against the
+ * matched operation. Parameter problems are 400s keyed by parameter name,
+ * body problems 400 validation failures keyed by field, as the routes send.
+ * Bodies of any other type (CSV, NDJSON imports) are left to the route.
+ */
+function validateRequest(req, res, next) {
+  const found = findOperation(req.method, req.baseUrl + req.path);
+  if (!found) return next();
+  const { operation, params } = found;
+
+  const errors = { path: {}, header: {}, query: {} };
+  for (const parameter of operation.parameters) {
+    const raw = rawParameter(req, params, parameter);
+    // An empty value counts as absent unless the parameter is text.
+    if (raw === undefined || (raw === '' && parameter.schema.type !== 'string')) {
+      if (parameter.required) errors[parameter.in][parameter.name] = 'is required';
+      continue;
+    }
+    const invalid = validateSchema(parameter.schema, coerce(parameter.schema, raw), {
+      root: document,
+      path: parameter.name,
+    });
+    Object.assign(errors[parameter.in], invalid);
+  }
+
+  const badParameters = { ...errors.path, ...errors.header };
+  if (Object.keys(badParameters).length) {
+    return next(new BadRequestError('Invalid request parameters', { errors: badParameters }));
+  }
+  if (Object.keys(errors.query).length) {
+    return next(new InvalidQueryError('Invalid query parameters', { errors: errors.query }));
+  }
+
+  const content = operation.requestBody && operation.requestBody.content;
+  const schema = content && content['application/json'] && content['application/json'].schema;
+  // null: no body at all, which the JSON schema must allow.
+  const type = content && req.is(Object.keys(content));
+  if (schema && (type === null || type === 'application/json')) {
+    const invalid = validateSchema(schema, req.body, { root: document, label: 'body' });
+    if (invalid) return next(new ValidationError('Validation failed', { errors: invalid }));
+  }
+  next();
+}
+
+// Why `body` (about to be sent with `status`) doesn't match the operation,
+// or null when it does.
+function responseMismatch(operation, status, contentType, body) {
+  const response = operation.responses[status] || operation.responses.default;
+  if (!response) return `status ${status} is not documented`;
+  const mediaType = contentType.split(';')[0].trim();
+  const media = response.content && response.content[mediaType];
+  if (!media) return `${mediaType} is not documented for status ${status}`;
+  if (!JSON_TYPES.test(mediaType)) return null;
+
+  // Compare what goes over the wire (no undefined members, dates as strings).
+  const sent = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+  const invalid = validateSchema(media.schema, sent, { root: document, label: 'body' });
+  if (!invalid) return null;
+  return Object.entries(invalid).map(([where, message]) => `${where} ${message}`).join('; ');
+}
+
+/**
+ * Test-only: check every JSON response against the operation it answers,
+ * so a route that drifts from the API description fails the supertest
+ * suite with a 500 explaining the difference.
+ */
+function validateResponse(req, res, next) {
+  const found = findOperation(req.method, req.baseUrl + req.path);
+  if (!found || req.method === 'HEAD') return next();
+
+  const json = res.json;
+  res.json = function validatedJson(body) {
+    const mismatch = responseMismatch(
+      found.operation, res.statusCode, res.get('Content-Type') || 'application/json', body
+    );
+    if (mismatch) {
+      throw new ResponseValidationError(
+        `${req.method} ${found.template} response does not match the API description: ${mismatch}`
+      );
+    }
+    return json.call(this, body);
+  };
+  next();
+}
+
+module.exports = { validateRequest, validateResponse };
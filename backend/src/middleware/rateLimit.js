@@ -0,0 +1,61 @@
+// Per-client rate limiting with token buckets (see src/rateLimit).
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Authenticated callers are limited per identity, everyone else per IP.
+function clientKey(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Limit requests under the named rule from `app.locals.rateLimit`.
+ * Sends RateLimit-Limit/-Remaining/-Reset and RateLimit-Policy headers
+ * (IETF draft), reporting the most constrained rule when several apply, and
+ * rejects with 429 and Retry-After once the client's bucket is empty.
+ */
+function rateLimit(name) {
+  return async (req, res, next) => {
+    const { enabled, rules, store } = req.app.locals.rateLimit;
+    const rule = rules[name];
+    if (!enabled || !rule || (rule.methods && !rule.methods.includes(req.method))) return next();
+
+    try {
+      const result = await store.take(`${name}:${clientKey(req)}`, rule);
+      const current = res.get('RateLimit-Remaining');
+      if (current === undefined || result.remaining <= Number(current)) {
+        res.set({
+          'RateLimit-Limit': String(result.limit),
+          'RateLimit-Remaining': String(result.remaining),
+          'RateLimit-Reset': String(result.resetSeconds),
+          'RateLimit-Policy': `${rule.capacity};w=${rule.windowSeconds}`,
+        });
+      }
+      if (!result.allowed) {
+        return next(
+          new TooManyRequestsError(`Rate limit exceeded; retry in ${result.retryAfterSeconds}s`, {
+            headers: { 'Retry-After': String(result.retryAfterSeconds) },
+            extensions: { retryAfter: result.retryAfterSeconds },
+          })
+        );
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Error middleware counting a failed authentication (401) against the
+ * client's bucket under the named rule. Bad credentials are rejected before
+ * any limiter runs, so without this guessing API keys or tokens would never
+ * be limited; once the bucket is empty the answer becomes 429.
+ */
+function limitFailedAuth(name) {
+  const limit = rateLimit(name);
+  return (err, req, res, next) => {
+    if (err.status !== 401) return next(err);
+    limit(req, res, limitErr => next(limitErr || err));
+  };
+}
+
+module.exports = { rateLimit, limitFailedAuth, clientKey };
@@ -0,0 +1,58 @@
+const { validateSchema } = require('../schema');
+
+const root = {
+  components: {
+    schemas: {
+      Point: {
+        type: 'object',
+        required: ['x'],
+        additionalProperties: false,
+        properties: { x: { type: 'number' }, label: { type: ['string', 'null'] } },
+      },
+    },
+  },
+};
+const point = { $ref: '#/components/schemas/Point' };
+
+describe('validateSchema', () => {
+  test('returns null for valid values', () => {
+    expect(validateSchema(point, { x: 1, label: null }, { root })).toBeNull();
+  });
+
+  test('reports every failing location', () => {
+    expect(validateSchema({ type: 'array', items: point }, [{ x: 'a' }, { y: 1 }], { root, path: 'points' }))
+      .toEqual({
+        'points[0].x': 'must be a number',
+        'points[1].y': 'is not allowed',
+        'points[1].x': 'is required',
+      });
+  });
+
+  test('reports the value itself under its label', () => {
+    expect(validateSchema(point, [], { root, label: 'body' })).toEqual({ body: 'must be a JSON object' });
+    expect(validateSchema({ type: ['string', 'null'] }, 1)).toEqual({ value: 'must be a string or null' });
+  });
+
+  test('describes numeric bounds in one phrase', () => {
+    const limit = { type: 'integer', minimum: 1, maximum: 100 };
+    expect(validateSchema(limit, 'abc')).toEqual({ value: 'must be an integer between 1 and 100' });
+    expect(validateSchema(limit, 500)).toEqual({ value: 'must be an integer between 1 and 100' });
+    expect(validateSchema({ type: 'number', exclusiveMinimum: 0 }, -5)).toEqual({ value: 'must be greater than 0' });
+    expect(validateSchema({ type: 'number', minimum: 0 }, -1)).toEqual({ value: 'must be a non-negative number' });
+  });
+
+  test('checks enums, string length and date-times', () => {
+    expect(validateSchema({ enum: ['asc', 'desc'] }, 'up')).toEqual({ value: 'must be one of asc, desc' });
+    expect(validateSchema({ type: 'string', minLength: 1 }, '')).toEqual({ value: 'must not be empty' });
+    expect(validateSchema({ type: 'string', format: 'date-time' }, '2024-13-45')).toEqual({
+      value: 'must be a date-time',
+    });
+    expect(validateSchema({ type: 'string', format: 'date-time' }, '2024-05-01T10:00:00.000Z')).toBeNull();
+  });
+
+  test('requires at least one property when asked', () => {
+    expect(validateSchema({ type: 'object', minProperties: 1 }, {}, { label: 'body' })).toEqual({
+      body: 'must contain at least one field',
+    });
+  });
+});
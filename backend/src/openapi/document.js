@@ -0,0 +1,680 @@
+// OpenAPI 3.1 description of the HTTP API, served at /api/openapi.json.
+//
+// This is the contract: middleware/openapi validates requests against it
+// and, under test, every JSON response too, so a route that drifts from
+// what is written here fails the supertest suite. Keep the two in step.
+const { version } = require('../../package.json');
+const { ROLES } = require('../middleware/auth');
+const { SORT_FIELDS, SORT_ORDERS } = require('../utils/itemFilters');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../utils/pagination');
+const { FORMATS } = require('../utils/itemFormats');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const nullable = type => ({ type: [type, 'null'] });
+
+const ITEM_FIELDS = {
+  name: { type: 'string', minLength: 1, description: 'Surrounding whitespace is trimmed.' },
+  category: { type: 'string', minLength: 1, description: 'Surrounding whitespace is trimmed.' },
+  price: { type: 'number', exclusiveMinimum: 0 },
+  img: { type: 'string', description: 'SVG markup; sanitized before it is stored.' },
+};
+
+const ITEM_PROPERTIES = {
+  id: { type: 'integer', minimum: 1 },
+  ...ITEM_FIELDS,
+  version: { type: 'integer', minimum: 1, description: 'Increments on every write; sent as the ETag.' },
+};
+
+const TRASHED_PROPERTIES = {
+  ...ITEM_PROPERTIES,
+  deletedAt: { type: 'string', format: 'date-time' },
+  purgeAt: { type: 'string', format: 'date-time', description: 'When retention purges the item.' },
+};
+
+const PRICE_SUMMARY = {
+  type: 'object',
+  required: ['min', 'max', 'mean', 'median', 'p90'],
+  additionalProperties: false,
+  properties: {
+    min: nullable('number'),
+    max: nullable('number'),
+    mean: nullable('number'),
+    median: nullable('number'),
+    p90: nullable('number'),
+  },
+};
+
+const REVISION_VALUE = { type: ['string', 'number', 'null'] };
+
+const schemas = {
+  Item: {
+    type: 'object',
+    required: ['id', 'name', 'category', 'price', 'version'],
+    additionalProperties: false,
+    properties: ITEM_PROPERTIES,
+  },
+  ItemInput: {
+    type: 'object',
+    required: ['name', 'category', 'price'],
+    additionalProperties: false,
+    properties: ITEM_FIELDS,
+  },
+  ItemPatch: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: ITEM_FIELDS,
+  },
+  TrashedItem: {
+    type: 'object',
+    required: ['id', 'name', 'category', 'price', 'version', 'deletedAt', 'purgeAt'],
+    additionalProperties: false,
+    properties: TRASHED_PROPERTIES,
+  },
+  ItemPage: {
+    type: 'object',
+    required: ['total', 'limit', 'data', 'nextCursor'],
+    additionalProperties: false,
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      page: { type: 'integer', minimum: 1, description: 'Only in page mode.' },
+      limit: { type: 'integer', minimum: 1 },
+      data: { type: 'array', items: ref('Item') },
+      nextCursor: { ...nullable('string'), description: 'Cursor for the following page, or null.' },
+      prevCursor: { ...nullable('string'), description: 'Only in cursor mode.' },
+    },
+  },
+  SearchPage: {
+    type: 'object',
+    required: ['total', 'page', 'limit', 'data'],
+    additionalProperties: false,
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1 },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'category', 'price', 'version', 'match'],
+          additionalProperties: false,
+          properties: {
+            ...ITEM_PROPERTIES,
+            match: {
+              type: 'object',
+              required: ['score', 'highlights'],
+              additionalProperties: false,
+              properties: {
+                score: { type: 'number' },
+                highlights: {
+                  type: 'object',
+                  description: 'Matched [start, end) character ranges per field.',
+                  additionalProperties: {
+                    type: 'array',
+                    items: { type: 'array', items: { type: 'integer', minimum: 0 }, minItems: 2, maxItems: 2 },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  TrashPage: {
+    type: 'object',
+    required: ['total', 'page', 'limit', 'data'],
+    additionalProperties: false,
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1 },
+      data: { type: 'array', items: ref('TrashedItem') },
+    },
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['dryRun', 'summary', 'rows'],
+    additionalProperties: false,
+    properties: {
+      dryRun: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        required: ['created', 'updated', 'rejected'],
+        additionalProperties: false,
+        properties: {
+          created: { type: 'integer', minimum: 0 },
+          updated: { type: 'integer', minimum: 0 },
+          rejected: { type: 'integer', minimum: 0 },
+        },
+      },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['row', 'status'],
+          additionalProperties: false,
+          properties: {
+            row: { type: 'integer', minimum: 1, description: 'Numbered from 1; a CSV header is not counted.' },
+            status: { enum: ['created', 'updated', 'rejected'] },
+            id: { ...nullable('integer'), description: 'null for creates in a dry run.' },
+            errors: ref('FieldErrors'),
+          },
+        },
+      },
+    },
+  },
+  Revision: {
+    type: 'object',
+    required: ['revision', 'itemId', 'action', 'version', 'actor', 'timestamp', 'changes'],
+    additionalProperties: false,
+    properties: {
+      revision: { type: 'integer', minimum: 1 },
+      itemId: { type: 'integer', minimum: 1 },
+      action: { enum: ['created', 'updated', 'deleted', 'restored', 'purged'] },
+      version: { type: 'integer', minimum: 1 },
+      actor: { ...nullable('string'), description: 'Who made the change, if known.' },
+      timestamp: { type: 'string', format: 'date-time' },
+      changes: {
+        type: 'object',
+        description: 'Changed fields; null stands for "absent".',
+        additionalProperties: {
+          type: 'object',
+          required: ['from', 'to'],
+          additionalProperties: false,
+          properties: { from: REVISION_VALUE, to: REVISION_VALUE },
+        },
+      },
+      revertedTo: { type: 'integer', minimum: 1, description: 'Only on reverts.' },
+    },
+  },
+  History: {
+    type: 'object',
+    required: ['itemId', 'revisions'],
+    additionalProperties: false,
+    properties: {
+      itemId: { type: 'integer', minimum: 1 },
+      revisions: { type: 'array', items: ref('Revision') },
+    },
+  },
+  Stats: {
+    type: 'object',
+    required: ['total', 'averagePrice', 'totalValue', 'price', 'categories', 'histogram'],
+    additionalProperties: false,
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      averagePrice: nullable('number'),
+      totalValue: { type: 'number' },
+      price: PRICE_SUMMARY,
+      categories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['category', 'count', 'totalValue', 'price'],
+          additionalProperties: false,
+          properties: {
+            category: { type: 'string' },
+            count: { type: 'integer', minimum: 0 },
+            totalValue: { type: 'number' },
+            price: PRICE_SUMMARY,
+          },
+        },
+      },
+      histogram: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['min', 'max', 'count'],
+          additionalProperties: false,
+          properties: {
+            min: { type: 'number' },
+            max: { type: 'number' },
+            count: { type: 'integer', minimum: 0 },
+          },
+        },
+      },
+    },
+  },
+  Token: {
+    type: 'object',
+    required: ['token', 'tokenType', 'expiresIn', 'role'],
+    additionalProperties: false,
+    properties: {
+      token: { type: 'string' },
+      tokenType: { enum: ['Bearer'] },
+      expiresIn: { type: 'integer', minimum: 1, description: 'Lifetime in seconds.' },
+      role: { enum: ROLES },
+    },
+  },
+  Principal: {
+    type: 'object',
+    required: ['id', 'role', 'via'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string' },
+      role: { enum: ROLES },
+      via: { enum: ['apiKey', 'token'] },
+    },
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'uptime'],
+    additionalProperties: false,
+    properties: {
+      status: { enum: ['ok'] },
+      uptime: { type: 'number', minimum: 0, description: 'Seconds since the process started.' },
+    },
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'checks'],
+    additionalProperties: false,
+    properties: {
+      status: { enum: ['ready', 'unavailable'] },
+      checks: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['status'],
+          additionalProperties: false,
+          properties: {
+            status: { enum: ['up', 'down'] },
+            latencyMs: { type: 'number', minimum: 0 },
+            error: { type: 'string', description: 'Error code of a failing check.' },
+          },
+        },
+      },
+    },
+  },
+  FieldErrors: {
+    type: 'object',
+    description: 'Message per offending field or parameter.',
+    additionalProperties: { type: 'string' },
+  },
+  Problem: {
+    type: 'object',
+    description: 'RFC 7807 problem details. Some problems add members, e.g. currentVersion on 412.',
+    required: ['type', 'title', 'status', 'detail', 'code', 'instance', 'requestId'],
+    properties: {
+      type: { type: 'string' },
+      title: { type: 'string' },
+      status: { type: 'integer', minimum: 400 },
+      detail: { type: 'string' },
+      code: { type: 'string', description: 'Stable, machine-readable error code.' },
+      instance: { type: 'string' },
+      requestId: { type: 'string' },
+      errors: ref('FieldErrors'),
+    },
+  },
+};
+
+const problem = description => ({
+  description,
+  content: { 'application/problem+json': { schema: ref('Problem') } },
+});
+
+const param = (name, location, schema, extra = {}) => ({ name, in: location, schema, ...extra });
+
+const idParam = param('id', 'path', { type: 'integer', minimum: 1 }, { required: true });
+const ifMatch = param('If-Match', 'header', { type: 'string' }, {
+  description: 'ETag(s) the item must still have, or *; otherwise the write fails with 412.',
+});
+const pageParams = [
+  param('page', 'query', { type: 'integer', minimum: 1, default: 1 }),
+  param('limit', 'query', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }),
+];
+const filterParams = [
+  param('category', 'query', { type: 'array', items: { type: 'string' } }, {
+    description: 'Repeatable or comma-separated; matches any.',
+  }),
+  param('minPrice', 'query', { type: 'number', minimum: 0 }),
+  param('maxPrice', 'query', { type: 'number', minimum: 0 }),
+];
+const qParam = param('q', 'query', { type: 'string' }, { description: 'Matches name or category.' });
+const sortParams = [
+  param('sort', 'query', { enum: SORT_FIELDS, default: 'id' }),
+  param('order', 'query', { enum: SORT_ORDERS, default: 'asc' }),
+];
+
+const itemResponse = description => ({
+  description,
+  headers: { ETag: { schema: { type: 'string' }, description: 'The item version, e.g. "3".' } },
+  content: json(ref('Item')),
+});
+const linked = (description, schema) => ({
+  description,
+  headers: { Link: { schema: { type: 'string' }, description: 'RFC 8288 first/prev/next/last links.' } },
+  content: json(schema),
+});
+
+/**
+ * Fill in what every operation shares: the credentials it accepts, the
+ * role it needs, and the problems any request can run into (bad input,
+ * credentials, rate limits, server errors).
+ */
+function operation(method, { role = method === 'get' ? null : 'editor', parameters = [], requestBody, responses, ...rest }) {
+  const common = {};
+  if (parameters.length || requestBody) common[400] = problem('Invalid parameters or body');
+  common[401] = problem('Invalid or missing credentials');
+  if (role) common[403] = problem('The caller lacks the required role');
+  if (requestBody) common[413] = problem('Request body too large');
+  common[429] = problem('Rate limit exceeded; see Retry-After');
+  common[500] = problem('Unexpected server error');
+
+  const description = [rest.description, role && `Requires the ${role} role.`].filter(Boolean).join('\n\n');
+  return {
+    ...rest,
+    ...(description && { description }),
+    security: role ? [{ apiKey: [] }, { bearerToken: [] }] : [{}, { apiKey: [] }, { bearerToken: [] }],
+    parameters,
+    ...(requestBody && { requestBody }),
+    responses: { ...common, ...responses },
+  };
+}
+
+function operations(methods) {
+  const result = {};
+  for (const [method, spec] of Object.entries(methods)) result[method] = operation(method, spec);
+  return result;
+}
+
+const paths = {
+  '/api/items': operations({
+    get: {
+      tags: ['Items'],
+      summary: 'List items',
+      description: 'Filter, sort and page through the catalog by page number or cursor.',
+      parameters: [
+        qParam, ...filterParams, ...sortParams, ...pageParams,
+        param('cursor', 'query', { type: 'string' }, { description: 'nextCursor/prevCursor from an earlier page.' }),
+      ],
+      responses: { 200: linked('A page of items', ref('ItemPage')) },
+    },
+    post: {
+      tags: ['Items'],
+      summary: 'Create an item',
+      requestBody: { required: true, content: json(ref('ItemInput')) },
+      responses: { 201: itemResponse('The created item') },
+    },
+  }),
+  '/api/items/search': operations({
+    get: {
+      tags: ['Items'],
+      summary: 'Search items',
+      description: 'Ranked, typo-tolerant full-text search over name and category.',
+      parameters: [{ ...qParam, required: true }, ...filterParams, ...pageParams],
+      responses: { 200: linked('Matching items, best first', ref('SearchPage')) },
+    },
+  }),
+  '/api/items/export': operations({
+    get: {
+      tags: ['Bulk'],
+      summary: 'Export items',
+      description: 'Streams every item matching the filters, without paging.',
+      parameters: [qParam, ...filterParams, ...sortParams, param('format', 'query', { enum: FORMATS, default: 'json' })],
+      responses: {
+        200: {
+          description: 'The matching items as a download',
+          content: {
+            'application/json': { schema: { type: 'array', items: ref('Item') } },
+            'application/x-ndjson': { schema: { type: 'string' } },
+            'text/csv': { schema: { type: 'string' } },
+          },
+        },
+      },
+    },
+  }),
+  '/api/items/import': operations({
+    post: {
+      tags: ['Bulk'],
+      summary: 'Import items',
+      description: 'Rows with an id replace that item, rows without one create one; version and '
+        + 'deletedAt are ignored, so exports import as they are. Valid rows are applied even when '
+        + 'others are rejected. The format defaults to the Content-Type.',
+      role: 'admin',
+      parameters: [
+        param('format', 'query', { enum: FORMATS }),
+        param('dryRun', 'query', { type: 'boolean', default: false }, { description: 'Validate without writing.' }),
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          // Rows are checked one by one and reported, not rejected up front.
+          'application/json': { schema: { type: 'array', items: {} } },
+          'application/x-ndjson': { schema: { type: 'string' } },
+          'text/csv': { schema: { type: 'string' } },
+          'text/plain': { schema: { type: 'string' }, description: 'CSV or NDJSON, as given by format.' },
+        },
+      },
+      responses: { 200: { description: 'The outcome of every row', content: json(ref('ImportReport')) } },
+    },
+  }),
+  '/api/items/trash': operations({
+    get: {
+      tags: ['Trash'],
+      summary: 'List deleted items',
+      description: 'Most recently deleted first.',
+      parameters: pageParams,
+      responses: { 200: linked('A page of deleted items', ref('TrashPage')) },
+    },
+  }),
+  '/api/items/trash/{id}': operations({
+    delete: {
+      tags: ['Trash'],
+      summary: 'Purge a deleted item now',
+      role: 'admin',
+      parameters: [idParam],
+      responses: {
+        204: { description: 'Purged' },
+        404: problem('No such item in the trash'),
+      },
+    },
+  }),
+  '/api/items/{id}': operations({
+    get: {
+      tags: ['Items'],
+      summary: 'Get an item',
+      parameters: [idParam],
+      responses: {
+        200: itemResponse('The item'),
+        404: problem('No such item'),
+        410: problem('The item is in the trash; includes deletedAt and purgeAt'),
+      },
+    },
+    put: {
+      tags: ['Items'],
+      summary: 'Replace an item',
+      parameters: [idParam, ifMatch],
+      requestBody: { required: true, content: json(ref('ItemInput')) },
+      responses: {
+        200: itemResponse('The updated item'),
+        404: problem('No such item'),
+        410: problem('The item is in the trash'),
+        412: problem('If-Match did not match; includes currentVersion'),
+      },
+    },
+    patch: {
+      tags: ['Items'],
+      summary: 'Update some fields of an item',
+      parameters: [idParam, ifMatch],
+      requestBody: { required: true, content: json(ref('ItemPatch')) },
+      responses: {
+        200: itemResponse('The updated item'),
+        404: problem('No such item'),
+        410: problem('The item is in the trash'),
+        412: problem('If-Match did not match; includes currentVersion'),
+      },
+    },
+    delete: {
+      tags: ['Items'],
+      summary: 'Move an item to the trash',
+      parameters: [idParam, ifMatch],
+      responses: {
+        204: { description: 'Deleted' },
+        404: problem('No such item'),
+        410: problem('The item is already in the trash'),
+        412: problem('If-Match did not match; includes currentVersion'),
+      },
+    },
+  }),
+  '/api/items/{id}/history': operations({
+    get: {
+      tags: ['History'],
+      summary: 'List revisions of an item',
+      description: 'Oldest first. Stays available after the item is deleted.',
+      parameters: [idParam],
+      responses: {
+        200: { description: 'The revisions', content: json(ref('History')) },
+        404: problem('No such item'),
+      },
+    },
+  }),
+  '/api/items/{id}/revert/{revision}': operations({
+    post: {
+      tags: ['History'],
+      summary: 'Revert an item to a revision',
+      description: 'Restores the fields as they were right after the revision, as a new revision.',
+      parameters: [idParam, param('revision', 'path', { type: 'integer', minimum: 1 }, { required: true }), ifMatch],
+      responses: {
+        200: itemResponse('The reverted item'),
+        404: problem('No such item or revision'),
+        410: problem('The item is in the trash'),
+        412: problem('The item changed meanwhile; includes currentVersion'),
+      },
+    },
+  }),
+  '/api/items/{id}/restore': operations({
+    post: {
+      tags: ['Trash'],
+      summary: 'Restore a deleted item',
+      parameters: [idParam, ifMatch],
+      responses: {
+        200: itemResponse('The restored item'),
+        404: problem('No such item in the trash'),
+        412: problem('If-Match did not match; includes currentVersion'),
+      },
+    },
+  }),
+  '/api/stats': operations({
+    get: {
+      tags: ['Stats'],
+      summary: 'Catalog statistics',
+      parameters: [
+        qParam, ...filterParams,
+        param('buckets', 'query', { type: 'integer', minimum: 1, maximum: 100, default: 10 }, {
+          description: 'Price histogram buckets.',
+        }),
+      ],
+      responses: { 200: { description: 'Statistics for the matching items', content: json(ref('Stats')) } },
+    },
+  }),
+  '/api/events': operations({
+    get: {
+      tags: ['Events'],
+      summary: 'Stream catalog changes',
+      description: 'Server-Sent Events: created, updated, deleted and restored carry the item; ready, '
+        + 'reset and heartbeat are control events. Resume with Last-Event-ID.',
+      parameters: [
+        param('Last-Event-ID', 'header', { type: 'string' }),
+        param('lastEventId', 'query', { type: 'string' }, { description: 'For clients that cannot set headers.' }),
+        param('access_token', 'query', { type: 'string' }, {
+          description: 'A bearer token from POST /api/auth/token, for clients that cannot set headers.',
+        }),
+      ],
+      responses: { 200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+    },
+  }),
+  '/api/auth/token': operations({
+    post: {
+      tags: ['Auth'],
+      summary: 'Exchange an API key for a bearer token',
+      role: 'viewer',
+      requestBody: {
+        content: json({
+          type: 'object',
+          additionalProperties: false,
+          properties: { role: { enum: ROLES, description: 'Request fewer rights than the key has.' } },
+        }),
+      },
+      responses: { 201: { description: 'A short-lived token', content: json(ref('Token')) } },
+    },
+  }),
+  '/api/auth/me': operations({
+    get: {
+      tags: ['Auth'],
+      summary: 'Describe the caller',
+      role: 'viewer',
+      responses: { 200: { description: 'The authenticated caller', content: json(ref('Principal')) } },
+    },
+  }),
+  '/api/openapi.json': operations({
+    get: {
+      tags: ['Docs'],
+      summary: 'This document',
+      responses: { 200: { description: 'The OpenAPI description', content: json({ type: 'object' }) } },
+    },
+  }),
+  '/api/docs': operations({
+    get: {
+      tags: ['Docs'],
+      summary: 'Browsable API reference',
+      responses: { 200: { description: 'An HTML page', content: { 'text/html': { schema: { type: 'string' } } } } },
+    },
+  }),
+  // Operational endpoints live outside /api: no credentials, no rate limits.
+  '/healthz': {
+    get: {
+      tags: ['Operations'],
+      summary: 'Liveness',
+      security: [{}],
+      parameters: [],
+      responses: { 200: { description: 'The process is serving requests', content: json(ref('Health')) } },
+    },
+  },
+  '/readyz': {
+    get: {
+      tags: ['Operations'],
+      summary: 'Readiness',
+      description: 'Checks that the data store can be read and parsed.',
+      security: [{}],
+      parameters: [],
+      responses: {
+        200: { description: 'Ready for traffic', content: json(ref('Readiness')) },
+        503: { description: 'A check failed', content: json(ref('Readiness')) },
+      },
+    },
+  },
+  '/metrics': {
+    get: {
+      tags: ['Operations'],
+      summary: 'Prometheus metrics',
+      security: [{}],
+      parameters: [],
+      responses: {
+        200: { description: 'Text exposition format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } },
+        500: problem('Unexpected server error'),
+      },
+    },
+  },
+};
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Items API',
+    version,
+    description: 'Catalog of items with search, bulk import/export, history, trash and live updates. '
+      + 'Errors are RFC 7807 problem details.',
+  },
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearerToken: { type: 'http', scheme: 'bearer', description: 'From POST /api/auth/token.' },
+    },
+  },
+};
+
+module.exports = { document };
@@ -0,0 +1,45 @@
+const { document } = require('./document');
+
+// Path templates as regexes, literal segments first so /api/items/trash
+// wins over /api/items/{id}.
+const routes = Object.keys(document.paths)
+  .map(template => {
+    const names = [];
+    const pattern = template.replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { template, names, regex: new RegExp(`^${pattern}/?$`), literals: template.split('/').length - names.length };
+  })
+  .sort((a, b) => b.literals - a.literals);
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+/**
+ * Find the operation for `method` and `path` (e.g. '/api/items/3').
+ * Returns `{ template, operation, params }` with the raw path parameters,
+ * or null when the API description has no such operation. HEAD requests
+ * are answered by the GET operation.
+ */
+function findOperation(method, path) {
+  const key = method === 'HEAD' ? 'get' : method.toLowerCase();
+  for (const { template, names, regex } of routes) {
+    const match = regex.exec(path);
+    const operation = match && document.paths[template][key];
+    if (!operation) continue;
+    const params = {};
+    names.forEach((name, i) => {
+      params[name] = decode(match[i + 1]);
+    });
+    return { template, operation, params };
+  }
+  return null;
+}
+
+module.exports = { document, findOperation };
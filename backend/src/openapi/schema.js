@@ -0,0 +1,147 @@
+// A small JSON Schema validator covering the subset the API description
+// uses: $ref, type (including type arrays for nullable values), enum,
+// properties/required/additionalProperties/minProperties, items/minItems/
+// maxItems, numeric bounds, string length, pattern and the date-time format.
+// Messages follow the wording of utils/itemSchema, e.g. "must be a number".
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'a JSON object',
+  array: 'an array',
+  null: 'null',
+};
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+// One phrase for every way a bounded number can be wrong, so a client
+// gets the same message for `limit=abc` and `limit=500`.
+function numberMessage(schema, typeFailed) {
+  const integer = [].concat(schema.type).includes('integer');
+  const { minimum, maximum, exclusiveMinimum } = schema;
+  if (integer && minimum !== undefined && maximum !== undefined) {
+    return `must be an integer between ${minimum} and ${maximum}`;
+  }
+  if (integer && minimum === 1) return 'must be a positive integer';
+  if (minimum === 0) return `must be a non-negative ${integer ? 'integer' : 'number'}`;
+  if (typeFailed) return `must be ${integer ? 'an integer' : 'a number'}`;
+  if (exclusiveMinimum !== undefined) return `must be greater than ${exclusiveMinimum}`;
+  if (minimum !== undefined && maximum !== undefined) return `must be between ${minimum} and ${maximum}`;
+  if (minimum !== undefined) return `must be greater than or equal to ${minimum}`;
+  return `must be less than or equal to ${maximum}`;
+}
+
+function typeMessage(schema) {
+  const types = [].concat(schema.type);
+  if (types.length === 1 && (types[0] === 'number' || types[0] === 'integer')) {
+    return numberMessage(schema, true);
+  }
+  return `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`;
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function resolve(schema, root) {
+  while (schema && schema.$ref) {
+    const pointer = schema.$ref.replace(/^#\//, '').split('/');
+    schema = pointer.reduce((node, key) => node && node[key], root);
+    if (!schema) throw new Error(`Unresolvable $ref ${pointer.join('/')}`);
+  }
+  return schema;
+}
+
+function check(schema, value, path, root, errors) {
+  schema = resolve(schema, root);
+  if (!schema) return;
+
+  if (schema.type !== undefined && ![].concat(schema.type).some(type => typeMatches(type, value))) {
+    errors[path] = typeMessage(schema);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors[path] = `must be one of ${schema.enum.map(String).join(', ')}`;
+    return;
+  }
+
+  if (typeof value === 'number') {
+    const tooSmall = (schema.minimum !== undefined && value < schema.minimum)
+      || (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum);
+    const tooLarge = schema.maximum !== undefined && value > schema.maximum;
+    if (tooSmall || tooLarge) errors[path] = numberMessage(schema, false);
+  } else if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors[path] = schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors[path] = `must be at most ${schema.maxLength} characters`;
+    } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors[path] = 'is invalid';
+    } else if (schema.format === 'date-time' && (!DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors[path] = 'must be a date-time';
+    }
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors[path] = `must have at least ${schema.minItems} entries`;
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors[path] = `must have at most ${schema.maxItems} entries`;
+    }
+    if (schema.items) value.forEach((entry, i) => check(schema.items, entry, join(path, i), root, errors));
+  } else if (value !== null && typeof value === 'object') {
+    checkObject(schema, value, path, root, errors);
+  }
+}
+
+function checkObject(schema, value, path, root, errors) {
+  const properties = schema.properties || {};
+  const { additionalProperties = true } = schema;
+
+  for (const key of Object.keys(value)) {
+    if (properties[key]) {
+      check(properties[key], value[key], join(path, key), root, errors);
+    } else if (additionalProperties === false) {
+      errors[join(path, key)] = 'is not allowed';
+    } else if (additionalProperties !== true) {
+      check(additionalProperties, value[key], join(path, key), root, errors);
+    }
+  }
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) errors[join(path, key)] = 'is required';
+  }
+  if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+    errors[path] = 'must contain at least one field';
+  }
+}
+
+/**
+ * Validate `value` against `schema`, resolving `$ref`s within `root` (the
+ * whole API description). Returns null when valid, otherwise an object
+ * mapping each failing location (`price`, `data[0].name`) to a message.
+ * Locations start at `path`; failures of `value` itself are reported under
+ * `label` when there is no path.
+ */
+function validateSchema(schema, value, { root, path = '', label = 'value' } = {}) {
+  const errors = {};
+  check(schema, value, path, root, errors);
+  if (errors['']) {
+    errors[label] = errors[''];
+    delete errors[''];
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,62 @@
+const MemoryStore = require('../memoryStore');
+
+const rule = { capacity: 3, refillPerSecond: 1 };
+
+function storeAt(start = 0) {
+  const clock = { time: start };
+  return { clock, store: new MemoryStore({ now: () => clock.time }) };
+}
+
+describe('MemoryStore', () => {
+  test('allows up to capacity, then rejects with a retry delay', async () => {
+    const { store } = storeAt();
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await store.take('a', rule));
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+    expect(results.map(r => r.remaining)).toEqual([2, 1, 0, 0]);
+    expect(results[3]).toMatchObject({ limit: 3, retryAfterSeconds: 1, resetSeconds: 3 });
+  });
+
+  test('refills continuously over time', async () => {
+    const { clock, store } = storeAt();
+    for (let i = 0; i < 3; i++) await store.take('a', rule);
+    clock.time += 1500;
+    expect(await store.take('a', rule)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await store.take('a', rule)).toMatchObject({ allowed: false });
+    clock.time += 60000;
+    expect(await store.take('a', rule)).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  test('keeps one bucket per key', async () => {
+    const { store } = storeAt();
+    for (let i = 0; i < 3; i++) await store.take('a', rule);
+    expect((await store.take('a', rule)).allowed).toBe(false);
+    expect((await store.take('b', rule)).allowed).toBe(true);
+  });
+
+  test('charges the given cost', async () => {
+    const { store } = storeAt();
+    expect(await store.take('a', { ...rule, cost: 3 })).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await store.take('a', { ...rule, cost: 2 })).toMatchObject({ allowed: false, retryAfterSeconds: 2 });
+  });
+
+  test('forgets refilled buckets first when over maxKeys', async () => {
+    const clock = { time: 0 };
+    const store = new MemoryStore({ maxKeys: 2, now: () => clock.time });
+    await store.take('idle', rule);
+    clock.time += 10000; // 'idle' is full again
+    await store.take('busy', { ...rule, cost: 3 });
+    await store.take('new', rule);
+    expect([...store.buckets.keys()]).toEqual(['busy', 'new']);
+  });
+
+  test('reset clears one key or all of them', async () => {
+    const { store } = storeAt();
+    await store.take('a', rule);
+    await store.take('b', rule);
+    await store.reset('a');
+    expect([...store.buckets.keys()]).toEqual(['b']);
+    await store.reset();
+    expect(store.buckets.size).toBe(0);
+  });
+});
@@ -0,0 +1,46 @@
+const MemoryStore = require('./memoryStore');
+
+// Requests allowed per window for each named rule. `methods` restricts a
+// rule to those HTTP methods.
+const DEFAULT_RULES = {
+  // Every /api request
+  default: { capacity: 300, windowSeconds: 60 },
+  // Item mutations
+  write: { capacity: 60, windowSeconds: 60, methods: ['POST', 'PUT', 'PATCH', 'DELETE'] },
+  // Bulk import
+  import: { capacity: 5, windowSeconds: 60 },
+  // Issuing bearer tokens
+  token: { capacity: 10, windowSeconds: 60 },
+};
+
+// Parse "capacity/windowSeconds", e.g. RATE_LIMIT_WRITE=60/60
+function parseRule(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(value.trim());
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error('expected capacity/windowSeconds, e.g. 60/60');
+  }
+  return { capacity: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+/**
+ * Rate limiting settings, shared by `middleware/rateLimit` via
+ * `app.locals.rateLimit`.
+ *
+ * A store implements the token-bucket interface below, so a shared store
+ * (e.g. Redis) can replace the in-memory default for multi-instance setups:
+ *   take(key, { capacity, refillPerSecond, cost })
+ *     -> { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+ *   reset(key?)  (all keys when omitted)
+ *
+ * `rules` holds partial overrides of DEFAULT_RULES, or extra rules.
+ */
+function createRateLimitConfig({ enabled = true, rules = {}, store = new MemoryStore() } = {}) {
+  const merged = {};
+  for (const name of new Set([...Object.keys(DEFAULT_RULES), ...Object.keys(rules)])) {
+    const rule = { ...DEFAULT_RULES[name], ...rules[name] };
+    merged[name] = { ...rule, refillPerSecond: rule.capacity / rule.windowSeconds };
+  }
+  return { enabled, rules: merged, store };
+}
+
+module.exports = { createRateLimitConfig, parseRule, MemoryStore, DEFAULT_RULES };
@@ -0,0 +1,60 @@
+/**
+ * Token buckets kept in process memory. Fine for a single instance; run
+ * several and each one enforces its own limits.
+ *
+ * A bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerSecond`. Buckets that have refilled completely carry no state,
+ * so they are dropped whenever the map grows past `maxKeys`.
+ */
+class MemoryStore {
+  constructor({ maxKeys = 10000, now = Date.now } = {}) {
+    this.buckets = new Map();
+    this.maxKeys = maxKeys;
+    this.now = now;
+  }
+
+  // Tokens in the bucket at `time`, after refilling since its last update.
+  level(bucket, { capacity, refillPerSecond }, time) {
+    if (!bucket) return capacity;
+    const refilled = ((time - bucket.updatedAt) / 1000) * refillPerSecond;
+    return Math.min(capacity, bucket.tokens + refilled);
+  }
+
+  async take(key, { capacity, refillPerSecond, cost = 1 }) {
+    const time = this.now();
+    const rule = { capacity, refillPerSecond };
+    let tokens = this.level(this.buckets.get(key), rule, time);
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+
+    this.buckets.delete(key); // re-insert to keep the map in LRU order
+    this.buckets.set(key, { tokens, updatedAt: time, rule });
+    if (this.buckets.size > this.maxKeys) this.prune(time);
+
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((capacity - tokens) / refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((cost - tokens) / refillPerSecond),
+    };
+  }
+
+  prune(time) {
+    for (const [key, bucket] of this.buckets) {
+      if (this.level(bucket, bucket.rule, time) >= bucket.rule.capacity) this.buckets.delete(key);
+    }
+    // Still too many active clients: forget the least recently seen.
+    for (const key of this.buckets.keys()) {
+      if (this.buckets.size <= this.maxKeys) break;
+      this.buckets.delete(key);
+    }
+  }
+
+  async reset(key) {
+    if (key === undefined) this.buckets.clear();
+    else this.buckets.delete(key);
+  }
+}
+
+module.exports = MemoryStore;
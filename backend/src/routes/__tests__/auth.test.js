@@ -0,0 +1,123 @@
+const request = require('supertest');
+const app = require('../../index');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const { createAuthConfig } = require('../../middleware/auth');
+const { signToken } = require('../../utils/token');
+
+const SECRET = 'test-secret';
+const newItem = { name: 'Desk Lamp', category: 'Home', price: 25 };
+
+let repo;
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({
+    apiKeys: 'reader:viewer-key:viewer, bot:editor-key:editor, ops:admin-key:admin',
+    tokenSecret: SECRET,
+    tokenTtl: 60,
+    publicReads: true,
+  });
+});
+
+afterEach(() => {
+  repo.close();
+});
+
+describe('API keys', () => {
+  test('mutations without credentials get 401 with a challenge', async () => {
+    const res = await request(app).post('/api/items').send(newItem).expect(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body).toMatchObject({ code: 'unauthorized', detail: 'Authentication required' });
+  });
+
+  test('an unknown key gets 401 even on public reads', async () => {
+    await request(app).get('/api/items').set('X-API-Key', 'nope').expect(401);
+  });
+
+  test('viewers cannot write', async () => {
+    const res = await request(app).post('/api/items').set('X-API-Key', 'viewer-key').send(newItem).expect(403);
+    expect(res.body).toMatchObject({ code: 'forbidden', detail: 'Requires editor role' });
+  });
+
+  test('editors can create, update and delete', async () => {
+    const created = await request(app).post('/api/items').set('X-API-Key', 'editor-key').send(newItem).expect(201);
+    await request(app).patch(`/api/items/${created.body.id}`).set('X-API-Key', 'editor-key').send({ price: 30 }).expect(200);
+    await request(app).delete(`/api/items/${created.body.id}`).set('X-API-Key', 'editor-key').expect(204);
+  });
+
+  test('bulk import is admin only', async () => {
+    await request(app).post('/api/items/import').set('X-API-Key', 'editor-key').send([newItem]).expect(403);
+    await request(app).post('/api/items/import').set('X-API-Key', 'admin-key').send([newItem]).expect(200);
+  });
+});
+
+describe('public reads', () => {
+  test('reads are open by default', async () => {
+    await request(app).get('/api/items').expect(200);
+    await request(app).get('/api/stats').expect(200);
+  });
+
+  test('reads require a viewer when public reads are off', async () => {
+    app.locals.auth.publicReads = false;
+    await request(app).get('/api/items').expect(401);
+    await request(app).get('/api/stats').expect(401);
+    await request(app).get('/api/items/1').set('X-API-Key', 'viewer-key').expect(200);
+  });
+});
+
+describe('bearer tokens', () => {
+  test('an API key can be exchanged for a token that authorizes requests', async () => {
+    const issued = await request(app).post('/api/auth/token').set('X-API-Key', 'editor-key').expect(201);
+    expect(issued.body).toMatchObject({ tokenType: 'Bearer', expiresIn: 60, role: 'editor' });
+
+    const auth = `Bearer ${issued.body.token}`;
+    const me = await request(app).get('/api/auth/me').set('Authorization', auth).expect(200);
+    expect(me.body).toEqual({ id: 'bot', role: 'editor', via: 'token' });
+    await request(app).post('/api/items').set('Authorization', auth).send(newItem).expect(201);
+  });
+
+  test('tokens can be issued with a lower role but not a higher one', async () => {
+    const issued = await request(app)
+      .post('/api/auth/token')
+      .set('X-API-Key', 'admin-key')
+      .send({ role: 'viewer' })
+      .expect(201);
+    await request(app)
+      .post('/api/items')
+      .set('Authorization', `Bearer ${issued.body.token}`)
+      .send(newItem)
+      .expect(403);
+
+    await request(app).post('/api/auth/token').set('X-API-Key', 'editor-key').send({ role: 'admin' }).expect(403);
+    await request(app).post('/api/auth/token').set('X-API-Key', 'editor-key').send({ role: 'root' }).expect(400);
+  });
+
+  test('tokens cannot mint further tokens', async () => {
+    const token = signToken({ sub: 'bot', role: 'admin' }, SECRET, 60);
+    await request(app).post('/api/auth/token').set('Authorization', `Bearer ${token}`).expect(403);
+  });
+
+  test('tampered, foreign and expired tokens are rejected', async () => {
+    const token = signToken({ sub: 'bot', role: 'viewer' }, SECRET, 60);
+    const [header, , signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'bot', role: 'admin', exp: 9999999999 })).toString('base64url');
+
+    for (const bad of [
+      `${header}.${forgedPayload}.${signature}`,
+      signToken({ sub: 'bot', role: 'admin' }, 'other-secret', 60),
+      signToken({ sub: 'bot', role: 'admin' }, SECRET, -1),
+      'not-a-token',
+    ]) {
+      await request(app).post('/api/items').set('Authorization', `Bearer ${bad}`).send(newItem).expect(401);
+    }
+  });
+});
+
+describe('createAuthConfig', () => {
+  test('rejects malformed API_KEYS entries', () => {
+    expect(() => createAuthConfig({ apiKeys: 'bot:key' })).toThrow('expected name:key:role');
+    expect(() => createAuthConfig({ apiKeys: 'bot:key:owner' })).toThrow('expected name:key:role');
+  });
+});
@@ -0,0 +1,225 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const app = require('../../index');
+const SqliteRepository = require('../../storage/sqliteRepository');
+const { createAuthConfig } = require('../../middleware/auth');
+const { createEventsConfig, eventLogFor, EventLog } = require('../../events');
+
+const ADMIN_KEY = 'test-admin-key';
+const api = () => request.agent(app).set('X-API-Key', ADMIN_KEY);
+
+let server;
+let repo;
+let streams;
+
+beforeAll(done => {
+  server = app.listen(0, done);
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+  app.locals.repository = repo;
+  app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin` });
+  app.locals.events = createEventsConfig({ heartbeatMs: 50, retryMs: 1000, bufferSize: 3 });
+  streams = [];
+});
+
+afterEach(() => {
+  for (const stream of streams) stream.close();
+  repo.close();
+});
+
+function parse(block) {
+  const event = {};
+  for (const line of block.split('\n')) {
+    const [, field, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+    if (field === 'data') event.data = JSON.parse(value);
+    else if (field) event[field] = value;
+  }
+  return event;
+}
+
+// Open the stream and collect parsed events as they arrive.
+function open(headers = {}, path = '/api/events') {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    let buffer = '';
+    const req = http.get({ port: server.address().port, path, headers }, res => {
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          events.push(parse(buffer.slice(0, end)));
+          buffer = buffer.slice(end + 2);
+        }
+      });
+      const stream = {
+        res,
+        events,
+        close: () => req.destroy(),
+        // Resolve with the first event matching `predicate` (seen or future).
+        next: async predicate => {
+          for (let i = 0; i < 200; i++) {
+            const found = events.find(predicate);
+            if (found) return found;
+            await new Promise(r => setTimeout(r, 5));
+          }
+          throw new Error('event did not arrive');
+        },
+      };
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+const ofType = type => event => event.event === type;
+
+describe('GET /api/events', () => {
+  test('opens an event stream with a retry hint and a ready event', async () => {
+    const stream = await open();
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stream.res.headers['cache-control']).toMatch(/no-cache/);
+    const ready = await stream.next(ofType('ready'));
+    expect(ready.id).toMatch(/^[0-9a-f]+-0$/);
+    expect(stream.events[0]).toEqual({ retry: '1000' });
+  });
+
+  test('publishes creates, updates, deletes and restores with item data', async () => {
+    const stream = await open();
+    await stream.next(ofType('ready'));
+
+    const created = await api().post('/api/items').send({ name: 'Lamp', category: 'Home', price: 20 }).expect(201);
+    const id = created.body.id;
+    await api().patch(`/api/items/${id}`).send({ price: 25 }).expect(200);
+    await api().delete(`/api/items/${id}`).expect(204);
+    await api().post(`/api/items/${id}/restore`).expect(200);
+
+    await stream.next(ofType('restored'));
+    const changes = stream.events.filter(e => e.id && e.event !== 'ready');
+    expect(changes.map(e => e.event)).toEqual(['created', 'updated', 'deleted', 'restored']);
+    expect(changes[1].data).toMatchObject({ id, price: 25, version: 2 });
+    expect(changes[2].data).toMatchObject({ id, deletedAt: expect.any(String) });
+    const seqs = changes.map(e => Number(e.id.split('-')[1]));
+    expect(seqs).toEqual([1, 2, 3, 4]);
+  });
+
+  test('sends heartbeats', async () => {
+    const stream = await open();
+    const beat = await stream.next(ofType('heartbeat'));
+    expect(beat.id).toBeUndefined();
+    expect(beat.data).toHaveProperty('time');
+  });
+
+  test('replays missed events after Last-Event-ID', async () => {
+    const first = await open();
+    const { id } = await first.next(ofType('ready'));
+    first.close();
+
+    await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+    await api().patch('/api/items/1').send({ price: 2199 }).expect(200);
+
+    const resumed = await open({ 'Last-Event-ID': id });
+    const ready = await resumed.next(ofType('ready'));
+    const replayed = resumed.events.filter(ofType('updated'));
+    expect(replayed.map(e => e.data.price)).toEqual([2299, 2199]);
+    expect(ready.id).toBe(replayed[1].id);
+  });
+
+  test('accepts the last event id as a query parameter', async () => {
+    const first = await open();
+    const { id } = await first.next(ofType('ready'));
+    await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+
+    const resumed = await open({}, `/api/events?lastEventId=${id}`);
+    await resumed.next(ofType('ready'));
+    expect(resumed.events.filter(ofType('updated'))).toHaveLength(1);
+  });
+
+  test('asks clients to refetch when their events are gone', async () => {
+    const first = await open();
+    const { id } = await first.next(ofType('ready'));
+    for (const price of [1, 2, 3, 4]) await api().patch('/api/items/1').send({ price }).expect(200);
+
+    const tooOld = await open({ 'Last-Event-ID': id });
+    const reset = await tooOld.next(ofType('reset'));
+    expect(reset.id).toMatch(/-4$/);
+    expect(tooOld.events.filter(ofType('updated'))).toHaveLength(0);
+
+    const unknown = await open({ 'Last-Event-ID': 'feedbeef-1' });
+    await unknown.next(ofType('reset'));
+  });
+
+  test('accepts a bearer token as a query parameter when reads need credentials', async () => {
+    app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin`, publicReads: false });
+    const { body } = await api().post('/api/auth/token').send({ role: 'viewer' }).expect(201);
+
+    expect((await open()).res.statusCode).toBe(401);
+    expect((await open({}, '/api/events?access_token=nope')).res.statusCode).toBe(401);
+    const stream = await open({}, `/api/events?access_token=${body.token}`);
+    expect(stream.res.statusCode).toBe(200);
+    await stream.next(ofType('ready'));
+  });
+
+  test('drops a client that stops reading once too much is buffered for it', async () => {
+    await new Promise(resolve => {
+      const req = http.get({ port: server.address().port, path: '/api/events' }, res => {
+        res.pause();
+        resolve();
+      });
+      req.on('error', () => {}); // the server hangs up on it
+      streams.push({ close: () => req.destroy() });
+    });
+    const log = eventLogFor(repo);
+    const item = { id: 1, name: 'x'.repeat(64 * 1024), category: 'Electronics', price: 1 };
+    for (let i = 0; i < 2000 && log.listenerCount('event'); i++) {
+      log.publish({ type: 'updated', item });
+      await new Promise(r => setImmediate(r));
+    }
+    expect(log.listenerCount('event')).toBe(0);
+
+    // Heartbeats and later events must not write to the dropped response.
+    await new Promise(r => setTimeout(r, 150));
+    log.publish({ type: 'updated', item: { id: 1, name: 'Laptop', category: 'Electronics', price: 1 } });
+    const stream = await open();
+    await stream.next(ofType('ready'));
+  });
+
+  test('stops listening when the client disconnects', async () => {
+    const stream = await open();
+    await stream.next(ofType('ready'));
+    const log = eventLogFor(repo);
+    expect(log.listenerCount('event')).toBe(1);
+    stream.close();
+    for (let i = 0; i < 100 && log.listenerCount('event'); i++) await new Promise(r => setTimeout(r, 5));
+    expect(log.listenerCount('event')).toBe(0);
+  });
+});
+
+describe('EventLog', () => {
+  test('turns external reloads into resets and skips purges', () => {
+    const source = new EventEmitter();
+    const log = new EventLog(source);
+    const seen = [];
+    log.on('event', event => seen.push(event.type));
+    source.emit('change', { type: 'purged', item: { id: 1 } });
+    source.emit('change', { type: 'reloaded' });
+    expect(seen).toEqual(['reset']);
+  });
+
+  test('since() rejects malformed and future ids', () => {
+    const log = new EventLog(new EventEmitter());
+    expect(log.since('nope')).toBeNull();
+    expect(log.since(`${log.streamId}-5`)).toBeNull();
+    expect(log.since(log.lastId)).toEqual([]);
+  });
+});
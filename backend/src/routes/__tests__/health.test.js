@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../index');
+const JsonRepository = require('../../storage/jsonRepository');
+const SqliteRepository = require('../../storage/sqliteRepository');
+
+let dir;
+let repo;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'items-'));
+});
+
+afterEach(() => {
+  if (repo) repo.close();
+  repo = null;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function useJsonFile(contents) {
+  const filePath = path.join(dir, 'items.json');
+  if (contents !== undefined) fs.writeFileSync(filePath, contents);
+  repo = new JsonRepository({ filePath });
+  app.locals.repository = repo;
+  return filePath;
+}
+
+describe('GET /healthz', () => {
+  test('reports the process as alive without touching storage', async () => {
+    useJsonFile(); // missing file
+    const res = await request(app).get('/healthz').expect(200);
+    expect(res.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+  });
+});
+
+describe('GET /readyz', () => {
+  test('is ready when the SQLite database answers', async () => {
+    repo = new SqliteRepository({ filename: ':memory:' });
+    app.locals.repository = repo;
+    const res = await request(app).get('/readyz').expect(200);
+    expect(res.body).toEqual({
+      status: 'ready',
+      checks: { datastore: { status: 'up', latencyMs: expect.any(Number) } },
+    });
+  });
+
+  test('is ready when the JSON file parses', async () => {
+    useJsonFile('[{"id": 1, "name": "Lamp", "category": "Home", "price": 12}]');
+    await request(app).get('/readyz').expect(200);
+  });
+
+  test.each([
+    ['missing', undefined, 'ENOENT'],
+    ['not valid JSON', '[{"id": 1,', 'data_corrupt'],
+    ['not an array', '{"id": 1}', 'data_corrupt'],
+  ])('is unavailable when the JSON file is %s', async (_, contents, error) => {
+    useJsonFile(contents);
+    const res = await request(app).get('/readyz').expect(503);
+    expect(res.body).toEqual({ status: 'unavailable', checks: { datastore: { status: 'down', error } } });
+  });
+
+  test('re-reads the file instead of trusting the cache', async () => {
+    const filePath = useJsonFile('[]');
+    await repo.list();
+    fs.writeFileSync(filePath, 'oops');
+    await request(app).get('/readyz').expect(503);
+  });
+});
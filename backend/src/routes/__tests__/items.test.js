@@ -1,80 +1,919 @@
-const request = require('supertest');
-const app = require('../../index');
-
-jest.mock('fs', () => {
-  const original = jest.requireActual('fs');
-  return {
-    ...original,
-    promises: {
-      readFile: jest.fn(),
-      writeFile: jest.fn(),
-    },
-    watch: jest.fn(),
-  };
-});
-
-const fs = require('fs');
-
-const sampleData = [
-  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
-  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
-  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics', price: 999 },
-  { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
-  { id: 5, name: 'Standing Desk', category: 'Furniture', price: 1199 },
-];
-
-beforeEach(() => {
-  fs.promises.readFile.mockResolvedValue(JSON.stringify(sampleData));
-  fs.promises.writeFile.mockResolvedValue();
-});
-
-afterEach(() => {
-  jest.clearAllMocks();
-});
-
-describe('GET /api/items', () => {
-  test('returns paginated items (happy path)', async () => {
-    const res = await request(app).get('/api/items').expect(200);
-    expect(res.body).toHaveProperty('total', sampleData.length);
-    expect(res.body).toHaveProperty('page', 1);
-    expect(res.body).toHaveProperty('limit', 10);
-    expect(Array.isArray(res.body.data)).toBe(true);
-    expect(res.body.data.length).toBe(sampleData.length);
-  });
-
-  test('search query filters results', async () => {
-    const res = await request(app).get('/api/items').query({ q: 'monitor' }).expect(200);
-    expect(res.body.total).toBe(1);
-    expect(res.body.data[0].name.toLowerCase()).toContain('monitor');
-  });
-});
-
-describe('GET /api/items/:id', () => {
-  test('returns item when found', async () => {
-    const res = await request(app).get('/api/items/1').expect(200);
-    expect(res.body).toHaveProperty('id', 1);
-    expect(res.body).toHaveProperty('name', 'Laptop Pro');
-  });
-
-  test('returns 404 when not found', async () => {
-    const res = await request(app).get('/api/items/999').expect(404);
-    expect(res.body).toHaveProperty('error');
-  });
-});
-
-describe('POST /api/items', () => {
-  test('creates new item and writes file', async () => {
-    const now = 1600000000000;
-    jest.spyOn(Date, 'now').mockReturnValue(now);
-
-    const newItem = { name: 'Test Item', category: 'Test', price: 10 };
-    const res = await request(app).post('/api/items').send(newItem).expect(201);
-
-    expect(res.body).toHaveProperty('id', now);
-    expect(res.body).toMatchObject({ name: 'Test Item', category: 'Test', price: 10 });
-    // verify writeFile called with updated array containing new item
-    expect(fs.promises.writeFile).toHaveBeenCalled();
-
-    Date.now.mockRestore();
-  });
-});
+const request = require('supertest');
+const app = require('../../index');
+const { createAuthConfig } = require('../../middleware/auth');
+const JsonRepository = require('../../storage/jsonRepository');
+const SqliteRepository = require('../../storage/sqliteRepository');
+
+jest.mock('fs', () => {
+  const original = jest.requireActual('fs');
+  return {
+    ...original,
+    promises: {
+      readFile: jest.fn(),
+      writeFile: jest.fn(),
+      rename: jest.fn(),
+    },
+    watch: jest.fn(),
+  };
+});
+
+const fs = require('fs');
+
+const sampleData = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics', price: 999 },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 5, name: 'Standing Desk', category: 'Furniture', price: 1199 },
+];
+
+// Mutations need credentials; the suite acts as an admin script.
+const ADMIN_KEY = 'test-admin-key';
+app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin` });
+const api = () => request.agent(app).set('X-API-Key', ADMIN_KEY);
+
+// The same suite runs against every storage adapter.
+const adapters = [
+  ['json', () => new JsonRepository({ filePath: '/tmp/items.json' })],
+  ['sqlite', () => {
+    const repo = new SqliteRepository({ filename: ':memory:' });
+    repo.seed(sampleData);
+    return repo;
+  }],
+];
+
+// In-memory files behind the mocked fs so writes are visible to later reads.
+let files;
+
+beforeEach(() => {
+  files = { '/tmp/items.json': JSON.stringify(sampleData) };
+  fs.promises.readFile.mockImplementation(async (file) => {
+    if (files[file] === undefined) throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+    return files[file];
+  });
+  fs.promises.writeFile.mockImplementation(async (file, data) => {
+    files[file] = data;
+  });
+  fs.promises.rename.mockImplementation(async (from, to) => {
+    files[to] = files[from];
+    delete files[from];
+  });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe.each(adapters)('%s adapter', (name, createRepository) => {
+  beforeEach(() => {
+    app.locals.repository = createRepository();
+  });
+
+  afterEach(() => {
+    if (app.locals.repository.close) app.locals.repository.close();
+  });
+
+  describe('GET /api/items', () => {
+    test('returns paginated items (happy path)', async () => {
+      const res = await api().get('/api/items').expect(200);
+      expect(res.body).toHaveProperty('total', sampleData.length);
+      expect(res.body).toHaveProperty('page', 1);
+      expect(res.body).toHaveProperty('limit', 10);
+      expect(Array.isArray(res.body.data)).toBe(true);
+      expect(res.body.data.length).toBe(sampleData.length);
+    });
+
+    test('search query filters results', async () => {
+      const res = await api().get('/api/items').query({ q: 'monitor' }).expect(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.data[0].name.toLowerCase()).toContain('monitor');
+    });
+  });
+
+  describe('GET /api/items filtering and sorting', () => {
+    const ids = res => res.body.data.map(i => i.id);
+
+    test('q matches category as well as name', async () => {
+      const res = await api().get('/api/items').query({ q: 'furn' }).expect(200);
+      expect(ids(res)).toEqual([4, 5]);
+    });
+
+    test('category accepts multiple values', async () => {
+      const repeated = await api().get('/api/items?category=Furniture&category=Nope').expect(200);
+      expect(ids(repeated)).toEqual([4, 5]);
+
+      const commaSeparated = await api()
+        .get('/api/items')
+        .query({ category: 'furniture,electronics' })
+        .expect(200);
+      expect(commaSeparated.body.total).toBe(5);
+    });
+
+    test('filters by price range', async () => {
+      const res = await api()
+        .get('/api/items')
+        .query({ minPrice: 500, maxPrice: 1199 })
+        .expect(200);
+      expect(ids(res)).toEqual([3, 4, 5]);
+    });
+
+    test('sorts by price descending', async () => {
+      const res = await api().get('/api/items').query({ sort: 'price', order: 'desc' }).expect(200);
+      expect(ids(res)).toEqual([1, 5, 3, 4, 2]);
+    });
+
+    test('sorts by name', async () => {
+      const res = await api().get('/api/items').query({ sort: 'name' }).expect(200);
+      expect(res.body.data.map(i => i.name)).toEqual([
+        'Ergonomic Chair',
+        'Laptop Pro',
+        'Noise Cancelling Headphones',
+        'Standing Desk',
+        'Ultra‑Wide Monitor',
+      ]);
+    });
+
+    test('pages through sorted results', async () => {
+      const res = await api()
+        .get('/api/items')
+        .query({ sort: 'id', order: 'desc', limit: 2, page: 2 })
+        .expect(200);
+      expect(res.body).toMatchObject({ total: 5, page: 2, limit: 2 });
+      expect(ids(res)).toEqual([3, 2]);
+    });
+
+    test.each([
+      [{ page: -1 }, 'page'],
+      [{ page: 'two' }, 'page'],
+      [{ limit: 'ten' }, 'limit'],
+      [{ limit: 0 }, 'limit'],
+      [{ limit: 100000 }, 'limit'],
+      [{ minPrice: 'cheap' }, 'minPrice'],
+      [{ minPrice: 50, maxPrice: 10 }, 'maxPrice'],
+      [{ sort: 'color' }, 'sort'],
+      [{ order: 'sideways' }, 'order'],
+    ])('rejects %o with 400', async (query, field) => {
+      const res = await api().get('/api/items').query(query).expect(400);
+      expect(res.body.errors).toHaveProperty(field);
+    });
+  });
+
+  describe('GET /api/items cursor pagination', () => {
+    const ids = res => res.body.data.map(i => i.id);
+    const links = res => Object.fromEntries(
+      res.headers.link.split(', ').map(part => {
+        const [, url, rel] = part.match(/^<([^>]*)>; rel="(\w+)"$/);
+        return [rel, url];
+      })
+    );
+
+    test('walks the catalog with nextCursor', async () => {
+      const first = await api().get('/api/items').query({ limit: 2 }).expect(200);
+      expect(ids(first)).toEqual([1, 2]);
+
+      const second = await api()
+        .get('/api/items')
+        .query({ limit: 2, cursor: first.body.nextCursor })
+        .expect(200);
+      expect(ids(second)).toEqual([3, 4]);
+      expect(second.body.page).toBeUndefined();
+
+      const third = await api()
+        .get('/api/items')
+        .query({ limit: 2, cursor: second.body.nextCursor })
+        .expect(200);
+      expect(ids(third)).toEqual([5]);
+      expect(third.body.nextCursor).toBeNull();
+
+      const back = await api()
+        .get('/api/items')
+        .query({ limit: 2, cursor: third.body.prevCursor })
+        .expect(200);
+      expect(ids(back)).toEqual([3, 4]);
+    });
+
+    test('stays stable when items are added between requests', async () => {
+      const first = await api()
+        .get('/api/items')
+        .query({ limit: 2, sort: 'price' })
+        .expect(200);
+      expect(ids(first)).toEqual([2, 4]);
+
+      // Cheaper than everything seen so far: with offsets this would shift
+      // item 4 onto the next page and show it twice.
+      await api().post('/api/items').send({ name: 'Cable', category: 'Electronics', price: 5 }).expect(201);
+
+      const second = await api()
+        .get('/api/items')
+        .query({ limit: 2, cursor: first.body.nextCursor })
+        .expect(200);
+      expect(ids(second)).toEqual([3, 5]);
+    });
+
+    test('sets RFC 8288 Link headers in page mode', async () => {
+      const res = await api()
+        .get('/api/items')
+        .query({ limit: 2, page: 2, category: 'Electronics,Furniture' })
+        .expect(200);
+
+      expect(links(res)).toEqual({
+        first: '/api/items?limit=2&page=1&category=Electronics%2CFurniture',
+        prev: '/api/items?limit=2&page=1&category=Electronics%2CFurniture',
+        next: '/api/items?limit=2&page=3&category=Electronics%2CFurniture',
+        last: '/api/items?limit=2&page=3&category=Electronics%2CFurniture',
+      });
+    });
+
+    test('Link headers in cursor mode can be followed', async () => {
+      const first = await api().get('/api/items').query({ limit: 2 }).expect(200);
+      const second = await api()
+        .get('/api/items')
+        .query({ limit: 2, cursor: first.body.nextCursor })
+        .expect(200);
+
+      const rels = links(second);
+      expect(Object.keys(rels)).toEqual(['first', 'prev', 'next', 'last']);
+      expect(ids(await api().get(rels.first))).toEqual([1, 2]);
+      expect(ids(await api().get(rels.prev))).toEqual([1, 2]);
+      expect(ids(await api().get(rels.next))).toEqual([5]);
+      expect(ids(await api().get(rels.last))).toEqual([4, 5]);
+    });
+
+    test('cursor keeps the sort it was issued with', async () => {
+      const first = await api()
+        .get('/api/items')
+        .query({ limit: 2, sort: 'price', order: 'desc' })
+        .expect(200);
+      const second = await api()
+        .get('/api/items')
+        .query({ limit: 2, cursor: first.body.nextCursor })
+        .expect(200);
+      expect(ids(second)).toEqual([3, 4]);
+
+      const res = await api()
+        .get('/api/items')
+        .query({ cursor: first.body.nextCursor, sort: 'name' })
+        .expect(400);
+      expect(res.body.errors).toHaveProperty('cursor');
+    });
+
+    test('rejects malformed cursors and cursor with page', async () => {
+      await api().get('/api/items').query({ cursor: 'not-a-cursor' }).expect(400);
+      const first = await api().get('/api/items').query({ limit: 2 }).expect(200);
+      await api().get('/api/items').query({ cursor: first.body.nextCursor, page: 2 }).expect(400);
+    });
+  });
+
+  describe('GET /api/items/search', () => {
+    test('ranks typo-tolerant multi-word matches with highlights', async () => {
+      const res = await api().get('/api/items/search').query({ q: 'headphone noise' }).expect(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.data[0]).toMatchObject({
+        id: 2,
+        match: { highlights: { name: [[0, 5], [17, 26]], category: [] } },
+      });
+
+      const typo = await api().get('/api/items/search').query({ q: 'monitr' }).expect(200);
+      expect(typo.body.data.map(i => i.id)).toEqual([3]);
+    });
+
+    test('combines with list filters', async () => {
+      const res = await api()
+        .get('/api/items/search')
+        .query({ q: 'electronics', maxPrice: 1000 })
+        .expect(200);
+      expect(res.body.data.map(i => i.id).sort()).toEqual([2, 3]);
+    });
+
+    test('reflects items created and updated after the index was built', async () => {
+      await api().get('/api/items/search').query({ q: 'desk' }).expect(200);
+      await api().post('/api/items').send({ name: 'Desk Lamp', category: 'Home', price: 40 }).expect(201);
+      await api().patch('/api/items/5').send({ name: 'Standing Table' }).expect(200);
+
+      const res = await api().get('/api/items/search').query({ q: 'desk' }).expect(200);
+      expect(res.body.data.map(i => i.name)).toEqual(['Desk Lamp']);
+    });
+
+    test('requires q', async () => {
+      const res = await api().get('/api/items/search').expect(400);
+      expect(res.body.errors).toHaveProperty('q');
+    });
+  });
+
+  describe('GET /api/items/export', () => {
+    test('exports CSV honoring filters and sort', async () => {
+      const res = await api()
+        .get('/api/items/export')
+        .query({ format: 'csv', category: 'Furniture', sort: 'price', order: 'desc' })
+        .expect('Content-Type', /text\/csv/)
+        .expect('Content-Disposition', 'attachment; filename="items.csv"')
+        .expect(200);
+
+      expect(res.text).toBe(
+        'id,name,category,price,img\r\n5,Standing Desk,Furniture,1199,\r\n4,Ergonomic Chair,Furniture,799,\r\n'
+      );
+    });
+
+    test('exports NDJSON, one item per line', async () => {
+      const res = await api()
+        .get('/api/items/export')
+        .query({ format: 'ndjson', maxPrice: 800 })
+        .buffer(true)
+        .parse((response, done) => {
+          let text = '';
+          response.on('data', chunk => { text += chunk; });
+          response.on('end', () => done(null, text));
+        })
+        .expect(200);
+
+      const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(i => i.id)).toEqual([2, 4]);
+    });
+
+    test('exports a JSON array by default', async () => {
+      const res = await api().get('/api/items/export').expect(200);
+      expect(res.body.map(i => i.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('rejects unknown formats', async () => {
+      const res = await api().get('/api/items/export').query({ format: 'xml' }).expect(400);
+      expect(res.body.errors).toHaveProperty('format');
+    });
+  });
+
+  describe('POST /api/items/import', () => {
+    const csv = [
+      'id,name,category,price',
+      ',Desk Lamp,Home,25',
+      '4,Ergonomic Chair v2,Furniture,849',
+      ',Broken,,free',
+      '999,Ghost,Home,10',
+    ].join('\n');
+
+    test('creates, updates and rejects rows from CSV with a per-row report', async () => {
+      const res = await api()
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(res.body.summary).toEqual({ created: 1, updated: 1, rejected: 2 });
+      expect(res.body.rows).toEqual([
+        { row: 1, status: 'created', id: 6 },
+        { row: 2, status: 'updated', id: 4 },
+        { row: 3, status: 'rejected', errors: { category: 'is required', price: 'must be a number' } },
+        { row: 4, status: 'rejected', errors: { id: 'does not match an existing item' } },
+      ]);
+
+      const chair = await api().get('/api/items/4').expect(200);
+      expect(chair.body).toMatchObject({ name: 'Ergonomic Chair v2', price: 849, version: 2 });
+      const lamp = await api().get('/api/items/6').expect(200);
+      expect(lamp.body).toMatchObject({ name: 'Desk Lamp', price: 25 });
+    });
+
+    test('dry run validates without writing', async () => {
+      const res = await api()
+        .post('/api/items/import')
+        .query({ dryRun: 'true', format: 'csv' })
+        .set('Content-Type', 'text/plain')
+        .send(csv)
+        .expect(200);
+
+      expect(res.body).toMatchObject({ dryRun: true, summary: { created: 1, updated: 1, rejected: 2 } });
+      const list = await api().get('/api/items').expect(200);
+      expect(list.body.total).toBe(5);
+      const chair = await api().get('/api/items/4').expect(200);
+      expect(chair.body.name).toBe('Ergonomic Chair');
+    });
+
+    test('imports NDJSON and reports malformed lines', async () => {
+      const body = [
+        JSON.stringify({ name: 'Mug', category: 'Kitchen', price: 9 }),
+        '{ not json',
+        JSON.stringify({ name: 'Pan', category: 'Kitchen', price: 30, color: 'red' }),
+      ].join('\n');
+
+      const res = await api()
+        .post('/api/items/import')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body)
+        .expect(200);
+
+      expect(res.body.rows.map(r => r.status)).toEqual(['created', 'rejected', 'rejected']);
+      expect(res.body.rows[1].errors).toEqual({ body: 'is not valid JSON' });
+      expect(res.body.rows[2].errors).toEqual({ color: 'is not allowed' });
+    });
+
+    test('imports a JSON array', async () => {
+      const res = await api()
+        .post('/api/items/import')
+        .send([{ name: 'Mug', category: 'Kitchen', price: 9 }, { id: 1, name: 'Laptop', category: 'Electronics', price: 1999 }])
+        .expect(200);
+      expect(res.body.summary).toEqual({ created: 1, updated: 1, rejected: 0 });
+    });
+
+    test('round-trips its own CSV export', async () => {
+      const exported = await api().get('/api/items/export').query({ format: 'csv' }).expect(200);
+      const res = await api()
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send(exported.text)
+        .expect(200);
+      expect(res.body.summary).toEqual({ created: 0, updated: 5, rejected: 0 });
+    });
+
+    test('round-trips its own NDJSON export', async () => {
+      const exported = await api()
+        .get('/api/items/export')
+        .query({ format: 'ndjson' })
+        .buffer(true)
+        .parse((response, done) => {
+          let text = '';
+          response.on('data', chunk => { text += chunk; });
+          response.on('end', () => done(null, text));
+        })
+        .expect(200);
+      expect(exported.body).toMatch(/"version":1/);
+      const res = await api()
+        .post('/api/items/import')
+        .query({ dryRun: true })
+        .set('Content-Type', 'application/x-ndjson')
+        .send(exported.body)
+        .expect(200);
+      expect(res.body.summary).toEqual({ created: 0, updated: 5, rejected: 0 });
+    });
+
+    test('round-trips its own JSON export', async () => {
+      const exported = await api().get('/api/items/export').expect(200);
+      const res = await api().post('/api/items/import').send(exported.body).expect(200);
+      expect(res.body.summary).toEqual({ created: 0, updated: 5, rejected: 0 });
+      expect((await api().get('/api/items/1').expect(200)).body.version).toBe(2);
+    });
+
+    test('rejects unparseable or untyped bodies', async () => {
+      await api().post('/api/items/import').set('Content-Type', 'text/csv').send('name\n"open').expect(400);
+      const res = await api()
+        .post('/api/items/import')
+        .set('Content-Type', 'application/xml')
+        .send('<items/>')
+        .expect(400);
+      expect(res.body.errors).toHaveProperty('format');
+    });
+  });
+
+  describe('GET /api/items/:id', () => {
+    test('returns item when found', async () => {
+      const res = await api().get('/api/items/1').expect(200);
+      expect(res.body).toHaveProperty('id', 1);
+      expect(res.body).toHaveProperty('name', 'Laptop Pro');
+    });
+
+    test('returns 404 when not found', async () => {
+      const res = await api().get('/api/items/999').expect(404);
+      expect(res.body).toMatchObject({ code: 'not_found', detail: 'Item not found' });
+    });
+  });
+
+  describe('POST /api/items', () => {
+    test('creates new item and writes file', async () => {
+      const newItem = { name: 'Test Item', category: 'Test', price: 10 };
+      const res = await api().post('/api/items').send(newItem).expect(201);
+
+      expect(res.body).toMatchObject({ name: 'Test Item', category: 'Test', price: 10 });
+      // verify the item was persisted
+      const saved = await api().get(`/api/items/${res.body.id}`).expect(200);
+      expect(saved.body).toEqual(res.body);
+    });
+
+    test('assigns sequential ids that do not collide', async () => {
+      const item = { name: 'Test Item', category: 'Test', price: 10 };
+      const first = await api().post('/api/items').send(item).expect(201);
+      const second = await api().post('/api/items').send(item).expect(201);
+
+      expect(first.body.id).toBeGreaterThan(5);
+      expect(second.body.id).toBeGreaterThan(first.body.id);
+    });
+
+    test('rejects invalid payload with per-field errors', async () => {
+      const res = await api()
+        .post('/api/items')
+        .send({ category: '', price: -5, color: 'red' })
+        .expect(400);
+
+      expect(res.body.errors).toEqual({
+        name: 'is required',
+        category: 'must not be empty',
+        price: 'must be greater than 0',
+        color: 'is not allowed',
+      });
+      const list = await api().get('/api/items').expect(200);
+      expect(list.body.total).toBe(sampleData.length);
+    });
+
+    test('rejects non-numeric price', async () => {
+      const res = await api()
+        .post('/api/items')
+        .send({ name: 'Lamp', category: 'Home', price: '12' })
+        .expect(400);
+
+      expect(res.body.errors).toEqual({ price: 'must be a number' });
+    });
+  });
+
+  describe('image sanitizing', () => {
+    test('stores only sanitized SVG', async () => {
+      const res = await api()
+        .post('/api/items')
+        .send({
+          name: 'Sneaky',
+          category: 'Test',
+          price: 1,
+          img: '<svg onload="alert(1)"><script>alert(1)</script><circle r="4"/></svg>',
+        })
+        .expect(201);
+      expect(res.body.img).toBe('<svg><circle r="4"/></svg>');
+
+      const patched = await api()
+        .patch(`/api/items/${res.body.id}`)
+        .send({ img: '<svg><foreignObject><b>x</b></foreignObject></svg>' })
+        .expect(200);
+      expect(patched.body.img).toBe('<svg></svg>');
+    });
+
+    test('rejects images that are not SVG', async () => {
+      const res = await api()
+        .post('/api/items')
+        .send({ name: 'Bad', category: 'Test', price: 1, img: '<img src=x onerror=alert(1)>' })
+        .expect(400);
+      expect(res.body.errors).toEqual({ img: 'must be an SVG image' });
+    });
+  });
+
+  describe('PUT /api/items/:id', () => {
+    test('replaces the item', async () => {
+      const res = await api()
+        .put('/api/items/4')
+        .send({ name: 'Task Chair', category: 'Furniture', price: 499 })
+        .expect(200);
+
+      expect(res.body).toEqual({ id: 4, name: 'Task Chair', category: 'Furniture', price: 499, version: 2 });
+      const saved = await api().get('/api/items/4').expect(200);
+      expect(saved.body).toEqual(res.body);
+    });
+
+    test('requires every field', async () => {
+      const res = await api().put('/api/items/4').send({ price: 499 }).expect(400);
+      expect(res.body.errors).toMatchObject({ name: 'is required', category: 'is required' });
+    });
+
+    test('returns 404 for unknown id', async () => {
+      await api()
+        .put('/api/items/999')
+        .send({ name: 'Task Chair', category: 'Furniture', price: 499 })
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/items/:id', () => {
+    test('updates only supplied fields', async () => {
+      const res = await api().patch('/api/items/2').send({ price: 349 }).expect(200);
+      expect(res.body).toEqual({ ...sampleData[1], price: 349, version: 2 });
+    });
+
+    test('rejects unknown fields', async () => {
+      const res = await api().patch('/api/items/2').send({ id: 7 }).expect(400);
+      expect(res.body.errors).toEqual({ id: 'is not allowed' });
+    });
+  });
+
+  describe('DELETE /api/items/:id', () => {
+    test('removes the item', async () => {
+      await api().delete('/api/items/3').expect(204);
+      const list = await api().get('/api/items').expect(200);
+      expect(list.body.data.map(i => i.id)).toEqual([1, 2, 4, 5]);
+    });
+
+    test('returns 404 for unknown id', async () => {
+      await api().delete('/api/items/999').expect(404);
+    });
+  });
+
+  describe('trash', () => {
+    test('deleted items answer 410 with deletion and purge times', async () => {
+      await api().delete('/api/items/3').expect(204);
+      const res = await api().get('/api/items/3').expect(410);
+      expect(res.body).toMatchObject({ code: 'gone', detail: 'Item has been deleted' });
+      const deletedAt = Date.parse(res.body.deletedAt);
+      expect(Date.now() - deletedAt).toBeLessThan(60000);
+      expect(Date.parse(res.body.purgeAt) - deletedAt).toBe(30 * 24 * 60 * 60 * 1000);
+
+      await api().patch('/api/items/3').send({ price: 1 }).expect(410);
+      await api().put('/api/items/3').send({ name: 'X', category: 'Y', price: 1 }).expect(410);
+      await api().delete('/api/items/3').expect(410);
+    });
+
+    test('are left out of search, export and stats', async () => {
+      await api().delete('/api/items/3').expect(204);
+      const search = await api().get('/api/items/search?q=monitor').expect(200);
+      expect(search.body.total).toBe(0);
+      const exported = await api().get('/api/items/export').expect(200);
+      expect(exported.body.map(i => i.id)).not.toContain(3);
+      const stats = await api().get('/api/stats').expect(200);
+      expect(stats.body.total).toBe(4);
+    });
+
+    test('lists deleted items, most recent first', async () => {
+      await api().delete('/api/items/2').expect(204);
+      await api().delete('/api/items/4').expect(204);
+      const res = await api().get('/api/items/trash').expect(200);
+      expect(res.body).toMatchObject({ total: 2, page: 1, limit: 10 });
+      expect(res.body.data.map(i => i.id)).toEqual([4, 2]);
+      expect(res.body.data[0]).toMatchObject({ name: 'Ergonomic Chair', deletedAt: expect.any(String) });
+      expect(res.body.data[0]).toHaveProperty('purgeAt');
+    });
+
+    test('restores an item with a new version and revision', async () => {
+      await api().delete('/api/items/2').expect(204);
+      const res = await api().post('/api/items/2/restore').expect(200);
+      expect(res.body).toEqual({ ...sampleData[1], version: 3 });
+      expect(res.headers.etag).toBe('"3"');
+
+      await api().get('/api/items/2').expect(200);
+      const trash = await api().get('/api/items/trash').expect(200);
+      expect(trash.body.total).toBe(0);
+      const history = await api().get('/api/items/2/history').expect(200);
+      expect(history.body.revisions.map(r => r.action)).toEqual(['deleted', 'restored']);
+      expect(history.body.revisions[1].changes.name).toEqual({ from: null, to: sampleData[1].name });
+    });
+
+    test('restore honours If-Match and only applies to trashed items', async () => {
+      await api().post('/api/items/2/restore').expect(404);
+      await api().delete('/api/items/2').expect(204);
+      await api().post('/api/items/2/restore').set('If-Match', '"1"').expect(412);
+      await api().post('/api/items/2/restore').set('If-Match', '"2"').expect(200);
+    });
+
+    test('deleted items can be restored, then reverted', async () => {
+      await api().patch('/api/items/2').send({ price: 349 }).expect(200);
+      await api().delete('/api/items/2').expect(204);
+      await api().post('/api/items/2/revert/1').expect(410);
+      await api().post('/api/items/2/restore').expect(200);
+      await api().post('/api/items/2/revert/2').expect(400);
+      const res = await api().post('/api/items/2/revert/1').expect(200);
+      expect(res.body.price).toBe(349);
+    });
+
+    test('admins can purge trashed items for good', async () => {
+      await api().delete('/api/items/2').expect(204);
+      await api().delete('/api/items/trash/1').expect(404);
+      await api().delete('/api/items/trash/2').expect(204);
+      await api().get('/api/items/2').expect(404);
+      await api().post('/api/items/2/restore').expect(404);
+      const history = await api().get('/api/items/2/history').expect(200);
+      expect(history.body.revisions.map(r => r.action)).toEqual(['deleted', 'purged']);
+    });
+
+    test('purges only items deleted before the cutoff', async () => {
+      const repository = app.locals.repository;
+      await repository.remove(2);
+      const cutoff = new Date(Date.now() + 1000);
+      expect(await repository.purge({ before: new Date(0) })).toEqual([]);
+      expect(await repository.purge({ before: cutoff })).toEqual([2]);
+      expect(await repository.trash()).toEqual([]);
+    });
+  });
+
+  describe('concurrency and optimistic locking', () => {
+    test('concurrent creates are all persisted', async () => {
+      const posts = ['A', 'B', 'C'].map(n =>
+        api().post('/api/items').send({ name: n, category: 'Test', price: 1 })
+      );
+      const results = await Promise.all(posts);
+
+      const ids = results.map(r => r.body.id);
+      expect(new Set(ids).size).toBe(3);
+      const list = await api().get('/api/items').expect(200);
+      expect(list.body.total).toBe(sampleData.length + 3);
+    });
+
+    test('GET returns a version and matching ETag', async () => {
+      const res = await api().get('/api/items/1').expect(200);
+      expect(res.body.version).toBe(1);
+      expect(res.headers.etag).toBe('"1"');
+    });
+
+    test('update with a current If-Match succeeds and bumps the version', async () => {
+      const res = await api()
+        .patch('/api/items/1')
+        .set('If-Match', '"1"')
+        .send({ price: 2299 })
+        .expect(200);
+      expect(res.body.version).toBe(2);
+      expect(res.headers.etag).toBe('"2"');
+    });
+
+    test('stale If-Match gets 412 and leaves the item untouched', async () => {
+      await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+
+      const res = await api()
+        .put('/api/items/1')
+        .set('If-Match', '"1"')
+        .send({ name: 'Laptop Air', category: 'Electronics', price: 1299 })
+        .expect(412);
+      expect(res.body).toMatchObject({ code: 'version_conflict', currentVersion: 2 });
+
+      const saved = await api().get('/api/items/1').expect(200);
+      expect(saved.body).toMatchObject({ name: 'Laptop Pro', price: 2299 });
+    });
+
+    test('stale If-Match blocks deletes', async () => {
+      await api().delete('/api/items/1').set('If-Match', '"7"').expect(412);
+      await api().delete('/api/items/1').set('If-Match', '*').expect(204);
+    });
+  });
+
+  describe('revision history', () => {
+    test('records creates, updates and deletes with actor and field diffs', async () => {
+      const created = await api()
+        .post('/api/items')
+        .send({ name: 'Desk Lamp', category: 'Home', price: 25 })
+        .expect(201);
+      const id = created.body.id;
+      await api().patch(`/api/items/${id}`).send({ price: 30 }).expect(200);
+      await api().delete(`/api/items/${id}`).expect(204);
+
+      const res = await api().get(`/api/items/${id}/history`).expect(200);
+      expect(res.body.itemId).toBe(id);
+      expect(res.body.revisions).toEqual([
+        {
+          revision: 1,
+          itemId: id,
+          action: 'created',
+          version: 1,
+          actor: 'tests',
+          timestamp: expect.any(String),
+          changes: {
+            name: { from: null, to: 'Desk Lamp' },
+            category: { from: null, to: 'Home' },
+            price: { from: null, to: 25 },
+          },
+        },
+        expect.objectContaining({
+          revision: 2,
+          action: 'updated',
+          version: 2,
+          changes: { price: { from: 25, to: 30 } },
+        }),
+        expect.objectContaining({
+          revision: 3,
+          action: 'deleted',
+          version: 3,
+          changes: {
+            name: { from: 'Desk Lamp', to: null },
+            category: { from: 'Home', to: null },
+            price: { from: 30, to: null },
+          },
+        }),
+      ]);
+      expect(new Date(res.body.revisions[0].timestamp).toISOString()).toBe(res.body.revisions[0].timestamp);
+    });
+
+    test('items without recorded changes have an empty history', async () => {
+      const res = await api().get('/api/items/1/history').expect(200);
+      expect(res.body.revisions).toEqual([]);
+      await api().get('/api/items/999/history').expect(404);
+    });
+
+    test('imports are recorded too', async () => {
+      await api()
+        .post('/api/items/import?format=json')
+        .send([{ id: 2, name: 'Headphones', category: 'Audio', price: 349 }])
+        .expect(200);
+      const res = await api().get('/api/items/2/history').expect(200);
+      expect(res.body.revisions).toMatchObject([{ action: 'updated', actor: 'tests' }]);
+      expect(res.body.revisions[0].changes).toEqual({
+        name: { from: 'Noise Cancelling Headphones', to: 'Headphones' },
+        category: { from: 'Electronics', to: 'Audio' },
+        price: { from: 399, to: 349 },
+      });
+    });
+
+    test('revert restores an earlier state as a new revision', async () => {
+      await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+      await api().put('/api/items/1').send({ name: 'Laptop Air', category: 'Computers', price: 1299 }).expect(200);
+
+      const res = await api().post('/api/items/1/revert/1').expect(200);
+      expect(res.body).toEqual({ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2299, version: 4 });
+      expect(res.headers.etag).toBe('"4"');
+
+      const history = await api().get('/api/items/1/history').expect(200);
+      expect(history.body.revisions[2]).toMatchObject({
+        revision: 3,
+        action: 'updated',
+        revertedTo: 1,
+        changes: {
+          name: { from: 'Laptop Air', to: 'Laptop Pro' },
+          category: { from: 'Computers', to: 'Electronics' },
+        },
+      });
+    });
+
+    test('revert honours If-Match', async () => {
+      await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+      await api().patch('/api/items/1').send({ price: 2199 }).expect(200);
+      await api().post('/api/items/1/revert/1').set('If-Match', '"2"').expect(412);
+      await api().post('/api/items/1/revert/1').set('If-Match', '"3"').expect(200);
+    });
+
+    test('rejects unknown revisions and items', async () => {
+      await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+      const res = await api().post('/api/items/1/revert/5').expect(404);
+      expect(res.body.detail).toBe('Revision not found');
+      await api().post('/api/items/999/revert/1').expect(404);
+    });
+
+    test('reverting requires write access', async () => {
+      await request(app).post('/api/items/1/revert/1').expect(401);
+    });
+  });
+});
+
+describe('json adapter file handling', () => {
+  beforeEach(() => {
+    app.locals.repository = new JsonRepository({ filePath: '/tmp/items.json' });
+  });
+
+  test('writes the whole catalog back to its file', async () => {
+    const res = await api()
+      .post('/api/items')
+      .send({ name: 'Test Item', category: 'Test', price: 10 })
+      .expect(201);
+
+    const written = JSON.parse(files['/tmp/items.json']);
+    expect(written).toEqual([...sampleData, res.body]);
+  });
+
+  test('writes to a temp file and renames it into place', async () => {
+    await api()
+      .post('/api/items')
+      .send({ name: 'Test Item', category: 'Test', price: 10 })
+      .expect(201);
+
+    const [tmpPath] = fs.promises.writeFile.mock.calls.find(([file]) => file.startsWith('/tmp/items.json'));
+    expect(tmpPath).not.toBe('/tmp/items.json');
+    expect(fs.promises.rename).toHaveBeenCalledWith(tmpPath, '/tmp/items.json');
+    expect(files[tmpPath]).toBeUndefined();
+  });
+
+  test('a failed write does not block later writes', async () => {
+    fs.promises.writeFile.mockRejectedValueOnce(new Error('disk full'));
+    const item = { name: 'Test Item', category: 'Test', price: 10 };
+
+    await api().post('/api/items').send(item).expect(500);
+    await api().post('/api/items').send(item).expect(201);
+  });
+
+  test('does not write when validation fails', async () => {
+    await api().post('/api/items').send({ name: 'No price' }).expect(400);
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('keeps revision history in a file next to the catalog', async () => {
+    await api().patch('/api/items/1').send({ price: 2299 }).expect(200);
+
+    const written = JSON.parse(files['/tmp/items.history.json']);
+    expect(written['1']).toMatchObject([{ revision: 1, changes: { price: { from: 2499, to: 2299 } } }]);
+
+    app.locals.repository = new JsonRepository({ filePath: '/tmp/items.json' });
+    const res = await api().get('/api/items/1/history').expect(200);
+    expect(res.body.revisions).toHaveLength(1);
+  });
+
+  test('never reuses the id of a deleted item, even after a restart', async () => {
+    await api().delete('/api/items/5').expect(204);
+    app.locals.repository = new JsonRepository({ filePath: '/tmp/items.json' });
+
+    const res = await api()
+      .post('/api/items')
+      .send({ name: 'Test Item', category: 'Test', price: 10 })
+      .expect(201);
+    expect(res.body.id).toBe(6);
+  });
+});
+
+describe('sqlite adapter ids', () => {
+  test('never reuses the id of a deleted item', async () => {
+    const repo = new SqliteRepository({ filename: ':memory:' });
+    repo.seed(sampleData);
+    app.locals.repository = repo;
+
+    await api().delete('/api/items/5').expect(204);
+    const res = await api()
+      .post('/api/items')
+      .send({ name: 'Test Item', category: 'Test', price: 10 })
+      .expect(201);
+
+    expect(res.body.id).toBe(6);
+    repo.close();
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../../index');
+const { createAuthConfig } = require('../../middleware/auth');
+const SqliteRepository = require('../../storage/sqliteRepository');
+
+const sampleData = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics', price: 999 },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 5, name: 'Standing Desk', category: 'Furniture', price: 1199 },
+];
+
+// Mutations need credentials; the suite acts as an admin script.
+const ADMIN_KEY = 'test-admin-key';
+app.locals.auth = createAuthConfig({ apiKeys: `tests:${ADMIN_KEY}:admin` });
+const api = () => request.agent(app).set('X-API-Key', ADMIN_KEY);
+
+let repo;
+
+beforeEach(() => {
+  repo = new SqliteRepository({ filename: ':memory:' });
+  repo.seed(sampleData);
+  app.locals.repository = repo;
+});
+
+afterEach(() => {
+  repo.close();
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/stats', () => {
+  test('returns overall and per-category aggregates', async () => {
+    const res = await api().get('/api/stats').expect(200);
+
+    expect(res.body).toMatchObject({
+      total: 5,
+      averagePrice: 1179,
+      totalValue: 5895,
+      price: { min: 399, max: 2499, mean: 1179, median: 999 },
+    });
+    expect(res.body.categories).toEqual([
+      {
+        category: 'Electronics',
+        count: 3,
+        totalValue: 3897,
+        price: expect.objectContaining({ min: 399, max: 2499, median: 999 }),
+      },
+      {
+        category: 'Furniture',
+        count: 2,
+        totalValue: 1998,
+        price: expect.objectContaining({ min: 799, max: 1199, median: 999 }),
+      },
+    ]);
+  });
+
+  test('builds a histogram with the requested bucket count', async () => {
+    const res = await api().get('/api/stats').query({ buckets: 3 }).expect(200);
+    expect(res.body.histogram).toHaveLength(3);
+    expect(res.body.histogram.reduce((n, b) => n + b.count, 0)).toBe(5);
+  });
+
+  test('applies the same filters as the item list', async () => {
+    const res = await api()
+      .get('/api/stats')
+      .query({ category: 'electronics', maxPrice: 1000 })
+      .expect(200);
+
+    expect(res.body.total).toBe(2);
+    expect(res.body.categories.map(c => c.category)).toEqual(['Electronics']);
+
+    const list = await api()
+      .get('/api/items')
+      .query({ category: 'electronics', maxPrice: 1000 })
+      .expect(200);
+    expect(list.body.total).toBe(2);
+  });
+
+  test('returns null aggregates when nothing matches', async () => {
+    const res = await api().get('/api/stats').query({ minPrice: 5000 }).expect(200);
+    expect(res.body).toMatchObject({ total: 0, averagePrice: null, categories: [], histogram: [] });
+  });
+
+  test('rejects invalid parameters', async () => {
+    const res = await api()
+      .get('/api/stats')
+      .query({ minPrice: 'cheap', buckets: 0 })
+      .expect(400);
+    expect(res.body.errors).toHaveProperty('minPrice');
+
+    const buckets = await api().get('/api/stats').query({ buckets: 500 }).expect(400);
+    expect(buckets.body.errors).toHaveProperty('buckets');
+  });
+
+  test('serves repeated requests from cache until the data changes', async () => {
+    const list = jest.spyOn(repo, 'list');
+
+    await api().get('/api/stats').expect(200);
+    await api().get('/api/stats').expect(200);
+    expect(list).toHaveBeenCalledTimes(1);
+
+    await api().post('/api/items').send({ name: 'Lamp', category: 'Home', price: 21 }).expect(201);
+    const res = await api().get('/api/stats').expect(200);
+    expect(list).toHaveBeenCalledTimes(2);
+    expect(res.body.total).toBe(6);
+  });
+});
@@ -0,0 +1,38 @@
+const express = require('express');
+const { ROLES, hasRole, requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { ForbiddenError, ValidationError } = require('../utils/errors');
+const { signToken } = require('../utils/token');
+const router = express.Router();
+
+// POST /api/auth/token
+// Exchange an API key for a short-lived bearer token, e.g. for the UI.
+// Body (optional): { role } to request a token with fewer rights than the key.
+router.post('/token', rateLimit('token'), requireRole('viewer'), (req, res, next) => {
+  try {
+    if (req.user.via !== 'apiKey') throw new ForbiddenError('Tokens can only be issued for API keys');
+
+    const role = (req.body && req.body.role) || req.user.role;
+    if (!ROLES.includes(role)) {
+      throw new ValidationError('Validation failed', { errors: { role: `must be one of ${ROLES.join(', ')}` } });
+    }
+    if (!hasRole(req.user, role)) throw new ForbiddenError(`API key does not grant ${role} role`);
+
+    const { tokenSecret, tokenTtl } = req.app.locals.auth;
+    res.status(201).json({
+      token: signToken({ sub: req.user.id, role }, tokenSecret, tokenTtl),
+      tokenType: 'Bearer',
+      expiresIn: tokenTtl,
+      role,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/auth/me
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { document } = require('../openapi');
+const router = express.Router();
+
+// Self-contained page (no CDN assets) that renders openapi.json.
+const DOCS_PAGE = fs.readFileSync(path.join(__dirname, '../openapi/docs.html'), 'utf-8');
+
+// GET /api/openapi.json
+// The OpenAPI 3.1 description of this API (see src/openapi/document.js).
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+// GET /api/docs
+// Browsable API reference built from /api/openapi.json.
+router.get('/docs', (req, res) => {
+  res.type('html').send(DOCS_PAGE);
+});
+
+module.exports = router;
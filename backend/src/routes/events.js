@@ -0,0 +1,67 @@
+const express = require('express');
+const { eventLogFor } = require('../events');
+const router = express.Router();
+
+// Drop clients that stop reading rather than buffering for them forever;
+// they reconnect and resume from their last event id.
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+function formatEvent({ id, type, item }, data = item || {}) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// GET /api/events
+// Server-Sent Events stream of catalog changes: `created`, `updated`,
+// `deleted` and `restored` events carry the item as data. A client resumes
+// with the Last-Event-ID header (or ?lastEventId=) and first receives what
+// it missed; if that history is gone it gets `reset` and should refetch.
+// New connections start with `ready`, and `heartbeat` events keep idle
+// connections (and proxies) alive.
+router.get('/', (req, res) => {
+  const { repository, events: config } = req.app.locals;
+  const log = eventLogFor(repository, { bufferSize: config.bufferSize });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  let heartbeat = null;
+  const stop = () => {
+    clearInterval(heartbeat);
+    log.off('event', send);
+  };
+  const write = chunk => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(chunk);
+    // Ending would still try to flush the backlog; drop the connection.
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      stop();
+      res.destroy();
+    }
+  };
+  const send = event => write(formatEvent(event));
+
+  write(`retry: ${config.retryMs}\n\n`);
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const missed = lastEventId ? log.since(String(lastEventId)) : [];
+  if (missed) {
+    missed.forEach(send);
+    send({ id: log.lastId, type: 'ready' });
+  } else {
+    send({ id: log.lastId, type: 'reset' });
+  }
+  if (res.destroyed) return;
+
+  log.on('event', send);
+  heartbeat = setInterval(() => {
+    write(formatEvent({ type: 'heartbeat' }, { time: new Date().toISOString() }));
+  }, config.heartbeatMs);
+
+  req.on('close', stop);
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// GET /healthz
+// Liveness: the process is up and serving requests. Touches nothing else,
+// so a slow or broken data store doesn't get a healthy process restarted.
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// GET /readyz
+// Readiness: the data store can be read and parsed right now. Answers 503
+// while it can't, naming the failing check; the full error is logged.
+router.get('/readyz', async (req, res) => {
+  const { repository, logger } = req.app.locals;
+  const start = process.hrtime.bigint();
+  try {
+    await repository.check();
+    const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+    res.json({ status: 'ready', checks: { datastore: { status: 'up', latencyMs } } });
+  } catch (err) {
+    logger.warn('Readiness check failed', { check: 'datastore', error: err.message });
+    res.status(503).json({
+      status: 'unavailable',
+      checks: { datastore: { status: 'down', error: err.code || 'unavailable' } },
+    });
+  }
+});
+
+module.exports = router;
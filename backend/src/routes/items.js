@@ -1,57 +1,399 @@
 const express = require('express');
-const fs = require('fs').promises; // Use promises for async operations
-const path = require('path');
+const { validateItem } = require('../utils/itemSchema');
+const { parseFilters, applyFilters, parseSort, sortItems } = require('../utils/itemFilters');
+const {
+  parsePagination,
+  paginateByCursor,
+  encodeCursor,
+  buildLinkHeader,
+  pageLinks,
+} = require('../utils/pagination');
+const {
+  BadRequestError,
+  ValidationError,
+  InvalidQueryError,
+  MalformedBodyError,
+  NotFoundError,
+  GoneError,
+} = require('../utils/errors');
+const { fieldsAt } = require('../storage/history');
+const { searchIndexFor } = require('../search');
+const { requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { CONTENT_TYPES, FORMATS, serializers, detectFormat, parseImport } = require('../utils/itemFormats');
 const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
 
-// Utility to read data asynchronously
-async function readData() {
-  const raw = await fs.readFile(DATA_PATH, 'utf-8');
-  return JSON.parse(raw);
+function validatePayload(body, options) {
+  const { value, errors } = validateItem(body, options);
+  if (errors) throw new ValidationError('Validation failed', { errors });
+  return value;
 }
 
-// Utility to write data asynchronously
-async function writeData(data) {
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2));
+function orNotFound(item) {
+  if (!item) throw new NotFoundError('Item not found');
+  return item;
+}
+
+// Like orNotFound, but explains a missing item that is in the trash with
+// 410 Gone, its deletion time and when it will be purged.
+async function orDeleted(req, id, item) {
+  if (item) return item;
+  const trashed = await req.app.locals.repository.get(id, { includeDeleted: true });
+  if (trashed && trashed.deletedAt) {
+    throw new GoneError('Item has been deleted', {
+      extensions: { deletedAt: trashed.deletedAt, purgeAt: req.app.locals.retention.purgeAt(trashed) },
+    });
+  }
+  return orNotFound(item);
+}
+
+// Strong ETag derived from the item's version, e.g. "3"
+function etagFor(item) {
+  return `"${item.version}"`;
+}
+
+// Turn an If-Match header into the repository's `ifVersion` precondition.
+// Weak tags never match (RFC 9110 requires strong comparison for If-Match).
+function parseIfMatch(header) {
+  if (header === undefined) return undefined;
+  if (header.trim() === '*') return '*';
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => /^"\d+"$/.test(tag))
+    .map(tag => parseInt(tag.slice(1, -1)));
+}
+
+// Options for repository writes: the If-Match precondition and who is
+// writing, recorded in the item's revision history.
+function writeOptions(req) {
+  return { ifVersion: parseIfMatch(req.get('If-Match')), actor: req.user ? req.user.id : null };
+}
+
+function sendItem(res, item, status = 200) {
+  res.set('ETag', etagFor(item)).status(status).json(item);
+}
+
+// Write `items` through `serializer`, waiting for the socket to drain when
+// its buffer is full so large exports don't pile up in memory.
+async function streamItems(res, items, serializer) {
+  const write = async chunk => {
+    if (chunk && !res.write(chunk) && !res.destroyed) {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  };
+  await write(serializer.head());
+  for (let i = 0; i < items.length && !res.destroyed; i++) {
+    await write(serializer.row(items[i], i));
+  }
+  res.end(serializer.tail());
+}
+
+// Import bodies other than JSON arrive as raw text, up to the import size
+// limit from the app config (one parser per distinct limit).
+const IMPORT_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'];
+const importParsers = new Map();
+
+function importBody(req, res, next) {
+  const limit = req.app.locals.config.limits.importBody;
+  if (!importParsers.has(limit)) importParsers.set(limit, express.text({ type: IMPORT_TYPES, limit }));
+  importParsers.get(limit)(req, res, next);
 }
 
 // GET /api/items
+// Filters: q, category (repeatable), minPrice, maxPrice
+// Sorting: sort=id|name|price, order=asc|desc
+// Paging:  page (1-based) or cursor (from nextCursor/prevCursor), and
+//          limit (1-100, default 10). Responses carry a Link header.
 router.get('/', async (req, res, next) => {
   try {
-    const data = await readData();
-    const { limit = 10, page = 1, q } = req.query;
-    let results = data;
+    const parsedFilters = parseFilters(req.query);
+    const parsedSort = parseSort(req.query);
+    const pagination = parsePagination(req.query);
+    const errors = { ...parsedFilters.errors, ...parsedSort.errors, ...pagination.errors };
+
+    const { page, cursor, limit } = pagination;
+    let sort = parsedSort.sort;
+    if (cursor) {
+      const sortGiven = req.query.sort !== undefined || req.query.order !== undefined;
+      if (sortGiven && sort && (sort.field !== cursor.sort.field || sort.order !== cursor.sort.order)) {
+        errors.cursor = 'was issued for a different sort order';
+      }
+      sort = cursor.sort;
+    }
+    if (Object.keys(errors).length) throw new InvalidQueryError('Invalid query parameters', { errors });
+
+    const data = await req.app.locals.repository.list();
+    const results = sortItems(applyFilters(data, parsedFilters.filters), sort);
 
-    if (q) {
-      results = results.filter(item => item.name.toLowerCase().includes(q.toLowerCase()));
+    if (cursor) {
+      const { data: pageItems, nextCursor, prevCursor } = paginateByCursor(results, { cursor, limit, sort });
+      res.set('Link', buildLinkHeader(req, {
+        first: { cursor: undefined },
+        prev: prevCursor && { cursor: prevCursor },
+        next: nextCursor && { cursor: nextCursor },
+        last: { cursor: encodeCursor({ sort, direction: 'prev' }) },
+      }));
+      return res.json({ total: results.length, limit, data: pageItems, nextCursor, prevCursor });
     }
 
+    const totalPages = Math.max(1, Math.ceil(results.length / limit));
     const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedResults = results.slice(startIndex, endIndex);
+    const paginatedResults = results.slice(startIndex, startIndex + limit);
+    const hasMore = startIndex + limit < results.length;
 
+    res.set('Link', buildLinkHeader(req, pageLinks(page, totalPages)));
     res.json({
       total: results.length,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      data: paginatedResults
+      page,
+      limit,
+      data: paginatedResults,
+      // Lets a client switch to cursor mode after the first page.
+      nextCursor: hasMore && paginatedResults.length
+        ? encodeCursor({ sort, direction: 'next', item: paginatedResults[paginatedResults.length - 1] })
+        : null,
     });
   } catch (err) {
     next(err);
   }
 });
 
+// GET /api/items/search
+// Ranked full-text search over name and category with prefix matching and
+// typo tolerance. Accepts the list filters (category, minPrice, maxPrice)
+// and page/limit; results are ordered by relevance and each carries
+// `match: { score, highlights }` with [start, end) ranges per field.
+router.get('/search', async (req, res, next) => {
+  try {
+    const parsedFilters = parseFilters(req.query);
+    const pagination = parsePagination(req.query);
+    const errors = { ...parsedFilters.errors, ...pagination.errors };
+    if (!parsedFilters.filters || !parsedFilters.filters.q) {
+      if (!errors.q) errors.q = 'is required';
+    }
+    if (pagination.cursor) errors.cursor = 'is not supported for search; use page';
+    if (Object.keys(errors).length) throw new InvalidQueryError('Invalid query parameters', { errors });
+
+    const { q, ...filters } = parsedFilters.filters;
+    const { page, limit } = pagination;
+    const { repository } = req.app.locals;
+    const [index, items] = await Promise.all([searchIndexFor(repository), repository.list()]);
+
+    const byId = new Map(applyFilters(items, filters).map(item => [item.id, item]));
+    const results = index.search(q)
+      .filter(hit => byId.has(hit.id))
+      .map(({ id, score, highlights }) => ({ ...byId.get(id), match: { score, highlights } }));
+
+    const totalPages = Math.max(1, Math.ceil(results.length / limit));
+    const startIndex = (page - 1) * limit;
+    res.set('Link', buildLinkHeader(req, pageLinks(page, totalPages)));
+    res.json({
+      total: results.length,
+      page,
+      limit,
+      data: results.slice(startIndex, startIndex + limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/export?format=csv|ndjson|json
+// Streams every item matching the list filters and sort (no paging).
+router.get('/export', async (req, res, next) => {
+  try {
+    const parsedFilters = parseFilters(req.query);
+    const parsedSort = parseSort(req.query);
+    const errors = { ...parsedFilters.errors, ...parsedSort.errors };
+    const format = req.query.format === undefined ? 'json' : req.query.format;
+    if (!FORMATS.includes(format)) errors.format = `must be one of ${FORMATS.join(', ')}`;
+    if (Object.keys(errors).length) throw new InvalidQueryError('Invalid query parameters', { errors });
+
+    const data = await req.app.locals.repository.list();
+    const results = sortItems(applyFilters(data, parsedFilters.filters), parsedSort.sort);
+
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="items.${format}"`);
+    await streamItems(res, results, serializers[format]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/import?format=csv|ndjson|json&dryRun=true
+// Admin only. Rows with an `id` replace that item, rows without one create one;
+// `version` and `deletedAt` are ignored, so every export format round-trips.
+// Valid rows are applied even when others are rejected; the response
+// reports the outcome of every row. With dryRun nothing is written.
+router.post('/import', requireRole('admin'), rateLimit('import'), importBody, async (req, res, next) => {
+  try {
+    const format = detectFormat(req.query.format, req.get('Content-Type'));
+    if (!format) {
+      throw new InvalidQueryError('Invalid query parameters', {
+        errors: { format: `must be one of ${FORMATS.join(', ')}, or implied by Content-Type` },
+      });
+    }
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+
+    let rows;
+    try {
+      rows = parseImport(format, req.body);
+    } catch (err) {
+      throw new MalformedBodyError(`Could not parse ${format} import: ${err.message}`, { cause: err });
+    }
+
+    const { repository } = req.app.locals;
+    const existing = new Set((await repository.list()).map(item => item.id));
+    const report = [];
+    const operations = [];
+
+    for (const { row, record, error } of rows) {
+      if (error) {
+        report.push({ row, status: 'rejected', errors: error });
+        continue;
+      }
+      const isObject = record && typeof record === 'object' && !Array.isArray(record);
+      // JSON and NDJSON exports carry the server-managed version (and
+      // deletedAt); they aren't editable, so they are ignored here.
+      const { id, version: _version, deletedAt: _deletedAt, ...payload } = isObject ? record : {};
+      const { value, errors } = validateItem(isObject ? payload : record);
+      if (errors) {
+        report.push({ row, status: 'rejected', errors });
+      } else if (id === undefined) {
+        report.push({ row, status: 'created', id: null });
+        operations.push({ report: report[report.length - 1], op: { type: 'create', fields: value } });
+      } else if (!existing.has(id)) {
+        report.push({ row, status: 'rejected', errors: { id: 'does not match an existing item' } });
+      } else {
+        report.push({ row, status: 'updated', id });
+        operations.push({ report: report[report.length - 1], op: { type: 'replace', id, fields: value } });
+      }
+    }
+
+    if (!dryRun && operations.length) {
+      const results = await repository.bulkWrite(operations.map(o => o.op), writeOptions(req));
+      results.forEach((item, i) => {
+        const entry = operations[i].report;
+        if (item) {
+          entry.id = item.id;
+        } else {
+          // Deleted between validation and write.
+          entry.status = 'rejected';
+          entry.errors = { id: 'does not match an existing item' };
+        }
+      });
+    }
+
+    const summary = { created: 0, updated: 0, rejected: 0 };
+    for (const entry of report) summary[entry.status] += 1;
+    res.json({ dryRun, summary, rows: report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/trash
+// Soft-deleted items, most recently deleted first, each with the time it
+// will be purged (`purgeAt`). Accepts page/limit.
+router.get('/trash', async (req, res, next) => {
+  try {
+    const { page, cursor, limit, errors } = parsePagination(req.query);
+    if (errors || cursor) {
+      throw new InvalidQueryError('Invalid query parameters', {
+        errors: errors || { cursor: 'is not supported for the trash; use page' },
+      });
+    }
+
+    const { repository, retention } = req.app.locals;
+    const items = (await repository.trash())
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || a.id - b.id)
+      .map(item => ({ ...item, purgeAt: retention.purgeAt(item) }));
+
+    const totalPages = Math.max(1, Math.ceil(items.length / limit));
+    const startIndex = (page - 1) * limit;
+    res.set('Link', buildLinkHeader(req, pageLinks(page, totalPages)));
+    res.json({ total: items.length, page, limit, data: items.slice(startIndex, startIndex + limit) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/trash/:id
+// Admin only. Purge a trashed item now instead of waiting for retention.
+router.delete('/trash/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const purged = await req.app.locals.repository.purge({ ids: [id] }, writeOptions(req));
+    if (!purged.length) throw new NotFoundError('Item not found in the trash');
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/items/:id
 router.get('/:id', async (req, res, next) => {
   try {
-    const data = await readData();
-    const item = data.find(i => i.id === parseInt(req.params.id));
-    if (!item) {
-      const err = new Error('Item not found');
-      err.status = 404;
-      throw err;
+    const id = parseInt(req.params.id);
+    const item = await req.app.locals.repository.get(id);
+    sendItem(res, await orDeleted(req, id, item));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id/history
+// Every recorded revision of the item, oldest first. Stays available after
+// the item is deleted.
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const revisions = await req.app.locals.repository.history(id);
+    if (!revisions.length) orNotFound(await req.app.locals.repository.get(id));
+    res.json({ itemId: id, revisions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/revert/:revision
+// Restore the item's fields as they were right after `revision`. The revert
+// is itself recorded as a new revision. Honours If-Match; without it the
+// write still fails with 412 if the item changes while being reverted.
+router.post('/:id/revert/:revision', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { repository } = req.app.locals;
+    const current = await orDeleted(req, id, await repository.get(id));
+    const revisions = await repository.history(id);
+    const target = revisions.find(r => r.revision === Number(req.params.revision));
+    if (!target) throw new NotFoundError('Revision not found');
+    if (target.action === 'deleted') {
+      throw new BadRequestError(`Revision ${target.revision} records a deletion and can't be restored`);
     }
-    res.json(item);
+
+    const options = writeOptions(req);
+    const item = await repository.replace(id, fieldsAt(current, revisions, target.revision), {
+      ...options,
+      ifVersion: options.ifVersion || [current.version],
+      revertedTo: target.revision,
+    });
+    sendItem(res, await orDeleted(req, id, item));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/restore
+// Take an item back out of the trash. Honours If-Match.
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const item = await req.app.locals.repository.restore(parseInt(req.params.id), writeOptions(req));
+    if (!item) throw new NotFoundError('Item not found in the trash');
+    sendItem(res, item);
   } catch (err) {
     next(err);
   }
@@ -60,16 +402,50 @@ router.get('/:id', async (req, res, next) => {
 // POST /api/items
 router.post('/', async (req, res, next) => {
   try {
-    // TODO: Validate payload (intentional omission)
-    const item = req.body;
-    const data = await readData();
-    item.id = Date.now();
-    data.push(item);
-    await writeData(data);
-    res.status(201).json(item);
+    const fields = validatePayload(req.body);
+    const item = await req.app.locals.repository.create(fields, writeOptions(req));
+    sendItem(res, item, 201);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/items/:id — full replacement
+router.put('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const fields = validatePayload(req.body);
+    const item = await req.app.locals.repository.replace(id, fields, writeOptions(req));
+    sendItem(res, await orDeleted(req, id, item));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /api/items/:id — partial update
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const fields = validatePayload(req.body, { partial: true });
+    const item = await req.app.locals.repository.update(id, fields, writeOptions(req));
+    sendItem(res, await orDeleted(req, id, item));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/:id
+// Moves the item to the trash (see GET /trash); it is purged for good once
+// the retention period passes.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const removed = await req.app.locals.repository.remove(id, writeOptions(req));
+    if (!removed) await orDeleted(req, id, null);
+    res.status(204).end();
   } catch (err) {
     next(err);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+
+// GET /metrics
+// Prometheus text format (see src/metrics). The item counts are read from
+// the repository at scrape time.
+router.get('/metrics', async (req, res, next) => {
+  try {
+    const { repository, metrics } = req.app.locals;
+    const [items, trashed] = await Promise.all([repository.list(), repository.trash()]);
+    metrics.items.set({ state: 'active' }, items.length);
+    metrics.items.set({ state: 'trashed' }, trashed.length);
+    res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,104 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
+const { parseFilters, applyFilters, filterKey } = require('../utils/itemFilters');
+const { InvalidQueryError } = require('../utils/errors');
+const { sum, mean, histogram, summarize } = require('../utils/stats');
 const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../data/items.json');
 
-// GET /api/stats
-router.get('/', (req, res, next) => {
-  fs.readFile(DATA_PATH, (err, raw) => {
-    if (err) return next(err);
-
-    const items = JSON.parse(raw);
-    // Intentional heavy CPU calculation
-    const stats = {
-      total: items.length,
-      averagePrice: items.reduce((acc, cur) => acc + cur.price, 0) / items.length
+const DEFAULT_BUCKETS = 10;
+const MAX_BUCKETS = 100;
+// Distinct filter combinations remembered per repository.
+const MAX_CACHE_ENTRIES = 100;
+
+// Computed stats per repository, keyed by filters + bucket count. Each cache
+// is cleared whenever its repository reports a change, so results are only
+// recomputed after the data actually changes.
+const caches = new WeakMap();
+
+function cacheFor(repository) {
+  let cache = caches.get(repository);
+  if (!cache) {
+    // `generation` lets a computation that raced a change avoid caching
+    // results derived from the old data.
+    cache = { entries: new Map(), generation: 0 };
+    repository.on('change', () => {
+      cache.entries.clear();
+      cache.generation += 1;
+    });
+    caches.set(repository, cache);
+  }
+  return cache;
+}
+
+function parseBuckets(value) {
+  if (value === undefined || value === '') return DEFAULT_BUCKETS;
+  const buckets = Number(value);
+  if (!Number.isInteger(buckets) || buckets < 1 || buckets > MAX_BUCKETS) {
+    throw new InvalidQueryError('Invalid query parameters', {
+      errors: { buckets: `must be an integer between 1 and ${MAX_BUCKETS}` },
+    });
+  }
+  return buckets;
+}
+
+function computeStats(items, buckets) {
+  const prices = items.map(item => item.price);
+
+  const byCategory = new Map();
+  for (const item of items) {
+    if (!byCategory.has(item.category)) byCategory.set(item.category, []);
+    byCategory.get(item.category).push(item.price);
+  }
+
+  const categories = [...byCategory.keys()].sort().map(category => {
+    const categoryPrices = byCategory.get(category);
+    return {
+      category,
+      count: categoryPrices.length,
+      totalValue: sum(categoryPrices),
+      price: summarize(categoryPrices),
     };
+  });
+
+  return {
+    total: items.length,
+    averagePrice: mean(prices),
+    totalValue: sum(prices),
+    price: summarize(prices),
+    categories,
+    histogram: histogram(prices, buckets),
+  };
+}
+
+// GET /api/stats
+// Accepts the same category/minPrice/maxPrice filters as GET /api/items,
+// plus `buckets` for the price histogram.
+router.get('/', async (req, res, next) => {
+  try {
+    const { filters, errors } = parseFilters(req.query);
+    if (errors) throw new InvalidQueryError('Invalid query parameters', { errors });
+    const buckets = parseBuckets(req.query.buckets);
+
+    const { repository } = req.app.locals;
+    const cache = cacheFor(repository);
+    const key = `${filterKey(filters)}|${buckets}`;
+
+    let stats = cache.entries.get(key);
+    if (!stats) {
+      const generation = cache.generation;
+      const items = applyFilters(await repository.list(), filters);
+      stats = computeStats(items, buckets);
+      if (generation === cache.generation) {
+        if (cache.entries.size >= MAX_CACHE_ENTRIES) {
+          cache.entries.delete(cache.entries.keys().next().value);
+        }
+        cache.entries.set(key, stats);
+      }
+    }
 
     res.json(stats);
-  });
+  } catch (err) {
+    next(err);
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,96 @@
+const SearchIndex = require('../searchIndex');
+const { tokenize, editDistance } = require('../tokenize');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics' },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics' },
+  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics' },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture' },
+  { id: 5, name: 'Monitor Arm', category: 'Office' },
+  { id: 6, name: 'Café Table', category: 'Furniture' },
+];
+
+let index;
+
+beforeEach(() => {
+  index = new SearchIndex();
+  items.forEach(item => index.add(item));
+});
+
+const ids = results => results.map(r => r.id);
+
+describe('tokenize', () => {
+  test('splits on punctuation and keeps offsets into the original text', () => {
+    expect(tokenize('Ultra‑Wide Monitor')).toEqual([
+      { term: 'ultra', start: 0, end: 5 },
+      { term: 'wide', start: 6, end: 10 },
+      { term: 'monitor', start: 11, end: 18 },
+    ]);
+  });
+
+  test('normalizes case and diacritics', () => {
+    expect(tokenize('CAFÉ').map(t => t.term)).toEqual(['cafe']);
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions, substitutions and transpositions', () => {
+    expect(editDistance('monitr', 'monitor', 2)).toBe(1);
+    expect(editDistance('chiar', 'chair', 2)).toBe(1);
+    expect(editDistance('laptop', 'lapdog', 2)).toBe(2);
+  });
+
+  test('stops early once the limit is exceeded', () => {
+    expect(editDistance('keyboard', 'mouse', 1)).toBe(2);
+  });
+});
+
+describe('SearchIndex', () => {
+  test('matches every word of a multi-word query in any order', () => {
+    expect(ids(index.search('headphone noise'))).toEqual([2]);
+  });
+
+  test('matches prefixes', () => {
+    expect(ids(index.search('lap'))).toEqual([1]);
+  });
+
+  test('tolerates small typos', () => {
+    expect(ids(index.search('monitr')).sort()).toEqual([3, 5]);
+    expect(ids(index.search('ergonmic'))).toEqual([4]);
+  });
+
+  test('does not apply typo tolerance to very short words', () => {
+    expect(index.search('arn')).toEqual([]);
+  });
+
+  test('searches category as well as name', () => {
+    expect(ids(index.search('furniture')).sort()).toEqual([4, 6]);
+  });
+
+  test('ranks exact and name matches above weaker ones', () => {
+    index.add({ id: 7, name: 'Office Chair', category: 'Office' });
+    const results = index.search('office');
+    // Name + category beats category only
+    expect(results[0].id).toBe(7);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('returns highlight ranges for matched words', () => {
+    const [hit] = index.search('noise headph');
+    expect(hit.highlights).toEqual({ name: [[0, 5], [17, 23]], category: [] });
+  });
+
+  test('ignores diacritics in queries', () => {
+    expect(ids(index.search('cafe'))).toEqual([6]);
+  });
+
+  test('updates incrementally', () => {
+    index.add({ id: 3, name: 'Curved Display', category: 'Electronics' });
+    expect(ids(index.search('monitor'))).toEqual([5]);
+    expect(ids(index.search('curved'))).toEqual([3]);
+
+    index.remove(5);
+    expect(index.search('monitor')).toEqual([]);
+    expect(index.postings.has('arm')).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+const SearchIndex = require('./searchIndex');
+
+// One index per repository, built on first search and then kept current
+// from the repository's `change` events instead of being rebuilt.
+const indexes = new WeakMap();
+
+function applyChange(index, { type, item }) {
+  if (type === 'created' || type === 'updated' || type === 'restored') index.add(item);
+  else if (type === 'deleted') index.remove(item.id);
+}
+
+async function build(repository) {
+  const index = new SearchIndex();
+  for (const item of await repository.list()) index.add(item);
+  return index;
+}
+
+/**
+ * Resolve the search index for `repository`, building it if needed.
+ * Changes that arrive while a build is in flight trigger another build, so
+ * the resolved index never misses a write.
+ */
+function searchIndexFor(repository) {
+  let state = indexes.get(repository);
+  if (!state) {
+    state = { index: null, building: null, stale: false };
+    indexes.set(repository, state);
+    repository.on('change', change => {
+      if (state.building || change.type === 'reloaded') {
+        state.stale = true;
+        state.index = null;
+      } else if (state.index) {
+        applyChange(state.index, change);
+      }
+    });
+  }
+
+  if (state.index) return Promise.resolve(state.index);
+  if (!state.building) {
+    state.stale = false;
+    state.building = build(repository)
+      .then(index => {
+        state.building = null;
+        if (state.stale) return searchIndexFor(repository);
+        state.index = index;
+        return index;
+      })
+      .catch(err => {
+        state.building = null;
+        throw err;
+      });
+  }
+  return state.building;
+}
+
+module.exports = { searchIndexFor, SearchIndex };
@@ -0,0 +1,157 @@
+const { tokenize, editDistance } = require('./tokenize');
+
+// Name matches count for more than category matches.
+const FIELD_WEIGHTS = { name: 2, category: 1 };
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// How much each kind of term match is worth relative to an exact one.
+const EXACT = 1;
+const PREFIX = 0.8;
+const TYPO = [null, 0.6, 0.4]; // indexed by edit distance
+
+// Allowed typos grow with word length so short words stay precise.
+function maxTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * In-memory inverted index over item name and category.
+ *
+ * `postings` maps each term to the items (and fields) containing it. Queries
+ * are tokenized the same way; every query token must match some term in an
+ * item, exactly, as a prefix, or within a small edit distance. Items are
+ * ranked by the summed quality × field weight × idf of their best matches.
+ */
+class SearchIndex {
+  constructor() {
+    this.docs = new Map(); // id -> { name: tokens[], category: tokens[] }
+    this.postings = new Map(); // term -> Map(id -> Set(field))
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  add(item) {
+    if (this.docs.has(item.id)) this.remove(item.id);
+    const doc = {};
+    for (const field of FIELDS) {
+      doc[field] = tokenize(item[field] || '');
+      for (const { term } of doc[field]) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const entry = this.postings.get(term);
+        if (!entry.has(item.id)) entry.set(item.id, new Set());
+        entry.get(item.id).add(field);
+      }
+    }
+    this.docs.set(item.id, doc);
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+    for (const field of FIELDS) {
+      for (const { term } of doc[field]) {
+        const entry = this.postings.get(term);
+        if (!entry) continue;
+        entry.delete(id);
+        if (!entry.size) this.postings.delete(term);
+      }
+    }
+    this.docs.delete(id);
+  }
+
+  // Every indexed term that matches `token`, with its match quality.
+  expand(token) {
+    const typos = maxTypos(token.length);
+    const matches = [];
+    for (const term of this.postings.keys()) {
+      if (term === token) {
+        matches.push({ term, quality: EXACT, length: term.length });
+      } else if (token.length >= 2 && term.startsWith(token)) {
+        matches.push({ term, quality: PREFIX, length: token.length });
+      } else if (typos) {
+        const distance = editDistance(token, term, typos);
+        if (distance <= typos) matches.push({ term, quality: TYPO[distance], length: term.length });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Search for `query`. Returns `[{ id, score, highlights }]` sorted by
+   * descending score (ties by id), where `highlights` maps field name to
+   * `[start, end]` ranges in the original field text.
+   */
+  search(query) {
+    const tokens = [...new Set(tokenize(query).map(t => t.term))];
+    if (!tokens.length) return [];
+
+    const total = this.docs.size;
+    // id -> { score, matched: Map(field -> Map(term -> highlight length)) }
+    let candidates = null;
+
+    for (const token of tokens) {
+      const hits = new Map();
+      for (const { term, quality, length } of this.expand(token)) {
+        const entry = this.postings.get(term);
+        const idf = Math.log(1 + total / entry.size);
+        for (const [id, fields] of entry) {
+          for (const field of fields) {
+            const score = quality * FIELD_WEIGHTS[field] * idf;
+            const hit = hits.get(id) || { score: 0, terms: [] };
+            hit.score = Math.max(hit.score, score);
+            hit.terms.push({ field, term, length });
+            hits.set(id, hit);
+          }
+        }
+      }
+
+      // Every query token must match: intersect with earlier tokens.
+      const next = new Map();
+      for (const [id, hit] of hits) {
+        if (candidates && !candidates.has(id)) continue;
+        const previous = candidates ? candidates.get(id) : { score: 0, terms: [] };
+        next.set(id, { score: previous.score + hit.score, terms: previous.terms.concat(hit.terms) });
+      }
+      candidates = next;
+      if (!candidates.size) return [];
+    }
+
+    return [...candidates]
+      .map(([id, { score, terms }]) => ({ id, score, highlights: this.highlight(id, terms) }))
+      .sort((a, b) => b.score - a.score || a.id - b.id);
+  }
+
+  // Character ranges of the matched words, merged and sorted per field.
+  highlight(id, terms) {
+    const doc = this.docs.get(id);
+    const highlights = {};
+    for (const field of FIELDS) {
+      const ranges = [];
+      for (const token of doc[field]) {
+        const length = terms
+          .filter(t => t.field === field && t.term === token.term)
+          .reduce((longest, t) => Math.max(longest, t.length), 0);
+        if (length) ranges.push([token.start, Math.min(token.end, token.start + length)]);
+      }
+      highlights[field] = mergeRanges(ranges);
+    }
+    return highlights;
+  }
+}
+
+function mergeRanges(ranges) {
+  const sorted = ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+}
+
+module.exports = SearchIndex;
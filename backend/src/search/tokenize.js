@@ -0,0 +1,55 @@
+// Split text into searchable terms, remembering where each came from so
+// matches can be highlighted in the original string.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip diacritics so "Café" matches "cafe".
+function normalize(text) {
+  return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Returns `[{ term, start, end }]`, where start/end are offsets of the word
+ * in `text` and `term` is its normalized form.
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text).matchAll(WORD)) {
+    tokens.push({
+      term: normalize(match[0]),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up early once it must exceed `max`.
+ * Returns `max + 1` when the distance is larger than `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+module.exports = { tokenize, normalize, editDistance };
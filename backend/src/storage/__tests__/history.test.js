@@ -0,0 +1,56 @@
+const { diffFields, createRevision, fieldsAt } = require('../history');
+
+const lamp = { id: 7, name: 'Lamp', category: 'Home', price: 20, version: 1 };
+
+describe('diffFields', () => {
+  test('lists only changed fields, with null for absent values', () => {
+    expect(diffFields(lamp, { ...lamp, price: 25, img: '<svg/>' })).toEqual({
+      price: { from: 20, to: 25 },
+      img: { from: null, to: '<svg/>' },
+    });
+    expect(diffFields(lamp, lamp)).toEqual({});
+  });
+});
+
+describe('createRevision', () => {
+  test('records actor, version and revert target', () => {
+    const after = { ...lamp, price: 25, version: 2 };
+    expect(createRevision(3, 'updated', lamp, after, { actor: 'ops', revertedTo: 1, ifVersion: '*' }))
+      .toEqual({
+        revision: 3,
+        itemId: 7,
+        action: 'updated',
+        version: 2,
+        actor: 'ops',
+        timestamp: expect.any(String),
+        changes: { price: { from: 20, to: 25 } },
+        revertedTo: 1,
+      });
+  });
+
+  test('defaults the actor to null', () => {
+    expect(createRevision(1, 'created', null, lamp).actor).toBeNull();
+  });
+});
+
+describe('fieldsAt', () => {
+  const v2 = { ...lamp, price: 25, img: '<svg/>', version: 2 };
+  const v3 = { ...v2, name: 'Desk Lamp', version: 3 };
+  const revisions = [
+    createRevision(1, 'created', null, lamp),
+    createRevision(2, 'updated', lamp, v2),
+    createRevision(3, 'updated', v2, v3),
+  ];
+
+  test('rolls the current state back to a revision', () => {
+    expect(fieldsAt(v3, revisions, 1)).toEqual({ name: 'Lamp', category: 'Home', price: 20 });
+    expect(fieldsAt(v3, revisions, 2)).toEqual({ name: 'Lamp', category: 'Home', price: 25, img: '<svg/>' });
+    expect(fieldsAt(v3, revisions, 3)).toEqual({ name: 'Desk Lamp', category: 'Home', price: 25, img: '<svg/>' });
+  });
+
+  test('keeps fields that predate the recorded history', () => {
+    const seeded = { id: 1, name: 'Chair', category: 'Furniture', price: 100, version: 2 };
+    const history = [createRevision(1, 'updated', { ...seeded, price: 90, version: 1 }, seeded)];
+    expect(fieldsAt(seeded, history, 0)).toEqual({ name: 'Chair', category: 'Furniture', price: 90 });
+  });
+});
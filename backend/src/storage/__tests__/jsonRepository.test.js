@@ -0,0 +1,216 @@
+const JsonRepository = require('../jsonRepository');
+
+jest.mock('fs', () => {
+  const original = jest.requireActual('fs');
+  return {
+    ...original,
+    promises: {
+      readFile: jest.fn(),
+      writeFile: jest.fn(),
+      rename: jest.fn(),
+    },
+    watch: jest.fn(),
+  };
+});
+
+const fs = require('fs');
+
+const FILE = '/data/items.json';
+const sampleData = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until `condition` holds so tests don't depend on exact timer timing.
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('waitFor timed out');
+    await sleep(5);
+  }
+}
+
+// Reads of the catalog itself (the history file is read separately).
+const reads = () => fs.promises.readFile.mock.calls.filter(([file]) => file === FILE).length;
+
+let files;
+let onWatch;
+let repo;
+
+beforeEach(() => {
+  files = { [FILE]: JSON.stringify(sampleData) };
+  fs.promises.readFile.mockImplementation(async (file) => {
+    if (files[file] === undefined) throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+    return files[file];
+  });
+  fs.promises.writeFile.mockImplementation(async (file, data) => {
+    files[file] = data;
+  });
+  fs.promises.rename.mockImplementation(async (from, to) => {
+    files[to] = files[from];
+    delete files[from];
+  });
+  fs.watch.mockImplementation((dir, listener) => {
+    onWatch = listener;
+    return { close: jest.fn() };
+  });
+  repo = new JsonRepository({ filePath: FILE, reloadDelay: 5, maxReloadRetries: 2 });
+});
+
+afterEach(() => {
+  repo.close();
+  jest.clearAllMocks();
+});
+
+test('reads the file once and serves later reads from memory', async () => {
+  await Promise.all([repo.list(), repo.list(), repo.get(1)]);
+  await repo.list();
+  expect(fs.promises.readFile).toHaveBeenCalledTimes(1);
+});
+
+test('watches the containing directory', async () => {
+  await repo.list();
+  expect(fs.watch).toHaveBeenCalledWith('/data', expect.any(Function));
+});
+
+test('own writes update the cache without re-reading', async () => {
+  await repo.list();
+  await repo.create({ name: 'Lamp', category: 'Home', price: 20 });
+  onWatch('rename', 'items.json');
+  await waitFor(() => reads() === 2);
+  await repo.queue;
+
+  expect((await repo.list()).map(i => i.name)).toContain('Lamp');
+  expect(reads()).toBe(2); // initial load + the ignored echo
+});
+
+test('reloads after an external change, debounced', async () => {
+  await repo.list();
+  files[FILE] = JSON.stringify([{ id: 9, name: 'Desk', category: 'Furniture', price: 300 }]);
+  onWatch('change', 'items.json');
+  onWatch('change', 'items.json');
+  onWatch('change', 'items.json');
+  await waitFor(() => reads() === 2);
+  await sleep(20);
+  await repo.queue;
+
+  expect((await repo.list()).map(i => i.id)).toEqual([9]);
+  expect(fs.promises.readFile).toHaveBeenCalledTimes(2);
+});
+
+test('ignores changes to other files in the directory', async () => {
+  await repo.list();
+  onWatch('change', 'other.json');
+  await sleep(20);
+  expect(fs.promises.readFile).toHaveBeenCalledTimes(1);
+});
+
+test('keeps serving the last good copy while the file is half-written', async () => {
+  await repo.list();
+  files[FILE] = '[{ "id": 9, "na';
+  onWatch('change', 'items.json');
+  await waitFor(() => reads() === 2);
+
+  expect((await repo.list()).map(i => i.id)).toEqual([1, 2]);
+
+  files[FILE] = JSON.stringify([{ id: 9, name: 'Desk', category: 'Furniture', price: 300 }]);
+  await waitFor(() => reads() === 3);
+  await repo.queue;
+  expect((await repo.list()).map(i => i.id)).toEqual([9]);
+});
+
+test('gives up after the configured retries and keeps the cache', async () => {
+  const warn = jest.fn();
+  repo = new JsonRepository({ filePath: FILE, reloadDelay: 5, maxReloadRetries: 2, logger: { warn } });
+  await repo.list();
+  files[FILE] = '{ broken';
+  onWatch('change', 'items.json');
+  await waitFor(() => warn.mock.calls.length > 0);
+
+  expect((await repo.list()).map(i => i.id)).toEqual([1, 2]);
+  expect(warn).toHaveBeenCalledWith(
+    expect.stringContaining('Keeping cached items'),
+    expect.objectContaining({ file: FILE, error: expect.any(String) })
+  );
+});
+
+test('reports a directory it cannot watch to the logger', async () => {
+  const warn = jest.fn();
+  repo = new JsonRepository({ filePath: FILE, logger: { warn } });
+  fs.watch.mockImplementation(() => {
+    throw new Error('ENOSPC');
+  });
+
+  expect(await repo.list()).toHaveLength(2);
+  expect(warn).toHaveBeenCalledWith(
+    expect.stringContaining('Not watching'),
+    { file: FILE, error: 'ENOSPC' }
+  );
+});
+
+test('a failed write leaves the cache matching the file', async () => {
+  await repo.list();
+  fs.promises.writeFile.mockRejectedValueOnce(new Error('disk full'));
+
+  await expect(repo.create({ name: 'Lamp', category: 'Home', price: 20 })).rejects.toThrow('disk full');
+  expect(await repo.list()).toHaveLength(2);
+});
+
+test('a failed history write changes nothing', async () => {
+  const changes = [];
+  repo.on('change', change => changes.push(change.type));
+  await repo.list();
+  fs.promises.writeFile.mockImplementation(async (file, data) => {
+    if (file.includes('.history.')) throw new Error('disk full');
+    files[file] = data;
+  });
+
+  await expect(repo.create({ name: 'Lamp', category: 'Home', price: 20 })).rejects.toThrow('disk full');
+  expect(JSON.parse(files[FILE])).toHaveLength(2);
+  expect(await repo.list()).toHaveLength(2);
+  expect(changes).toEqual([]);
+});
+
+test('a failed catalog write takes its revisions back out of the history', async () => {
+  const changes = [];
+  repo.on('change', change => changes.push(change.type));
+  await repo.create({ name: 'Lamp', category: 'Home', price: 20 });
+  fs.promises.writeFile.mockImplementation(async (file, data) => {
+    if (!file.includes('.history.')) throw new Error('disk full');
+    files[file] = data;
+  });
+
+  await expect(repo.update(3, { price: 25 })).rejects.toThrow('disk full');
+  expect(JSON.parse(files[FILE])[2].price).toBe(20);
+  expect((await repo.get(3)).price).toBe(20);
+  expect(JSON.parse(files['/data/items.history.json'])[3]).toHaveLength(1);
+  expect((await repo.history(3)).map(r => r.action)).toEqual(['created']);
+  expect(changes).toEqual(['created']);
+});
+
+test('emits change events for writes and external reloads', async () => {
+  const changes = [];
+  repo.on('change', change => changes.push(change.type));
+
+  await repo.list();
+  await repo.create({ name: 'Lamp', category: 'Home', price: 20 });
+  files[FILE] = JSON.stringify(sampleData);
+  onWatch('change', 'items.json');
+  await waitFor(() => changes.length === 2);
+
+  expect(changes).toEqual(['created', 'reloaded']);
+});
+
+test('bulk replaces reach the trash only when asked to', async () => {
+  await repo.remove(2);
+  const fields = { name: 'Chair', category: 'Furniture', price: 700 };
+
+  expect(await repo.bulkWrite([{ type: 'replace', id: 2, fields }])).toEqual([null]);
+  const [replaced] = await repo.bulkWrite([{ type: 'replace', id: 2, fields, includeDeleted: true }]);
+
+  expect(replaced).toMatchObject({ ...fields, version: 3, deletedAt: expect.any(String) });
+  expect(await repo.get(2)).toBeNull();
+  expect((await repo.trash()).map(i => i.price)).toEqual([700]);
+});
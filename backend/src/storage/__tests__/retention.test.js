@@ -0,0 +1,60 @@
+const SqliteRepository = require('../sqliteRepository');
+const { createRetentionPolicy, schedulePurge } = require('../retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('createRetentionPolicy', () => {
+  test('computes purge times and the expiry cutoff', () => {
+    const policy = createRetentionPolicy({ days: 7 });
+    expect(policy.purgeAt({ deletedAt: '2024-01-01T00:00:00.000Z' })).toBe('2024-01-08T00:00:00.000Z');
+    expect(policy.cutoff(new Date('2024-01-08T00:00:00.000Z')).toISOString()).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('defaults to 30 days and rejects nonsense', () => {
+    expect(createRetentionPolicy().days).toBe(30);
+    expect(() => createRetentionPolicy({ days: 0 })).toThrow(/TRASH_RETENTION_DAYS/);
+    expect(() => createRetentionPolicy({ days: NaN })).toThrow(/TRASH_RETENTION_DAYS/);
+  });
+});
+
+describe('schedulePurge', () => {
+  let repo;
+  let stop;
+
+  beforeEach(() => {
+    repo = new SqliteRepository({ filename: ':memory:' });
+    repo.seed([
+      { id: 1, name: 'Lamp', category: 'Home', price: 20 },
+      { id: 2, name: 'Desk', category: 'Furniture', price: 300 },
+    ]);
+  });
+
+  afterEach(() => {
+    stop();
+    repo.close();
+  });
+
+  test('purges expired trash right away and logs the ids', async () => {
+    await repo.remove(1);
+    const logged = new Promise(resolve => {
+      const logger = { info: (msg, fields) => resolve({ msg, fields }), error: jest.fn() };
+      // Everything in the trash counts as expired for a policy a day ahead.
+      const policy = createRetentionPolicy({ days: 1 });
+      stop = schedulePurge(repo, { cutoff: () => policy.cutoff(new Date(Date.now() + 2 * DAY_MS)) }, { logger });
+    });
+
+    expect(await logged).toEqual({ msg: 'Purged expired items from the trash', fields: { ids: [1] } });
+    expect(await repo.trash()).toEqual([]);
+    expect((await repo.history(1)).map(r => r.actor)).toEqual([null, 'system:retention']);
+  });
+
+  test('logs failures instead of throwing', async () => {
+    repo.purge = async () => {
+      throw new Error('database is locked');
+    };
+    const failed = new Promise(resolve => {
+      stop = schedulePurge(repo, createRetentionPolicy(), { logger: { info: jest.fn(), error: resolve } });
+    });
+    expect(await failed).toBe('Trash purge failed');
+  });
+});
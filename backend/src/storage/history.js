@@ -0,0 +1,72 @@
+// Revision history helpers shared by the storage adapters.
+//
+// Every write appends an immutable revision:
+//   { revision, itemId, action, version, actor, timestamp, changes, revertedTo? }
+// `revision` counts from 1 per item, `action` is 'created' | 'updated' |
+// 'deleted' | 'restored' | 'purged', and `changes` maps each changed field to
+// `{ from, to }` (null standing for "absent"). Items in the trash count as
+// absent, so a delete lists every field going to null and a restore the
+// reverse.
+
+const FIELDS = ['name', 'category', 'price', 'img'];
+
+function valueOf(item, field) {
+  return item && item[field] !== undefined ? item[field] : null;
+}
+
+// Field-level diff between two item states; either side may be null.
+function diffFields(before, after) {
+  const changes = {};
+  for (const field of FIELDS) {
+    const from = valueOf(before, field);
+    const to = valueOf(after, field);
+    if (from !== to) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// The item as the catalog shows it: null when missing or in the trash.
+function visible(item) {
+  return item && !item.deletedAt ? item : null;
+}
+
+/**
+ * Build the revision for one write. `before` is null for creates and
+ * `after` is null for purges. `options` are the mutation options, of which
+ * `actor` and `revertedTo` are recorded.
+ */
+function createRevision(revision, action, before, after, { actor = null, revertedTo } = {}) {
+  const item = after || before;
+  const entry = {
+    revision,
+    itemId: item.id,
+    action,
+    version: item.version,
+    actor,
+    timestamp: new Date().toISOString(),
+    changes: diffFields(visible(before), visible(after)),
+  };
+  if (revertedTo !== undefined) entry.revertedTo = revertedTo;
+  return entry;
+}
+
+/**
+ * The item's fields as of revision `n`, found by rolling `current` back
+ * through every later revision. `revisions` must be the item's complete
+ * history in order.
+ */
+function fieldsAt(current, revisions, n) {
+  const fields = {};
+  for (const field of FIELDS) {
+    if (valueOf(visible(current), field) !== null) fields[field] = current[field];
+  }
+  for (let i = revisions.length - 1; i >= 0 && revisions[i].revision > n; i--) {
+    for (const [field, { from }] of Object.entries(revisions[i].changes)) {
+      if (from === null) delete fields[field];
+      else fields[field] = from;
+    }
+  }
+  return fields;
+}
+
+module.exports = { diffFields, createRevision, fieldsAt };
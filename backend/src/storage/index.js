@@ -0,0 +1,65 @@
+const path = require('path');
+const JsonRepository = require('./jsonRepository');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../../../data/items.json');
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '../../../data/items.db');
+const DRIVERS = ['json', 'sqlite'];
+
+/**
+ * Create the item repository selected by configuration.
+ *
+ * Every adapter implements the same async interface:
+ *   list()                          -> Item[] (excluding the trash)
+ *   trash()                         -> Item[] (soft-deleted, with `deletedAt`)
+ *   get(id, { includeDeleted })     -> Item | null
+ *   create(fields, options)         -> Item (with a freshly assigned id)
+ *   replace(id, fields, options)    -> Item | null
+ *   update(id, changes, options)    -> Item | null
+ *   remove(id, options)             -> boolean (moves the item to the trash)
+ *   restore(id, options)            -> Item | null (takes it back out)
+ *   purge({ ids } | { before }, options) -> purged ids (trash only, permanent)
+ *   bulkWrite(operations, options)  -> Array<Item | null>
+ *     operations: { type: 'create', fields } | { type: 'replace', id, fields },
+ *     applied together (one file write / one transaction); a replace with
+ *     `includeDeleted: true` also matches an item in the trash, which stays there
+ *   history(id)                     -> Revision[] (oldest first; see ./history)
+ *   check()                         -> resolves if the store can be read and
+ *                                      parsed right now, rejects otherwise
+ *
+ * Every item carries a `version` that starts at 1 and increments on each
+ * write. Mutations accept `options.ifVersion` ('*' or an array of versions)
+ * and reject with a 412 error when the stored item no longer matches.
+ *
+ * Each write appends a revision recording `options.actor` (who made it)
+ * and, for reverts, `options.revertedTo` (the revision restored).
+ *
+ * Apart from `trash`, `includeDeleted` lookups and replaces, `restore` and `purge`,
+ * methods treat items in the trash as missing.
+ *
+ * Repositories are EventEmitters and emit `change` after every successful
+ * write with `{ type, item }`, where type is 'created', 'updated',
+ * 'deleted', 'restored' or 'purged', or `{ type: 'reloaded' }` when the
+ * JSON file was edited outside the app.
+ *
+ * Options come from `config.storage` (see src/config). Warnings, such as a
+ * JSON file that could not be reloaded, go to `logger` (see utils/log).
+ */
+function createRepository({
+  driver = 'json',
+  dataPath = DEFAULT_DATA_PATH,
+  sqlitePath = DEFAULT_SQLITE_PATH,
+} = {}, { logger } = {}) {
+  switch (driver) {
+    case 'json':
+      return new JsonRepository({ filePath: dataPath, logger });
+    case 'sqlite': {
+      // Required lazily so the native module is only loaded when selected.
+      const SqliteRepository = require('./sqliteRepository');
+      return new SqliteRepository({ filename: sqlitePath, seedPath: dataPath });
+    }
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected ${DRIVERS.join(' or ')})`);
+  }
+}
+
+module.exports = { createRepository, DRIVERS, DEFAULT_DATA_PATH, DEFAULT_SQLITE_PATH };
@@ -0,0 +1,329 @@
+const { EventEmitter } = require('events');
+const fsSync = require('fs');
+const fs = require('fs').promises; // Use promises for async operations
+const path = require('path');
+const { versionConflict, matchesVersion } = require('./versioning');
+const { createRevision } = require('./history');
+const { DataCorruptionError } = require('../utils/errors');
+const { createLogger } = require('../utils/log');
+
+/**
+ * Item repository backed by a single JSON array on disk.
+ * Every mutation rewrites the whole file, so this adapter suits small
+ * catalogs and local development; use the SQLite adapter for anything larger.
+ *
+ * The catalog is parsed once and served from memory. Our own writes update
+ * the in-memory copy directly; edits made to the file by anything else are
+ * picked up through `fs.watch` (debounced by `reloadDelay` ms).
+ *
+ * Mutations are serialized through a promise queue so concurrent requests
+ * can't interleave their read-modify-write cycles, and the file is replaced
+ * atomically (temp file + rename) so a crash never leaves it truncated.
+ *
+ * Revision history is kept next to the catalog in `historyPath` (by default
+ * items.history.json for items.json), as an object mapping item ids to their
+ * revisions. Edits made to the catalog file outside the app aren't recorded.
+ *
+ * Problems watching or reloading the file are reported to `logger` (see
+ * utils/log); without one they are dropped.
+ */
+class JsonRepository extends EventEmitter {
+  constructor({
+    filePath, historyPath, reloadDelay = 100, maxReloadRetries = 5, logger = createLogger({ level: 'silent' }),
+  }) {
+    super();
+    this.filePath = filePath;
+    this.historyPath = historyPath || filePath.replace(/(\.json)?$/, '.history.json');
+    this.reloadDelay = reloadDelay;
+    this.maxReloadRetries = maxReloadRetries;
+    this.logger = logger;
+    // Highest id ever handed out by this repository. Never decreases, so
+    // deleting the newest item can't cause its id to be reused.
+    this.lastId = 0;
+    this.queue = Promise.resolve();
+    this.items = null;
+    this.loading = null;
+    this.revisions = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    // Contents of our last write, so the watch event it triggers is ignored.
+    this.lastWritten = null;
+  }
+
+  async readData() {
+    const raw = await fs.readFile(this.filePath, 'utf-8');
+    const data = parseJson(this.filePath, raw);
+    if (!Array.isArray(data)) {
+      throw new DataCorruptionError(`${this.filePath} does not contain an array of items`);
+    }
+    return { raw, data };
+  }
+
+  async writeData(data) {
+    const raw = JSON.stringify(data, null, 2);
+    this.lastWritten = raw;
+    await writeAtomic(this.filePath, raw);
+  }
+
+  // Load the revision history on first use; a missing file means no history.
+  async loadHistory() {
+    if (!this.revisions) {
+      let raw;
+      try {
+        raw = await fs.readFile(this.historyPath, 'utf-8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      this.revisions = raw ? parseJson(this.historyPath, raw) : {};
+    }
+    return this.revisions;
+  }
+
+  // Load the dataset on first use; concurrent callers share one read.
+  async load() {
+    if (this.items) return this.items;
+    if (!this.loading) {
+      this.loading = this.readData()
+        .then(({ raw, data }) => {
+          this.items = data;
+          this.lastWritten = raw;
+          this.watch();
+          return data;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  // Watch the directory rather than the file: an atomic rename replaces the
+  // file's inode, which would silently end a watch on the file itself.
+  watch() {
+    if (this.watcher) return;
+    const fileName = path.basename(this.filePath);
+    try {
+      this.watcher = fsSync.watch(path.dirname(this.filePath), (event, changed) => {
+        if (!changed || changed === fileName) this.scheduleReload();
+      });
+    } catch (err) {
+      this.logger.warn('Not watching the catalog file for changes', { file: this.filePath, error: err.message });
+    }
+  }
+
+  scheduleReload(attempt = 0) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.reload(attempt), this.reloadDelay);
+  }
+
+  // Re-read the file after an external change. A file that fails to parse is
+  // most likely still being written, so keep serving the last good copy and
+  // try again shortly.
+  reload(attempt) {
+    return this.serialize(async () => {
+      let result;
+      try {
+        result = await this.readData();
+      } catch (err) {
+        if (attempt < this.maxReloadRetries) {
+          this.scheduleReload(attempt + 1);
+        } else {
+          this.logger.warn('Keeping cached items; could not reload the catalog file', {
+            file: this.filePath,
+            error: err.message,
+          });
+        }
+        return;
+      }
+      if (result.raw === this.lastWritten) return;
+      this.items = result.data;
+      this.lastWritten = result.raw;
+      this.emit('change', { type: 'reloaded' });
+    });
+  }
+
+  // Run `task` after every previously queued mutation has settled.
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Ids that only survive in the history (deleted items) are never reused.
+  nextId(data, revisions) {
+    this.lastId = data.reduce((max, item) => Math.max(max, item.id), this.lastId);
+    this.lastId = Object.keys(revisions).reduce((max, id) => Math.max(max, Number(id)), this.lastId);
+    this.lastId += 1;
+    return this.lastId;
+  }
+
+  // Write `data` and a revision per change to disk, then make them the
+  // in-memory copies and announce each change. Changes are
+  // `{ type, before, item }`. Both files are written or neither is: the
+  // history goes first, and if the catalog write then fails the revisions
+  // are taken back out, so nothing changes and the caller sees the error.
+  // (Should that rollback fail too, the in-memory history is still the old
+  // one and the next write replaces the file with it.)
+  async commit(data, changes, options) {
+    const current = await this.loadHistory();
+    const revisions = { ...current };
+    for (const { type, before, item } of changes) {
+      const previous = revisions[item.id] || [];
+      const revision = createRevision(
+        previous.length + 1, type, before, type === 'purged' ? null : item, options
+      );
+      revisions[item.id] = [...previous, revision];
+    }
+    await writeAtomic(this.historyPath, JSON.stringify(revisions, null, 2));
+    try {
+      await this.writeData(data);
+    } catch (err) {
+      await writeAtomic(this.historyPath, JSON.stringify(current, null, 2)).catch(() => {});
+      throw err;
+    }
+    this.items = data;
+    this.revisions = revisions;
+    for (const { type, item } of changes) this.emit('change', { type, item });
+  }
+
+  // Re-read the file rather than trusting the cache, so a catalog that was
+  // deleted or corrupted on disk fails the check.
+  async check() {
+    await this.readData();
+  }
+
+  async history(id) {
+    const revisions = (await this.loadHistory())[id] || [];
+    return revisions.map(revision => ({ ...revision }));
+  }
+
+  async list() {
+    return (await this.load()).filter(item => !item.deletedAt).map(withVersion);
+  }
+
+  async trash() {
+    return (await this.load()).filter(item => item.deletedAt).map(withVersion);
+  }
+
+  async get(id, { includeDeleted = false } = {}) {
+    const data = await this.load();
+    const item = data.find(i => i.id === id && (includeDeleted || !i.deletedAt));
+    return item ? withVersion(item) : null;
+  }
+
+  async create(fields, options) {
+    return this.serialize(async () => {
+      const data = (await this.load()).slice();
+      const item = { id: this.nextId(data, await this.loadHistory()), ...fields, version: 1 };
+      data.push(item);
+      await this.commit(data, [{ type: 'created', before: null, item }], options);
+      return item;
+    });
+  }
+
+  async replace(id, fields, options) {
+    return this.mutate(id, options, current => ({ id: current.id, ...fields }));
+  }
+
+  async update(id, changes, options) {
+    return this.mutate(id, options, current => ({ ...current, ...changes }));
+  }
+
+  // Apply many creates/replaces with a single file write.
+  async bulkWrite(operations, options) {
+    return this.serialize(async () => {
+      const data = (await this.load()).slice();
+      const revisions = await this.loadHistory();
+      const changes = [];
+      const results = operations.map(op => {
+        if (op.type === 'create') {
+          const item = { id: this.nextId(data, revisions), ...op.fields, version: 1 };
+          data.push(item);
+          changes.push({ type: 'created', before: null, item });
+          return item;
+        }
+        const index = data.findIndex(i => i.id === op.id && (op.includeDeleted || !i.deletedAt));
+        if (index === -1) return null;
+        const current = withVersion(data[index]);
+        const { deletedAt } = current;
+        data[index] = {
+          id: current.id, ...op.fields, ...(deletedAt && { deletedAt }), version: current.version + 1,
+        };
+        changes.push({ type: 'updated', before: current, item: data[index] });
+        return data[index];
+      });
+      if (changes.length) await this.commit(data, changes, options);
+      return results;
+    });
+  }
+
+  // Soft delete: the item moves to the trash until restored or purged.
+  async remove(id, options) {
+    const deletedAt = new Date().toISOString();
+    const item = await this.mutate(id, options, current => ({ ...current, deletedAt }), 'deleted');
+    return Boolean(item);
+  }
+
+  async restore(id, options) {
+    return this.mutate(id, options, ({ deletedAt: _deletedAt, ...current }) => current, 'restored');
+  }
+
+  // Permanently remove trashed items: `ids`, or every item deleted before
+  // `before`. Resolves to the ids purged. History is kept.
+  async purge({ ids, before } = {}, options) {
+    return this.serialize(async () => {
+      const data = await this.load();
+      const doomed = data.filter(item =>
+        item.deletedAt && (ids ? ids.includes(item.id) : item.deletedAt < before.toISOString())
+      );
+      if (!doomed.length) return [];
+      const changes = doomed.map(item => ({ type: 'purged', before: item, item: withVersion(item) }));
+      await this.commit(data.filter(item => !doomed.includes(item)), changes, options);
+      return doomed.map(item => item.id);
+    });
+  }
+
+  // Replace the item with `apply(current)`, bumping its version. Only items
+  // outside the trash qualify, except for restores.
+  async mutate(id, options = {}, apply, type = 'updated') {
+    return this.serialize(async () => {
+      const data = (await this.load()).slice();
+      const inTrash = type === 'restored';
+      const index = data.findIndex(i => i.id === id && Boolean(i.deletedAt) === inTrash);
+      if (index === -1) return null;
+      const current = withVersion(data[index]);
+      if (!matchesVersion(current, options.ifVersion)) throw versionConflict(current);
+      data[index] = { ...apply(current), version: current.version + 1 };
+      await this.commit(data, [{ type, before: current, item: data[index] }], options);
+      return data[index];
+    });
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+}
+
+function parseJson(filePath, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new DataCorruptionError(`${filePath} is not valid JSON: ${err.message}`, { cause: err });
+  }
+}
+
+// Replace `filePath` via a temp file + rename so readers never see it half-written.
+async function writeAtomic(filePath, raw) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, raw);
+  await fs.rename(tmpPath, filePath);
+}
+
+// Items written before versioning existed count as version 1.
+function withVersion(item) {
+  return item.version ? item : { ...item, version: 1 };
+}
+
+module.exports = JsonRepository;
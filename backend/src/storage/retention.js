@@ -0,0 +1,39 @@
+// Permanent removal of items that have sat in the trash for too long.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long deleted items stay restorable, in `days`.
+ */
+function createRetentionPolicy({ days = 30 } = {}) {
+  if (!(days > 0)) {
+    throw new Error(`Invalid TRASH_RETENTION_DAYS "${days}" (expected a positive number of days)`);
+  }
+  return {
+    days,
+    // When a trashed item becomes eligible for purging
+    purgeAt: item => new Date(Date.parse(item.deletedAt) + days * DAY_MS).toISOString(),
+    // Items deleted before this moment are expired
+    cutoff: (now = new Date()) => new Date(now.getTime() - days * DAY_MS),
+  };
+}
+
+/**
+ * Purge expired items now and then every `intervalMs`, logging what was
+ * removed. Returns a function that stops the schedule.
+ */
+function schedulePurge(repository, policy, { intervalMs = 60 * 60 * 1000, logger } = {}) {
+  const run = async () => {
+    try {
+      const ids = await repository.purge({ before: policy.cutoff() }, { actor: 'system:retention' });
+      if (ids.length) logger.info('Purged expired items from the trash', { ids });
+    } catch (err) {
+      logger.error('Trash purge failed', { error: { message: err.message, stack: err.stack } });
+    }
+  };
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { createRetentionPolicy, schedulePurge };
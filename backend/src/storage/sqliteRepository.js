@@ -0,0 +1,274 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { versionConflict, matchesVersion } = require('./versioning');
+const { createRevision } = require('./history');
+
+const COLUMNS = ['name', 'category', 'price', 'img'];
+
+/**
+ * Item repository backed by an embedded SQLite database.
+ * Mutations touch a single row, so cost no longer grows with catalog size.
+ * better-sqlite3 is synchronous, so each version check and write below runs
+ * without yielding and can't interleave with another request.
+ * When the table is empty and `seedPath` points at a JSON array, it is
+ * imported once so switching adapters keeps the existing catalog.
+ * Revisions go to a `revisions` table in the same transaction as the write.
+ */
+class SqliteRepository extends EventEmitter {
+  constructor({ filename, seedPath } = {}) {
+    super();
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    // AUTOINCREMENT guarantees ids are never reused, even after deletes.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        category TEXT NOT NULL,
+        price REAL NOT NULL,
+        img TEXT,
+        version INTEGER NOT NULL DEFAULT 1,
+        deleted_at TEXT
+      )
+    `);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS revisions (
+        item_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        actor TEXT,
+        timestamp TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        reverted_to INTEGER,
+        PRIMARY KEY (item_id, revision)
+      )
+    `);
+    // Databases created before versioning or soft deletes lack the columns.
+    const columns = this.db.prepare('PRAGMA table_info(items)').all().map(c => c.name);
+    if (!columns.includes('version')) {
+      this.db.exec('ALTER TABLE items ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    }
+    if (!columns.includes('deleted_at')) {
+      this.db.exec('ALTER TABLE items ADD COLUMN deleted_at TEXT');
+    }
+
+    this.statements = {
+      list: this.db.prepare('SELECT * FROM items WHERE deleted_at IS NULL ORDER BY id'),
+      trash: this.db.prepare('SELECT * FROM items WHERE deleted_at IS NOT NULL ORDER BY id'),
+      get: this.db.prepare('SELECT * FROM items WHERE id = ? AND deleted_at IS NULL'),
+      getAny: this.db.prepare('SELECT * FROM items WHERE id = ?'),
+      getTrashed: this.db.prepare('SELECT * FROM items WHERE id = ? AND deleted_at IS NOT NULL'),
+      insert: this.db.prepare(
+        'INSERT INTO items (name, category, price, img) VALUES (@name, @category, @price, @img)'
+      ),
+      insertWithId: this.db.prepare(
+        'INSERT INTO items (id, name, category, price, img) VALUES (@id, @name, @category, @price, @img)'
+      ),
+      replace: this.db.prepare(
+        `UPDATE items SET name = @name, category = @category, price = @price, img = @img,
+           version = version + 1
+         WHERE id = @id`
+      ),
+      setDeletedAt: this.db.prepare(
+        'UPDATE items SET deleted_at = @deletedAt, version = version + 1 WHERE id = @id'
+      ),
+      purge: this.db.prepare('DELETE FROM items WHERE id = ?'),
+      expired: this.db.prepare(
+        'SELECT * FROM items WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY id'
+      ),
+      count: this.db.prepare('SELECT COUNT(*) AS n FROM items'),
+      history: this.db.prepare('SELECT * FROM revisions WHERE item_id = ? ORDER BY revision'),
+      lastRevision: this.db.prepare('SELECT MAX(revision) AS n FROM revisions WHERE item_id = ?'),
+      insertRevision: this.db.prepare(
+        `INSERT INTO revisions (item_id, revision, action, version, actor, timestamp, changes, reverted_to)
+         VALUES (@itemId, @revision, @action, @version, @actor, @timestamp, @changes, @revertedTo)`
+      ),
+    };
+    // Changes recorded by the running transaction, announced once it commits.
+    this.pending = [];
+
+    if (seedPath && this.statements.count.get().n === 0 && fs.existsSync(seedPath)) {
+      this.seed(JSON.parse(fs.readFileSync(seedPath, 'utf-8')));
+    }
+  }
+
+  seed(items) {
+    const insertAll = this.db.transaction(rows => {
+      for (const row of rows) this.statements.insertWithId.run(toRow(row));
+    });
+    insertAll(items);
+  }
+
+  async list() {
+    return this.statements.list.all().map(fromRow);
+  }
+
+  async trash() {
+    return this.statements.trash.all().map(fromRow);
+  }
+
+  async get(id, { includeDeleted = false } = {}) {
+    const row = (includeDeleted ? this.statements.getAny : this.statements.get).get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  async check() {
+    this.statements.count.get();
+  }
+
+  async history(id) {
+    return this.statements.history.all(id).map(fromRevisionRow);
+  }
+
+  async create(fields, options) {
+    return this.transact(() => this.inserted(fields, options));
+  }
+
+  async replace(id, fields, options = {}) {
+    return this.transact(() => {
+      const current = this.checkVersion(id, options.ifVersion);
+      if (!current) return null;
+      this.statements.replace.run(toRow({ ...fields, id }));
+      return this.updated(current, options);
+    });
+  }
+
+  async update(id, changes, options = {}) {
+    return this.transact(() => {
+      const current = this.checkVersion(id, options.ifVersion);
+      if (!current) return null;
+      this.statements.replace.run(toRow({ ...current, ...changes }));
+      return this.updated(current, options);
+    });
+  }
+
+  // Apply many creates/replaces in one transaction.
+  async bulkWrite(operations, options) {
+    return this.transact(() => operations.map(op => {
+      if (op.type === 'create') return this.inserted(op.fields, options);
+      const current = (op.includeDeleted ? this.statements.getAny : this.statements.get).get(op.id);
+      if (!current) return null;
+      this.statements.replace.run(toRow({ ...op.fields, id: op.id }));
+      return this.updated(fromRow(current), options);
+    }));
+  }
+
+  // Soft delete: the item moves to the trash until restored or purged.
+  async remove(id, options = {}) {
+    return this.transact(() => {
+      const current = this.checkVersion(id, options.ifVersion);
+      if (!current) return false;
+      this.statements.setDeletedAt.run({ id, deletedAt: new Date().toISOString() });
+      this.updated(current, options, 'deleted');
+      return true;
+    });
+  }
+
+  async restore(id, options = {}) {
+    return this.transact(() => {
+      const current = this.checkVersion(id, options.ifVersion, this.statements.getTrashed);
+      if (!current) return null;
+      this.statements.setDeletedAt.run({ id, deletedAt: null });
+      return this.updated(current, options, 'restored');
+    });
+  }
+
+  // Permanently remove trashed items: `ids`, or every item deleted before
+  // `before`. Resolves to the ids purged. History is kept.
+  async purge({ ids, before } = {}, options) {
+    return this.transact(() => {
+      const rows = ids
+        ? ids.map(id => this.statements.getTrashed.get(id)).filter(Boolean)
+        : this.statements.expired.all(before.toISOString());
+      return rows.map(row => {
+        const item = fromRow(row);
+        this.statements.purge.run(item.id);
+        this.record('purged', item, null, options);
+        return item.id;
+      });
+    });
+  }
+
+  // Run `work` in a transaction, then emit the changes it recorded.
+  transact(work) {
+    this.pending = [];
+    const result = this.db.transaction(work)();
+    const changes = this.pending;
+    this.pending = [];
+    for (const change of changes) this.emit('change', change);
+    return result;
+  }
+
+  inserted(fields, options) {
+    const { lastInsertRowid } = this.statements.insert.run(toRow(fields));
+    const item = fromRow(this.statements.get.get(Number(lastInsertRowid)));
+    this.record('created', null, item, options);
+    return item;
+  }
+
+  updated(before, options, action = 'updated') {
+    const item = fromRow(this.statements.getAny.get(before.id));
+    this.record(action, before, item, options);
+    return item;
+  }
+
+  // Append a revision and queue the change event for after the commit.
+  record(action, before, after, options) {
+    const item = after || before;
+    const revision = (this.statements.lastRevision.get(item.id).n || 0) + 1;
+    const entry = createRevision(revision, action, before, after, options);
+    this.statements.insertRevision.run({
+      ...entry,
+      changes: JSON.stringify(entry.changes),
+      revertedTo: entry.revertedTo === undefined ? null : entry.revertedTo,
+    });
+    this.pending.push({ type: action, item });
+  }
+
+  // Returns the current row (or null) and throws if the precondition fails.
+  // Looks outside the trash unless given another lookup statement.
+  checkVersion(id, ifVersion, lookup = this.statements.get) {
+    const row = lookup.get(id);
+    if (!row) return null;
+    const current = fromRow(row);
+    if (!matchesVersion(current, ifVersion)) throw versionConflict(current);
+    return current;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function toRow(item) {
+  const row = { id: item.id };
+  for (const column of COLUMNS) row[column] = item[column] === undefined ? null : item[column];
+  return row;
+}
+
+// Drop NULL optional columns so both adapters return identical shapes.
+function fromRow(row) {
+  const item = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (value !== null) item[key === 'deleted_at' ? 'deletedAt' : key] = value;
+  }
+  return item;
+}
+
+function fromRevisionRow(row) {
+  const revision = {
+    revision: row.revision,
+    itemId: row.item_id,
+    action: row.action,
+    version: row.version,
+    actor: row.actor,
+    timestamp: row.timestamp,
+    changes: JSON.parse(row.changes),
+  };
+  if (row.reverted_to !== null) revision.revertedTo = row.reverted_to;
+  return revision;
+}
+
+module.exports = SqliteRepository;
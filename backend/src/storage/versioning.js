@@ -0,0 +1,20 @@
+// Optimistic locking helpers shared by the storage adapters.
+const { PreconditionFailedError } = require('../utils/errors');
+
+/**
+ * True when `item` satisfies the caller's precondition.
+ * `ifVersion` is undefined (no precondition), '*' (any existing item)
+ * or an array of acceptable version numbers.
+ */
+function matchesVersion(item, ifVersion) {
+  if (ifVersion === undefined || ifVersion === '*') return true;
+  return ifVersion.includes(item.version);
+}
+
+function versionConflict(item) {
+  return new PreconditionFailedError('Item has been modified since it was read', {
+    extensions: { currentVersion: item.version },
+  });
+}
+
+module.exports = { matchesVersion, versionConflict };
@@ -0,0 +1,32 @@
+const { parseCsv, toCsvRow } = require('../csv');
+
+describe('parseCsv', () => {
+  test('parses plain records with CRLF or LF line endings', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('handles quoted commas, newlines and doubled quotes', () => {
+    expect(parseCsv('name,img\n"Desk, oak","<svg a=""1"">\n</svg>"\n')).toEqual([
+      ['name', 'img'],
+      ['Desk, oak', '<svg a="1">\n</svg>'],
+    ]);
+  });
+
+  test('keeps empty fields and skips blank lines', () => {
+    expect(parseCsv('a,b,c\n\n1,,3\n')).toEqual([['a', 'b', 'c'], ['1', '', '3']]);
+  });
+
+  test('strips a byte order mark', () => {
+    expect(parseCsv('\uFEFFid\n1')).toEqual([['id'], ['1']]);
+  });
+
+  test('rejects an unterminated quote', () => {
+    expect(() => parseCsv('a\n"oops')).toThrow('Unterminated');
+  });
+});
+
+test('toCsvRow quotes only when needed and round-trips', () => {
+  const row = toCsvRow([1, 'Desk, oak', 'say "hi"', undefined]);
+  expect(row).toBe('1,"Desk, oak","say ""hi""",\r\n');
+  expect(parseCsv(row)).toEqual([['1', 'Desk, oak', 'say "hi"', '']]);
+});
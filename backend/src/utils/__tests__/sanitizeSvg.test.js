@@ -0,0 +1,61 @@
+const { sanitizeSvg } = require('../sanitizeSvg');
+
+describe('sanitizeSvg', () => {
+  test('leaves clean markup unchanged', () => {
+    const svg = "<svg viewBox='0 0 24 24' width='24' height='24'><rect x='3' y='6' width='18' height='12' rx='2' fill='#888'/></svg>";
+    expect(sanitizeSvg(svg)).toBe(svg);
+  });
+
+  test('removes scripts and event handlers', () => {
+    expect(sanitizeSvg('<svg onload="alert(1)"><script>alert(1)</script><rect onclick="x()"/></svg>'))
+      .toBe('<svg><rect/></svg>');
+  });
+
+  test('matches element names case-insensitively', () => {
+    expect(sanitizeSvg('<SVG><SCRIPT>alert(1)</SCRIPT><Rect WIDTH="1"/></SVG>'))
+      .toBe('<svg><rect width="1"/></svg>');
+  });
+
+  test('drops foreignObject, style, image and links with their content', () => {
+    const input = '<svg><foreignObject><iframe src="x"></iframe></foreignObject>'
+      + '<style>*{background:url(http://x)}</style><image href="http://x/a.png"/>'
+      + '<a href="javascript:alert(1)"><text>click</text></a><circle r="1"/></svg>';
+    expect(sanitizeSvg(input)).toBe('<svg><circle r="1"/></svg>');
+  });
+
+  test('only allows same-document references', () => {
+    expect(sanitizeSvg('<svg><use href="http://evil/x.svg#a"/><use xlink:href="#shape"/></svg>'))
+      .toBe('<svg><use/><use xlink:href="#shape"/></svg>');
+    expect(sanitizeSvg('<svg><rect fill="url(http://evil/)" stroke="url(#grad)"/></svg>'))
+      .toBe('<svg><rect stroke="url(#grad)"/></svg>');
+  });
+
+  test('decodes entities before checking attribute values', () => {
+    expect(sanitizeSvg('<svg><rect fill="ur&#x6c;(http://evil/)"/></svg>')).toBe('<svg><rect/></svg>');
+    expect(sanitizeSvg('<svg><use href="&#106;avascript:alert(1)"/></svg>')).toBe('<svg><use/></svg>');
+  });
+
+  test('removes comments, doctypes and anything outside the root', () => {
+    expect(sanitizeSvg('<!DOCTYPE svg [<!ENTITY x "y">]><!-- hi --><svg><g/></svg><script>x</script>'))
+      .toBe('<svg><g/></svg>');
+  });
+
+  test('keeps text content escaped', () => {
+    expect(sanitizeSvg('<svg><text>a &lt; b &amp; c</text></svg>')).toBe('<svg><text>a &lt; b &amp; c</text></svg>');
+  });
+
+  test('closes unclosed elements', () => {
+    expect(sanitizeSvg('<svg><g><rect/>')).toBe('<svg><g><rect/></g></svg>');
+  });
+
+  test('returns an empty string without an svg root', () => {
+    expect(sanitizeSvg('<div>hi</div>')).toBe('');
+    expect(sanitizeSvg('plain text')).toBe('');
+    expect(sanitizeSvg(42)).toBe('');
+  });
+
+  test('is idempotent', () => {
+    const once = sanitizeSvg('<svg><text x=\'a"b\' y="c\'d">&quot;</text></svg>');
+    expect(sanitizeSvg(once)).toBe(once);
+  });
+});
@@ -0,0 +1,77 @@
+const { sum, mean, min, max, percentile, median, histogram, summarize } = require('../stats');
+
+describe('basic aggregates', () => {
+  test('sum, mean, min and max', () => {
+    const values = [4, 1, 3, 2];
+    expect(sum(values)).toBe(10);
+    expect(mean(values)).toBe(2.5);
+    expect(min(values)).toBe(1);
+    expect(max(values)).toBe(4);
+  });
+
+  test('return null for empty input instead of NaN', () => {
+    expect(sum([])).toBe(0);
+    expect(mean([])).toBeNull();
+    expect(min([])).toBeNull();
+    expect(max([])).toBeNull();
+    expect(median([])).toBeNull();
+    expect(percentile([], 90)).toBeNull();
+  });
+});
+
+describe('percentile', () => {
+  test('median of odd and even length arrays', () => {
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  test('interpolates between closest ranks', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(percentile(values, 90)).toBeCloseTo(9.1);
+    expect(percentile(values, 0)).toBe(1);
+    expect(percentile(values, 100)).toBe(10);
+  });
+
+  test('does not reorder the input', () => {
+    const values = [3, 1, 2];
+    percentile(values, 50);
+    expect(values).toEqual([3, 1, 2]);
+  });
+});
+
+describe('histogram', () => {
+  test('splits the range into equal-width buckets', () => {
+    expect(histogram([0, 1, 2, 3, 4, 5, 6, 7, 8, 10], 5)).toEqual([
+      { min: 0, max: 2, count: 2 },
+      { min: 2, max: 4, count: 2 },
+      { min: 4, max: 6, count: 2 },
+      { min: 6, max: 8, count: 2 },
+      { min: 8, max: 10, count: 2 },
+    ]);
+  });
+
+  test('counts every value exactly once', () => {
+    const values = [3, 7, 7, 12, 19, 25, 40];
+    const buckets = histogram(values, 4);
+    expect(buckets).toHaveLength(4);
+    expect(sum(buckets.map(b => b.count))).toBe(values.length);
+  });
+
+  test('uses a single bucket when all values are equal', () => {
+    expect(histogram([5, 5, 5], 10)).toEqual([{ min: 5, max: 5, count: 3 }]);
+  });
+
+  test('returns no buckets for empty input', () => {
+    expect(histogram([], 10)).toEqual([]);
+  });
+});
+
+test('summarize reports min/max/mean/median/p90', () => {
+  expect(summarize([10, 20, 30, 40, 50])).toEqual({
+    min: 10,
+    max: 50,
+    mean: 30,
+    median: 30,
+    p90: 46,
+  });
+});
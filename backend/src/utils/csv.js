@@ -0,0 +1,66 @@
+// Minimal RFC 4180 CSV reading and writing.
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Handles quoted fields, doubled quotes, and commas/newlines inside quotes.
+ * Throws if a quoted field is never closed.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Tolerate a UTF-8 byte order mark from spreadsheet exports.
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  // Drop blank lines.
+  return records.filter(r => r.length > 1 || r[0] !== '');
+}
+
+function escapeCsvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(escapeCsvField).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvRow };
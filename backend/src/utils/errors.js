@@ -0,0 +1,131 @@
+// Error classes thrown by routes, middleware and storage adapters.
+// `middleware/errorHandler` turns them into RFC 7807 problem responses, so
+// each class fixes the HTTP status, a stable machine-readable `code` and a
+// short human-readable `title`; the message becomes the problem `detail`.
+
+class AppError extends Error {
+  status = 500;
+  code = 'internal_error';
+  title = 'Internal Server Error';
+
+  /**
+   * errors: per-field messages, e.g. { price: 'must be a number' }
+   * extensions: extra members for the problem body, e.g. { currentVersion: 3 }
+   * headers: response headers to send along, e.g. WWW-Authenticate
+   */
+  constructor(message, { errors, extensions, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    if (errors) this.errors = errors;
+    if (extensions) this.extensions = extensions;
+    if (headers) this.headers = headers;
+  }
+
+  // 4xx messages are written for the client; 5xx ones may leak internals.
+  get expose() {
+    return this.status < 500;
+  }
+}
+
+class BadRequestError extends AppError {
+  status = 400;
+  code = 'bad_request';
+  title = 'Bad Request';
+}
+
+class ValidationError extends BadRequestError {
+  code = 'validation_failed';
+  title = 'Validation Failed';
+}
+
+class InvalidQueryError extends BadRequestError {
+  code = 'invalid_query';
+  title = 'Invalid Query Parameters';
+}
+
+class MalformedBodyError extends BadRequestError {
+  code = 'malformed_body';
+  title = 'Malformed Request Body';
+}
+
+class UnauthorizedError extends AppError {
+  status = 401;
+  code = 'unauthorized';
+  title = 'Unauthorized';
+}
+
+class ForbiddenError extends AppError {
+  status = 403;
+  code = 'forbidden';
+  title = 'Forbidden';
+}
+
+class NotFoundError extends AppError {
+  status = 404;
+  code = 'not_found';
+  title = 'Not Found';
+}
+
+// No route matches the request path (as opposed to a missing resource).
+class RouteNotFoundError extends NotFoundError {
+  code = 'route_not_found';
+}
+
+class GoneError extends AppError {
+  status = 410;
+  code = 'gone';
+  title = 'Gone';
+}
+
+class PreconditionFailedError extends AppError {
+  status = 412;
+  code = 'version_conflict';
+  title = 'Precondition Failed';
+}
+
+class PayloadTooLargeError extends AppError {
+  status = 413;
+  code = 'payload_too_large';
+  title = 'Payload Too Large';
+}
+
+class TooManyRequestsError extends AppError {
+  status = 429;
+  code = 'rate_limited';
+  title = 'Too Many Requests';
+}
+
+// A response that doesn't match the API description (middleware/openapi).
+// Only raised under test, so the mismatch is spelled out in the detail.
+class ResponseValidationError extends AppError {
+  code = 'response_invalid';
+  title = 'Response Does Not Match the API Description';
+
+  get expose() {
+    return true;
+  }
+}
+
+// The data file exists but isn't a JSON array of items.
+class DataCorruptionError extends AppError {
+  code = 'data_corrupt';
+  title = 'Stored Data Is Unreadable';
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  InvalidQueryError,
+  MalformedBodyError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  RouteNotFoundError,
+  GoneError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  ResponseValidationError,
+  DataCorruptionError,
+};
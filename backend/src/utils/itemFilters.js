@@ -0,0 +1,118 @@
+// Query-string filters shared by the item list and the stats endpoint, so
+// `/api/items?category=Office&maxPrice=50` and `/api/stats?category=Office&maxPrice=50`
+// describe the same subset of the catalog.
+
+const SORT_FIELDS = ['id', 'name', 'price'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// `?category=A&category=B` and `?category=A,B` both mean "A or B".
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse and validate filter parameters from `req.query`:
+ * `q` (matches name or category), `category` (repeatable), `minPrice`, `maxPrice`.
+ * Returns `{ filters, errors }`; `errors` maps parameter name to message,
+ * or is null when every parameter is valid.
+ */
+function parseFilters(query) {
+  const errors = {};
+  const filters = {};
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string') {
+      errors.q = 'must be a single string';
+    } else if (query.q.trim()) {
+      filters.q = query.q.trim();
+    }
+  }
+
+  if (query.category !== undefined) {
+    const categories = toList(query.category);
+    if (categories.length) filters.category = categories;
+  }
+
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors[key] = 'must be a non-negative number';
+    } else {
+      filters[key] = value;
+    }
+  }
+
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined
+    && filters.minPrice > filters.maxPrice) {
+    errors.maxPrice = 'must be greater than or equal to minPrice';
+  }
+
+  return Object.keys(errors).length ? { filters: null, errors } : { filters, errors: null };
+}
+
+function applyFilters(items, { q, category, minPrice, maxPrice } = {}) {
+  const needle = q && q.toLowerCase();
+  const wanted = category && new Set(category.map(c => c.toLowerCase()));
+  return items.filter(item =>
+    (!needle
+      || item.name.toLowerCase().includes(needle)
+      || String(item.category).toLowerCase().includes(needle))
+    && (!wanted || wanted.has(String(item.category).toLowerCase()))
+    && (minPrice === undefined || item.price >= minPrice)
+    && (maxPrice === undefined || item.price <= maxPrice)
+  );
+}
+
+/**
+ * Parse `sort` (id | name | price) and `order` (asc | desc).
+ * Defaults to id ascending, which is insertion order.
+ */
+function parseSort(query) {
+  const errors = {};
+  const sort = { field: 'id', order: 'asc' };
+
+  if (query.sort !== undefined) {
+    if (SORT_FIELDS.includes(query.sort)) sort.field = query.sort;
+    else errors.sort = `must be one of ${SORT_FIELDS.join(', ')}`;
+  }
+  if (query.order !== undefined) {
+    if (SORT_ORDERS.includes(query.order)) sort.order = query.order;
+    else errors.order = `must be one of ${SORT_ORDERS.join(', ')}`;
+  }
+
+  return Object.keys(errors).length ? { sort: null, errors } : { sort, errors: null };
+}
+
+// Compare two items by `field`, breaking ties by id so order is total.
+function compareItems(a, b, { field, order }) {
+  let diff;
+  if (field === 'name') diff = a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  else diff = a[field] - b[field];
+  if (diff === 0 && field !== 'id') diff = a.id - b.id;
+  return order === 'desc' ? -diff : diff;
+}
+
+function sortItems(items, sort) {
+  return [...items].sort((a, b) => compareItems(a, b, sort));
+}
+
+// Stable string form of parsed filters, for use as a cache key.
+function filterKey(filters) {
+  return JSON.stringify(Object.keys(filters).sort().map(key => [key, filters[key]]));
+}
+
+module.exports = {
+  parseFilters,
+  applyFilters,
+  parseSort,
+  sortItems,
+  compareItems,
+  filterKey,
+  SORT_FIELDS,
+  SORT_ORDERS,
+};
@@ -0,0 +1,99 @@
+// Serializers and parsers for bulk item export/import (CSV, NDJSON, JSON).
+const { parseCsv, toCsvRow } = require('./csv');
+
+const FORMATS = ['csv', 'ndjson', 'json'];
+const CSV_COLUMNS = ['id', 'name', 'category', 'price', 'img'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Streaming serializers: `head` is written once, `row(item, index)` per
+ * item, then `tail`. Each returns a string chunk.
+ */
+const serializers = {
+  csv: {
+    head: () => toCsvRow(CSV_COLUMNS),
+    row: item => toCsvRow(CSV_COLUMNS.map(column => item[column])),
+    tail: () => '',
+  },
+  ndjson: {
+    head: () => '',
+    row: item => JSON.stringify(item) + '\n',
+    tail: () => '',
+  },
+  json: {
+    head: () => '[',
+    row: (item, index) => (index ? ',\n' : '\n') + JSON.stringify(item),
+    tail: () => '\n]\n',
+  },
+};
+
+// Pick a format from an explicit `format` parameter or the Content-Type.
+function detectFormat(format, contentType = '') {
+  if (format !== undefined) return FORMATS.includes(format) ? format : null;
+  if (/\btext\/csv\b/.test(contentType)) return 'csv';
+  if (/\bapplication\/(x-)?ndjson\b/.test(contentType)) return 'ndjson';
+  if (/\bapplication\/json\b/.test(contentType)) return 'json';
+  return null;
+}
+
+// CSV cells are always strings; coerce the numeric columns back so the item
+// schema sees the same types a JSON client would send. Blank cells are
+// treated as absent.
+function fromCsvRecord(header, values) {
+  const record = {};
+  header.forEach((column, i) => {
+    const value = values[i];
+    if (value === undefined || value === '') return;
+    if ((column === 'id' || column === 'price') && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+      record[column] = Number(value);
+    } else {
+      record[column] = value;
+    }
+  });
+  return record;
+}
+
+/**
+ * Parse an import body into rows of `{ row, record }` or `{ row, error }`,
+ * numbered from 1 in input order (the CSV header is not counted).
+ * Throws for input that can't be split into rows at all.
+ */
+function parseImport(format, body) {
+  if (format === 'json') {
+    const data = typeof body === 'string' ? JSON.parse(body) : body;
+    if (!Array.isArray(data)) throw new Error('JSON import must be an array of items');
+    return data.map((record, i) => ({ row: i + 1, record }));
+  }
+
+  const text = Buffer.isBuffer(body) ? body.toString('utf-8') : String(body || '');
+
+  if (format === 'ndjson') {
+    return text
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return { row: i + 1, record: JSON.parse(line) };
+        } catch (err) {
+          return { row: i + 1, error: { body: 'is not valid JSON' } };
+        }
+      });
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(column => column.trim());
+  return records.map((values, i) => {
+    if (values.length > columns.length) {
+      return { row: i + 1, error: { body: `has ${values.length} fields, expected ${columns.length}` } };
+    }
+    return { row: i + 1, record: fromCsvRecord(columns, values) };
+  });
+}
+
+module.exports = { FORMATS, CONTENT_TYPES, serializers, detectFormat, parseImport };
@@ -0,0 +1,69 @@
+// Item payload schema. Kept dependency-free: the shape is small and the
+// rules below are the single source of truth for create/replace/patch.
+const { sanitizeSvg } = require('./sanitizeSvg');
+
+const FIELDS = {
+  name: { required: true, check: nonEmptyString, clean: value => value.trim() },
+  category: { required: true, check: nonEmptyString, clean: value => value.trim() },
+  price: { required: true, check: positiveNumber },
+  // Images are rendered by browsers, so only sanitized SVG is ever stored.
+  img: { required: false, check: svgMarkup, clean: sanitizeSvg },
+};
+
+function nonEmptyString(value) {
+  if (typeof value !== 'string') return 'must be a string';
+  if (!value.trim()) return 'must not be empty';
+  return null;
+}
+
+function positiveNumber(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+  if (value <= 0) return 'must be greater than 0';
+  return null;
+}
+
+function svgMarkup(value) {
+  if (typeof value !== 'string') return 'must be a string';
+  if (!sanitizeSvg(value)) return 'must be an SVG image';
+  return null;
+}
+
+/**
+ * Validate an item payload.
+ * With `partial` (PATCH) only the supplied fields are checked.
+ * Returns `{ value, errors }` where `errors` maps field name to message,
+ * or is null when the payload is valid.
+ */
+function validateItem(payload, { partial = false } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { value: null, errors: { body: 'must be a JSON object' } };
+  }
+
+  const errors = {};
+  const value = {};
+
+  for (const key of Object.keys(payload)) {
+    if (!FIELDS[key]) errors[key] = 'is not allowed';
+  }
+
+  for (const [key, rule] of Object.entries(FIELDS)) {
+    if (payload[key] === undefined) {
+      if (rule.required && !partial) errors[key] = 'is required';
+      continue;
+    }
+    const message = rule.check(payload[key]);
+    if (message) {
+      errors[key] = message;
+    } else {
+      value[key] = rule.clean ? rule.clean(payload[key]) : payload[key];
+    }
+  }
+
+  if (partial && !Object.keys(payload).length) {
+    errors.body = 'must contain at least one field';
+  }
+
+  return Object.keys(errors).length ? { value: null, errors } : { value, errors: null };
+}
+
+module.exports = { validateItem };
@@ -0,0 +1,42 @@
+// Leveled logger writing one record per line, as JSON (for log shippers)
+// or as a compact human-readable line (for local development).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ['json', 'pretty'];
+
+/**
+ * level: minimum level to write (one of LEVELS)
+ * format: 'json' or 'pretty'
+ * stream: where lines go (defaults to stdout)
+ */
+function createLogger({ level = 'info', format = 'json', stream = process.stdout } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Invalid LOG_LEVEL "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid LOG_FORMAT "${format}" (expected ${FORMATS.join(' or ')})`);
+  }
+
+  const threshold = LEVELS[level];
+  const logger = { level, format };
+
+  for (const name of Object.keys(LEVELS)) {
+    if (name === 'silent') continue;
+    logger[name] = (msg, fields = {}) => {
+      if (LEVELS[name] < threshold) return;
+      const record = { time: new Date().toISOString(), level: name, msg, ...fields };
+      stream.write((format === 'json' ? JSON.stringify(record) : pretty(record)) + '\n');
+    };
+  }
+  return logger;
+}
+
+function pretty({ time, level, msg, ...fields }) {
+  const extra = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ' ' + extra : ''}`;
+}
+
+module.exports = { createLogger, LEVELS, FORMATS };
@@ -0,0 +1,155 @@
+// Page/limit and cursor parsing for list endpoints, plus RFC 8288 Link headers.
+
+const { compareItems, SORT_FIELDS } = require('./itemFilters');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+function parsePositiveInt(value) {
+  if (!/^\d+$/.test(String(value))) return NaN;
+  const n = Number(value);
+  return n >= 1 ? n : NaN;
+}
+
+/**
+ * Cursors are opaque to clients: base64url-encoded JSON holding the sort the
+ * page was produced with, the direction to read in, and the sort key + id of
+ * the item to continue from. Because they point at an item rather than an
+ * offset, inserts and deletes elsewhere don't shift the next page.
+ * A cursor without a position (`{ d: 'prev' }`) means "the last page".
+ */
+function encodeCursor({ sort, direction, item }) {
+  const cursor = { s: sort.field, o: sort.order, d: direction };
+  if (item) cursor.k = [item[sort.field], item.id];
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf-8'));
+  } catch (err) {
+    return null;
+  }
+  const valid = cursor && typeof cursor === 'object'
+    && SORT_FIELDS.includes(cursor.s)
+    && ['asc', 'desc'].includes(cursor.o)
+    && ['next', 'prev'].includes(cursor.d)
+    && (cursor.k === undefined || (Array.isArray(cursor.k) && cursor.k.length === 2));
+  if (!valid) return null;
+  return {
+    sort: { field: cursor.s, order: cursor.o },
+    direction: cursor.d,
+    // Minimal item carrying just what compareItems needs.
+    item: cursor.k && { [cursor.s]: cursor.k[0], id: cursor.k[1] },
+  };
+}
+
+/**
+ * Parse `page` (1-based) or `cursor`, and `limit` (1..MAX_LIMIT) from `req.query`.
+ * Returns `{ page, cursor, limit, errors }`; `errors` is null when valid.
+ * `cursor` is the decoded cursor, or undefined in page mode.
+ */
+function parsePagination(query) {
+  const errors = {};
+  let page = 1;
+  let cursor;
+  let limit = DEFAULT_LIMIT;
+
+  if (query.page !== undefined) {
+    page = parsePositiveInt(query.page);
+    if (Number.isNaN(page)) errors.page = 'must be a positive integer';
+  }
+  if (query.cursor !== undefined) {
+    if (query.page !== undefined) {
+      errors.cursor = 'cannot be combined with page';
+    } else {
+      cursor = decodeCursor(query.cursor);
+      if (!cursor) errors.cursor = 'is invalid';
+    }
+  }
+  if (query.limit !== undefined) {
+    limit = parsePositiveInt(query.limit);
+    if (Number.isNaN(limit) || limit > MAX_LIMIT) {
+      errors.limit = `must be an integer between 1 and ${MAX_LIMIT}`;
+    }
+  }
+
+  return Object.keys(errors).length ? { errors } : { page, cursor, limit, errors: null };
+}
+
+/**
+ * Slice `items` (already sorted by `sort`) relative to `cursor`.
+ * Returns `{ data, nextCursor, prevCursor }`; a cursor is null when there
+ * is nothing further in that direction.
+ */
+function paginateByCursor(items, { cursor, limit, sort }) {
+  let start;
+  let end;
+  if (!cursor) {
+    start = 0;
+    end = Math.min(limit, items.length);
+  } else if (cursor.direction === 'next') {
+    start = items.findIndex(item => compareItems(item, cursor.item, sort) > 0);
+    if (start === -1) start = items.length;
+    end = Math.min(start + limit, items.length);
+  } else {
+    end = cursor.item
+      ? items.findIndex(item => compareItems(item, cursor.item, sort) >= 0)
+      : items.length;
+    if (end === -1) end = items.length;
+    start = Math.max(0, end - limit);
+  }
+
+  const data = items.slice(start, end);
+  return {
+    data,
+    nextCursor: end < items.length
+      ? encodeCursor({ sort, direction: 'next', item: data[data.length - 1] })
+      : null,
+    prevCursor: start > 0
+      ? encodeCursor({ sort, direction: 'prev', item: data[0] })
+      : null,
+  };
+}
+
+/**
+ * Build an RFC 8288 Link header from `{ rel: queryOverrides }`.
+ * Each link reuses the request's path and query, replacing the given
+ * parameters; an override of `undefined` removes that parameter.
+ */
+function buildLinkHeader(req, links) {
+  const base = req.baseUrl + req.path;
+  return Object.entries(links)
+    .filter(([, overrides]) => overrides)
+    .map(([rel, overrides]) => {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries({ ...req.query, ...overrides })) {
+        if (value === undefined) continue;
+        for (const v of Array.isArray(value) ? value : [value]) params.append(key, v);
+      }
+      const path = base.endsWith('/') && base.length > 1 ? base.slice(0, -1) : base;
+      return `<${path}?${params}>; rel="${rel}"`;
+    })
+    .join(', ');
+}
+
+// Link relations for page `page` of `totalPages`, for buildLinkHeader.
+function pageLinks(page, totalPages) {
+  return {
+    first: { page: 1 },
+    prev: page > 1 && { page: Math.min(page - 1, totalPages) },
+    next: page < totalPages && { page: page + 1 },
+    last: { page: totalPages },
+  };
+}
+
+module.exports = {
+  parsePagination,
+  pageLinks,
+  paginateByCursor,
+  encodeCursor,
+  buildLinkHeader,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+};
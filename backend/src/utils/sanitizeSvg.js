@@ -0,0 +1,147 @@
+// Allowlist-based SVG sanitizer for item images.
+//
+// Item `img` values are SVG markup supplied by API clients. The input is
+// tokenized and rebuilt from scratch: only the elements and attributes listed
+// below survive, everything else (scripts, event handlers, <foreignObject>,
+// <style>, external references, comments, doctypes) is dropped. Disallowed
+// elements are removed together with their content.
+
+// Lowercase name -> canonical SVG spelling (browsers match case-insensitively
+// when SVG is inlined in HTML, so the check must too).
+const ELEMENTS = toLookup([
+  'svg', 'g', 'defs', 'title', 'desc', 'symbol', 'use',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan',
+  'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask', 'pattern', 'marker',
+]);
+
+const ATTRIBUTES = toLookup([
+  'id', 'class', 'xmlns', 'version', 'viewBox', 'preserveAspectRatio', 'width', 'height',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'dx', 'dy',
+  'd', 'points', 'pathLength', 'transform',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'color', 'visibility', 'display',
+  'clip-path', 'clip-rule', 'clipPathUnits', 'mask', 'maskUnits', 'maskContentUnits',
+  'offset', 'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+  'patternUnits', 'patternContentUnits', 'patternTransform',
+  'marker-start', 'marker-mid', 'marker-end', 'markerWidth', 'markerHeight',
+  'markerUnits', 'refX', 'refY', 'orient',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor',
+  'dominant-baseline', 'letter-spacing',
+  'href', 'xlink:href', 'xmlns:xlink',
+  'role', 'aria-label', 'aria-hidden', 'focusable',
+]);
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+function toLookup(names) {
+  return new Map(names.map(name => [name.toLowerCase(), name]));
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Keeps the source's quote style so already-clean markup round-trips unchanged.
+function quoteAttribute(value, quote) {
+  const escaped = escapeText(value);
+  return quote === "'"
+    ? `'${escaped.replace(/'/g, '&#39;')}'`
+    : `"${escaped.replace(/"/g, '&quot;')}"`;
+}
+
+// Only same-document references (`#id`, `url(#id)`) are allowed, so an image
+// can never make the browser fetch or navigate to anything.
+function isSafeValue(name, value) {
+  const compact = value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+  if (name === 'href' || name === 'xlink:href') return /^#[\w.-]+$/.test(value.trim());
+  if (name === 'xmlns') return value.trim() === SVG_NS;
+  if (name === 'xmlns:xlink') return value.trim() === XLINK_NS;
+  if (/javascript:|data:|expression\(/.test(compact)) return false;
+  const urls = compact.match(/url\([^)]*\)/g) || [];
+  if (compact.includes('url(') && urls.length !== compact.split('url(').length - 1) return false;
+  return urls.every(url => /^url\(['"]?#[\w.-]+['"]?\)$/.test(url));
+}
+
+const ATTRIBUTE_PATTERN = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+
+function sanitizeAttributes(source) {
+  const kept = [];
+  const seen = new Set();
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = ATTRIBUTES.get(match[1].toLowerCase());
+    if (!name || seen.has(name)) continue;
+    const raw = match[2] ?? match[3] ?? match[4];
+    if (raw === undefined) continue;
+    const value = decodeEntities(raw);
+    if (!isSafeValue(name.toLowerCase(), value)) continue;
+    seen.add(name);
+    kept.push(`${name}=${quoteAttribute(value, match[3] !== undefined ? "'" : '"')}`);
+  }
+  return kept.length ? ' ' + kept.join(' ') : '';
+}
+
+// Comments, CDATA, doctypes/processing instructions, end tags, start tags, text.
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[!?][^>]*>?|<\/\s*([^\s>]+)\s*>|<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+/**
+ * Sanitize SVG markup. Returns the cleaned markup, or an empty string when
+ * the input contains no usable `<svg>` root element.
+ */
+function sanitizeSvg(input) {
+  if (typeof input !== 'string') return '';
+
+  let output = '';
+  const open = []; // canonical names of the elements currently open
+  let skipDepth = 0; // > 0 while inside a dropped element
+  let done = false; // the root <svg> has closed; ignore anything after it
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    if (done) break;
+    const [token, closeName, openName, attributes] = match;
+
+    if (openName !== undefined) {
+      const selfClosing = /\/\s*$/.test(attributes);
+      const name = ELEMENTS.get(openName.toLowerCase());
+      const allowed = name && !skipDepth && (open.length || name === 'svg');
+      if (!allowed) {
+        if (!selfClosing && (skipDepth || open.length || name !== 'svg')) skipDepth += 1;
+        continue;
+      }
+      output += `<${name}${sanitizeAttributes(attributes.replace(/\/\s*$/, ''))}${selfClosing ? '/>' : '>'}`;
+      if (!selfClosing) open.push(name);
+    } else if (closeName !== undefined) {
+      if (skipDepth) {
+        skipDepth -= 1;
+        continue;
+      }
+      const name = ELEMENTS.get(closeName.toLowerCase());
+      if (!name || open[open.length - 1] !== name) continue;
+      output += `</${open.pop()}>`;
+      if (!open.length) done = true;
+    } else if (token[0] !== '<' && open.length && !skipDepth) {
+      output += escapeText(decodeEntities(token));
+    }
+    // Comments, CDATA, doctypes and stray '<' are dropped.
+  }
+
+  if (!output) return '';
+  while (open.length) output += `</${open.pop()}>`;
+  return output;
+}
+
+module.exports = { sanitizeSvg };
@@ -1,6 +1,78 @@
-// Utility intentionally unused by routes (candidate should refactor)
+// Small descriptive-statistics helpers used by the stats route.
+// Every function accepts an array of numbers and returns null for an empty
+// array instead of NaN/Infinity, so results serialize cleanly to JSON.
+
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+
 function mean(arr) {
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+  if (!arr.length) return null;
+  return sum(arr) / arr.length;
+}
+
+function min(arr) {
+  if (!arr.length) return null;
+  return arr.reduce((a, b) => (b < a ? b : a));
+}
+
+function max(arr) {
+  if (!arr.length) return null;
+  return arr.reduce((a, b) => (b > a ? b : a));
+}
+
+/**
+ * Percentile `p` (0–100) using linear interpolation between closest ranks,
+ * the same definition as numpy's default and Excel's PERCENTILE.INC.
+ */
+function percentile(arr, p) {
+  if (!arr.length) return null;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(arr) {
+  return percentile(arr, 50);
+}
+
+/**
+ * Split [min, max] of `arr` into `buckets` equal-width ranges and count the
+ * values in each. The last bucket is closed so the maximum is included.
+ * Returns `[{ min, max, count }]`, or an empty array for empty input.
+ */
+function histogram(arr, buckets = 10) {
+  if (!arr.length) return [];
+  const lo = min(arr);
+  const hi = max(arr);
+  // All values equal: one bucket holds everything.
+  if (lo === hi) return [{ min: lo, max: hi, count: arr.length }];
+
+  const width = (hi - lo) / buckets;
+  const counts = new Array(buckets).fill(0);
+  for (const value of arr) {
+    counts[Math.min(buckets - 1, Math.floor((value - lo) / width))] += 1;
+  }
+  return counts.map((count, i) => ({
+    min: lo + i * width,
+    max: i === buckets - 1 ? hi : lo + (i + 1) * width,
+    count,
+  }));
+}
+
+/**
+ * min/max/mean/median/p90 summary of `arr`.
+ */
+function summarize(arr) {
+  return {
+    min: min(arr),
+    max: max(arr),
+    mean: mean(arr),
+    median: median(arr),
+    p90: percentile(arr, 90),
+  };
 }
 
-module.exports = { mean };
\ No newline at end of file
+module.exports = { sum, mean, min, max, percentile, median, histogram, summarize };
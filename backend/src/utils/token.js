@@ -0,0 +1,45 @@
+// Compact HS256 JSON Web Tokens, signed with a shared secret.
+// Only what the auth middleware needs: sign, and verify signature + expiry.
+const crypto = require('crypto');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign `claims` into a token valid for `ttlSeconds`.
+ */
+function signToken(claims, secret, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }))
+    .toString('base64url');
+  return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`, secret)}`;
+}
+
+/**
+ * Return the token's claims, or null when it is malformed, signed with a
+ * different secret or algorithm, or expired.
+ */
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  if (header !== HEADER) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (err) {
+    return null;
+  }
+  if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+  return claims;
+}
+
+module.exports = { signToken, verifyToken };
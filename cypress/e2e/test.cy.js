@@ -1,7 +1,7 @@
 describe('Items Application E2E Test', () => {
   beforeEach(() => {
-    // Visit the application
-    cy.visit('http://localhost:3000');
+    // Visit the application (baseUrl; override with CYPRESS_BASE_URL)
+    cy.visit('/');
   });
 
   it('should load items page with pagination on first page', () => {
@@ -63,7 +63,7 @@ describe('Items Application E2E Test', () => {
     cy.get('.item-detail-back').click();
 
     // Assert we're back on items page
-    cy.url().should('eq', 'http://localhost:3000/');
+    cy.url().should('eq', `${Cypress.config('baseUrl')}/`);
     cy.get('.items-list').should('be.visible');
   });
 
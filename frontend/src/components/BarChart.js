@@ -0,0 +1,61 @@
+import React from 'react';
+
+const WIDTH = 600;
+const LABEL_WIDTH = 150;
+const VALUE_WIDTH = 90;
+const ROW_HEIGHT = 32;
+const BAR_HEIGHT = 20;
+
+/**
+ * Horizontal bars, one per `{ label, value }` in `data`, scaled to the
+ * largest value. Plain SVG scaled to its container's width; screen readers
+ * get the same numbers as a table. `format` renders values.
+ */
+function BarChart({ data, label, format = String }) {
+  const max = Math.max(0, ...data.map(({ value }) => value));
+  const track = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const height = data.length * ROW_HEIGHT;
+
+  return (
+    <figure className="chart">
+      <svg className="chart__svg" viewBox={`0 0 ${WIDTH} ${height}`} aria-hidden="true" focusable="false">
+        {data.map(({ label: name, value }, i) => {
+          const y = i * ROW_HEIGHT;
+          const width = max > 0 ? (value / max) * track : 0;
+          return (
+            <g key={name}>
+              <title>{`${name}: ${format(value)}`}</title>
+              <text className="chart__label" x={LABEL_WIDTH - 12} y={y + ROW_HEIGHT / 2} textAnchor="end" dominantBaseline="middle">
+                {name}
+              </text>
+              <rect
+                className="chart__bar"
+                x={LABEL_WIDTH}
+                y={y + (ROW_HEIGHT - BAR_HEIGHT) / 2}
+                width={Math.max(width, value > 0 ? 2 : 0)}
+                height={BAR_HEIGHT}
+                rx={4}
+              />
+              <text className="chart__value" x={LABEL_WIDTH + width + 8} y={y + ROW_HEIGHT / 2} dominantBaseline="middle">
+                {format(value)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <table className="visually-hidden">
+        <caption>{label}</caption>
+        <tbody>
+          {data.map(({ label: name, value }) => (
+            <tr key={name}>
+              <th scope="row">{name}</th>
+              <td>{format(value)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+export default BarChart;
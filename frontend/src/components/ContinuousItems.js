@@ -0,0 +1,170 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { List } from 'react-window';
+import ItemCard from './ItemCard';
+import { useItemPages, usePrefetchItem } from '../state/DataContext';
+import { isFiltered, itemQueryString } from '../state/itemQuery';
+
+// Items per request while scrolling.
+export const CONTINUOUS_PAGE_SIZE = 30;
+// Ask for the next page once the last visible item is this close to the end
+// of what has been requested.
+const LOAD_AHEAD = 10;
+
+// Cards are laid out in rows of as many as fit the width (matching the
+// paged list's card size and gap); only rows near the viewport are rendered.
+const CARD_WIDTH = 110;
+const CARD_GAP = 48;
+const ROW_HEIGHT = 200;
+// The list fills the window below the navbar, but never gets too short.
+const VIEWPORT_OFFSET = 120;
+const MIN_HEIGHT = 2 * ROW_HEIGHT;
+
+// Where each list was left, per history entry and query: the first visible
+// item and how many pages were loaded. Going back to an entry (e.g. from an
+// item's page) restores it; following a link starts at the top.
+const positions = new Map();
+const MAX_POSITIONS = 50;
+
+function remember(key, position) {
+  positions.delete(key);
+  positions.set(key, position);
+  if (positions.size > MAX_POSITIONS) positions.delete(positions.keys().next().value);
+}
+
+// The container's width and the window's height, followed on resize.
+function useListSize(container) {
+  const [size, setSize] = useState(null);
+  useEffect(() => {
+    if (!container) return undefined;
+    const measure = () => setSize({ width: container.clientWidth, height: window.innerHeight });
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [container]);
+  return size;
+}
+
+function ItemRow({ index, style, items, count, columns, onPrefetch }) {
+  const cells = [];
+  for (let i = index * columns; i < Math.min(count, (index + 1) * columns); i++) {
+    const item = items[i];
+    cells.push(item ? (
+      <div key={item.id} className="items-list__item" role="listitem" aria-posinset={i + 1} aria-setsize={count}>
+        <ItemCard item={item} onPrefetch={onPrefetch} />
+      </div>
+    ) : (
+      <div
+        key={`placeholder-${i}`}
+        className="items-list__item items-list__item--placeholder"
+        role="listitem"
+        aria-posinset={i + 1}
+        aria-setsize={count}
+        aria-busy="true"
+      >
+        <span className="visually-hidden">Loading…</span>
+        <div className="items-placeholder__img" />
+        <div className="items-placeholder__line" />
+        <div className="items-placeholder__line items-placeholder__line--short" />
+      </div>
+    ));
+  }
+  return <div className="items-grid__row" role="none" style={style}>{cells}</div>;
+}
+
+/**
+ * The Items page's continuous mode: every item matching `query` (its page
+ * is ignored) in one virtualized list that loads further pages as the end
+ * comes into view. Items still loading show as placeholders.
+ */
+function ContinuousItems({ query }) {
+  const location = useLocation();
+  const memoryKey = `${location.key}:${itemQueryString({ ...query, page: 1 })}`;
+  const [saved] = useState(() => positions.get(memoryKey));
+
+  const [pageCount, setPageCount] = useState(saved ? saved.pageCount : 1);
+  const { items, total, error, isLoading, retry } = useItemPages(
+    { ...query, page: 1, limit: CONTINUOUS_PAGE_SIZE },
+    pageCount
+  );
+  const prefetchItem = usePrefetchItem();
+
+  const [container, setContainer] = useState(null);
+  const size = useListSize(container);
+  const columns = size ? Math.max(1, Math.floor((size.width + CARD_GAP) / (CARD_WIDTH + CARD_GAP))) : 1;
+  const count = isLoading ? CONTINUOUS_PAGE_SIZE : Math.min(total, pageCount * CONTINUOUS_PAGE_SIZE);
+  const rowCount = Math.ceil(count / columns);
+
+  // Remember the position when leaving, and go back to it once the rows
+  // it needs exist and the columns are known.
+  const position = useRef({ pageCount, firstIndex: saved ? saved.firstIndex : 0 });
+  position.current.pageCount = pageCount;
+  useEffect(() => {
+    const current = position;
+    return () => remember(memoryKey, current.current);
+  }, [memoryKey]);
+
+  // The list's handle is replaced once its scroll element exists.
+  const [list, setList] = useState(null);
+  const restoreTo = useRef(saved ? saved.firstIndex : 0);
+  useEffect(() => {
+    if (!restoreTo.current || !size || isLoading || !list || !list.element) return;
+    const row = Math.min(rowCount - 1, Math.floor(restoreTo.current / columns));
+    restoreTo.current = 0;
+    list.scrollToRow({ index: row, align: 'start', behavior: 'instant' });
+  }, [list, size, isLoading, rowCount, columns]);
+
+  const onRowsRendered = ({ startIndex, stopIndex }) => {
+    if (!restoreTo.current) position.current.firstIndex = startIndex * columns;
+    const requested = pageCount * CONTINUOUS_PAGE_SIZE;
+    if (!isLoading && requested < total && (stopIndex + 1) * columns + LOAD_AHEAD >= requested) {
+      setPageCount(pageCount + 1);
+    }
+  };
+
+  const failure = error && (
+    <p className="items-error" role="alert">
+      Error: {error.message}{' '}
+      <button type="button" className="items-retry" onClick={retry}>Try again</button>
+    </p>
+  );
+
+  if (error && !items.length) return failure;
+  if (!isLoading && total === 0) {
+    return (
+      <p className="items-empty">
+        {isFiltered(query) ? 'No items match your search and filters.' : 'No items yet.'}
+      </p>
+    );
+  }
+
+  return (
+    <div className="items-grid" ref={setContainer}>
+      <div className="items-info">
+        {isLoading ? (
+          <span className="items-loading">Loading…</span>
+        ) : (
+          <span className="items-meta">
+            {total} {isFiltered(query) ? 'matching ' : ''}item{total === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+      {failure}
+      {size && (
+        <List
+          className="items-grid__list"
+          aria-label="Items"
+          listRef={setList}
+          rowComponent={ItemRow}
+          rowCount={rowCount}
+          rowHeight={ROW_HEIGHT}
+          rowProps={{ items, count, columns, onPrefetch: prefetchItem }}
+          onRowsRendered={onRowsRendered}
+          style={{ height: Math.max(MIN_HEIGHT, size.height - VIEWPORT_OFFSET) }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ContinuousItems;
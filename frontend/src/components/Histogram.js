@@ -0,0 +1,71 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const AXIS = 28;
+const TOP = 20;
+const GAP = 4;
+
+/**
+ * Columns for the `{ min, max, count }` bins of GET /api/stats' `histogram`,
+ * scaled to the fullest bin, with the price range along the bottom. Plain
+ * SVG scaled to its container's width; screen readers get the same numbers
+ * as a table. `format` renders bin bounds.
+ */
+function Histogram({ bins, label, format = String }) {
+  const max = Math.max(0, ...bins.map(({ count }) => count));
+  const plot = HEIGHT - AXIS - TOP;
+  const slot = bins.length ? WIDTH / bins.length : WIDTH;
+  const range = ({ min, max: upper }) => `${format(min)}–${format(upper)}`;
+
+  return (
+    <figure className="chart">
+      <svg className="chart__svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} aria-hidden="true" focusable="false">
+        <line className="chart__axis" x1={0} x2={WIDTH} y1={HEIGHT - AXIS} y2={HEIGHT - AXIS} />
+        {bins.map((bin, i) => {
+          const height = max > 0 ? (bin.count / max) * plot : 0;
+          const x = i * slot + GAP / 2;
+          const y = HEIGHT - AXIS - height;
+          return (
+            <g key={i}>
+              <title>{`${range(bin)}: ${bin.count} item${bin.count === 1 ? '' : 's'}`}</title>
+              <rect className="chart__bar" x={x} y={y} width={slot - GAP} height={height} rx={3} />
+              {bin.count > 0 && (
+                <text className="chart__value" x={x + (slot - GAP) / 2} y={y - 6} textAnchor="middle">
+                  {bin.count}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        {bins.length > 0 && (
+          <>
+            <text className="chart__label" x={0} y={HEIGHT - 8}>{format(bins[0].min)}</text>
+            <text className="chart__label" x={WIDTH} y={HEIGHT - 8} textAnchor="end">
+              {format(bins[bins.length - 1].max)}
+            </text>
+          </>
+        )}
+      </svg>
+      <table className="visually-hidden">
+        <caption>{label}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Price</th>
+            <th scope="col">Items</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bins.map((bin, i) => (
+            <tr key={i}>
+              <th scope="row">{range(bin)}</th>
+              <td>{bin.count}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+export default Histogram;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import ItemImage from './ItemImage';
+
+/**
+ * An item's link in the list. Hovering or focusing it starts loading the
+ * item (`onPrefetch`), and the link tells ItemDetail it was opened from the
+ * list so its back button can return to the same view. An item still being
+ * created (`item.pending`) has only a temporary id, so it shows without the
+ * link until the saved item replaces it.
+ */
+function ItemCard({ item, onPrefetch }) {
+  const content = (
+    <>
+      {item.img && (
+        <div className="items-list__img">
+          <ItemImage svg={item.img} />
+        </div>
+      )}
+      <div className="items-list__title">{item.name}</div>
+      <div className="items-list__meta">{item.category} • ${item.price}</div>
+    </>
+  );
+
+  if (item.pending) {
+    return (
+      <div className="items-list__link items-list__link--pending" aria-busy="true">
+        <span className="visually-hidden">Saving…</span>
+        {content}
+      </div>
+    );
+  }
+  return (
+    <Link
+      className="items-list__link"
+      to={'/items/' + item.id}
+      state={{ fromList: true }}
+      onMouseEnter={() => onPrefetch(item.id)}
+      onFocus={() => onPrefetch(item.id)}
+    >
+      {content}
+    </Link>
+  );
+}
+
+export default ItemCard;
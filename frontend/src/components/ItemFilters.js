@@ -0,0 +1,190 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiSearch, FiX } from 'react-icons/fi';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { isFiltered } from '../state/itemQuery';
+
+// Typing pauses this long before the search or price range is applied.
+export const FILTER_DELAY = 300;
+
+const SORT_OPTIONS = [
+  { value: 'id:asc', label: 'Oldest first' },
+  { value: 'id:desc', label: 'Newest first' },
+  { value: 'name:asc', label: 'Name, A to Z' },
+  { value: 'name:desc', label: 'Name, Z to A' },
+  { value: 'price:asc', label: 'Price, low to high' },
+  { value: 'price:desc', label: 'Price, high to low' },
+];
+
+const toDraft = ({ q, minPrice, maxPrice }) => ({
+  q,
+  minPrice: minPrice === null ? '' : String(minPrice),
+  maxPrice: maxPrice === null ? '' : String(maxPrice),
+});
+
+// Typed values as query changes, plus a message per field that can't be
+// applied yet (those fields are left out of the changes).
+function fromDraft(draft) {
+  const changes = { q: draft.q.trim() };
+  const errors = {};
+  for (const key of ['minPrice', 'maxPrice']) {
+    const raw = draft[key].trim();
+    const value = Number(raw);
+    if (!raw) changes[key] = null;
+    else if (Number.isFinite(value) && value >= 0) changes[key] = value;
+    else errors[key] = 'Enter a price of 0 or more';
+  }
+  if (changes.minPrice != null && changes.maxPrice != null && changes.minPrice > changes.maxPrice) {
+    errors.maxPrice = 'Must be at least the minimum';
+    delete changes.maxPrice;
+  }
+  return { changes, errors };
+}
+
+/**
+ * Search box, category facets, price range and sort for the Items page.
+ * `query` is the applied query (see state/itemQuery); `onChange` receives
+ * the fields to change. The search and price inputs are debounced, and
+ * follow `query` when it changes from outside (back button, clear).
+ * `facets` is `{ categories: [{ category, count }], price: { min, max } }`
+ * for the current search and price range, or null while loading. Without
+ * `sortable` the sort order isn't offered (e.g. for statistics).
+ */
+function ItemFilters({ query, onChange, facets, sortable = true }) {
+  const [draft, setDraft] = useState(() => toDraft(query));
+  const debounced = useDebouncedValue(draft, FILTER_DELAY);
+  const { errors } = fromDraft(draft);
+
+  // The debounced effect below must see the latest query and callback.
+  const latest = useRef({ query, onChange });
+  latest.current = { query, onChange };
+
+  // Leave the inputs alone when they already mean the applied values, so a
+  // trailing space typed before the debounce fired isn't taken away.
+  useEffect(() => {
+    const applied = { q: query.q, minPrice: query.minPrice, maxPrice: query.maxPrice };
+    setDraft((current) => {
+      const { changes } = fromDraft(current);
+      const same = Object.keys(applied).every((key) => changes[key] === applied[key]);
+      return same ? current : toDraft(applied);
+    });
+  }, [query.q, query.minPrice, query.maxPrice]);
+
+  useEffect(() => {
+    const { query: current, onChange: apply } = latest.current;
+    const { changes } = fromDraft(debounced);
+    const changed = Object.keys(changes).filter((key) => changes[key] !== current[key]);
+    if (changed.length) apply(changes);
+  }, [debounced]);
+
+  const edit = (key) => (event) => setDraft({ ...draft, [key]: event.target.value });
+
+  const toggleCategory = (category) => {
+    const selected = query.category.includes(category);
+    onChange({
+      category: selected ? query.category.filter((c) => c !== category) : [...query.category, category],
+    });
+  };
+
+  // Selected categories stay visible even when nothing matches them.
+  const counts = new Map((facets ? facets.categories : []).map(({ category, count }) => [category, count]));
+  query.category.forEach((category) => {
+    if (!counts.has(category)) counts.set(category, 0);
+  });
+  const categories = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+  const range = facets && facets.price;
+
+  return (
+    <form className="item-filters" role="search" onSubmit={(event) => event.preventDefault()}>
+      <div className="item-filters__row">
+        <label className="item-filters__search">
+          <FiSearch aria-hidden="true" />
+          <span className="visually-hidden">Search items</span>
+          <input
+            type="search"
+            placeholder="Search by name or category"
+            value={draft.q}
+            onChange={edit('q')}
+          />
+        </label>
+
+        {sortable && (
+          <label className="item-filters__sort">
+            <span>Sort</span>
+            <select
+              value={`${query.sort}:${query.order}`}
+              onChange={(event) => {
+                const [sort, order] = event.target.value.split(':');
+                onChange({ sort, order });
+              }}
+            >
+              {SORT_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <div className="item-filters__row">
+        <fieldset className="item-filters__price">
+          <legend>Price</legend>
+          {[['minPrice', 'min', 'Minimum price'], ['maxPrice', 'max', 'Maximum price']].map(([key, bound, label]) => (
+            <label key={key} className="item-filters__price-field">
+              <span className="visually-hidden">{label}</span>
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step="any"
+                placeholder={range && range[bound] != null ? String(range[bound]) : ''}
+                value={draft[key]}
+                onChange={edit(key)}
+                aria-invalid={errors[key] ? true : undefined}
+                aria-describedby={errors[key] ? `item-filters-${key}-error` : undefined}
+              />
+              {errors[key] && (
+                <span id={`item-filters-${key}-error`} className="item-filters__error">{errors[key]}</span>
+              )}
+            </label>
+          ))}
+        </fieldset>
+
+        {isFiltered(query) && (
+          <button
+            type="button"
+            className="item-filters__clear"
+            onClick={() => onChange({ q: '', category: [], minPrice: null, maxPrice: null })}
+          >
+            <FiX aria-hidden="true" />
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {categories.length > 0 && (
+        <div className="item-filters__chips" role="group" aria-label="Categories">
+          {categories.map((category) => {
+            const selected = query.category.includes(category);
+            return (
+              <button
+                key={category}
+                type="button"
+                className={`item-filters__chip ${selected ? 'item-filters__chip--selected' : ''}`}
+                aria-pressed={selected}
+                onClick={() => toggleCategory(category)}
+              >
+                {category}
+                <span className="item-filters__count">
+                  {counts.get(category)}
+                  <span className="visually-hidden"> items</span>
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default ItemFilters;
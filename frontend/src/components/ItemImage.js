@@ -0,0 +1,13 @@
+import React from 'react';
+
+// Renders an item's SVG markup through an <img> data URL instead of
+// injecting it into the DOM. SVG loaded as an image can't run scripts,
+// handle events or fetch external resources, so even markup that slipped
+// past the server-side sanitizer is inert here.
+function ItemImage({ svg, alt = '', className }) {
+  if (!svg || typeof svg !== 'string') return null;
+  const src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  return <img className={className} src={src} alt={alt} draggable={false} />;
+}
+
+export default ItemImage;
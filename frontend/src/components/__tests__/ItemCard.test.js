@@ -0,0 +1,37 @@
+import React from 'react';
+import { render, screen, cleanup, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ItemCard from '../ItemCard';
+
+const lamp = { id: 9, name: 'Desk Lamp', category: 'Furniture', price: 49.5, version: 1 };
+
+function renderCard(item, onPrefetch = jest.fn()) {
+  render(
+    <MemoryRouter>
+      <ItemCard item={item} onPrefetch={onPrefetch} />
+    </MemoryRouter>
+  );
+  return onPrefetch;
+}
+
+afterEach(() => {
+  cleanup();
+});
+
+test('links to the item and loads it on hover', () => {
+  const onPrefetch = renderCard(lamp);
+  const link = screen.getByRole('link');
+  expect(link.getAttribute('href')).toBe('/items/9');
+
+  fireEvent.mouseEnter(link);
+  expect(onPrefetch).toHaveBeenCalledWith(9);
+});
+
+test('shows an item still being created without a link to its temporary id', () => {
+  const onPrefetch = renderCard({ ...lamp, id: -1, pending: true });
+  expect(screen.queryByRole('link')).toBeNull();
+  expect(screen.getByText('Desk Lamp').parentElement.getAttribute('aria-busy')).toBe('true');
+
+  fireEvent.mouseEnter(screen.getByText('Desk Lamp'));
+  expect(onPrefetch).not.toHaveBeenCalled();
+});
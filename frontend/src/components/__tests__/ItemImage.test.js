@@ -0,0 +1,24 @@
+import React from 'react';
+import { render, cleanup } from '@testing-library/react';
+import ItemImage from '../ItemImage';
+
+afterEach(() => {
+  cleanup();
+});
+
+test('renders SVG markup as an inert image instead of DOM nodes', () => {
+  const svg = '<svg onload="alert(1)"><script>alert(1)</script><rect/></svg>';
+  const { container } = render(<ItemImage svg={svg} alt="Lamp" />);
+
+  expect(container.querySelector('script')).toBeNull();
+  expect(container.querySelector('svg')).toBeNull();
+
+  const img = container.querySelector('img');
+  expect(img.getAttribute('alt')).toBe('Lamp');
+  expect(img.getAttribute('src')).toBe(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+});
+
+test('renders nothing without markup', () => {
+  const { container } = render(<ItemImage svg="" />);
+  expect(container.firstChild).toBeNull();
+});
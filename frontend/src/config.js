@@ -0,0 +1,9 @@
+// Base URL of the backend, e.g. https://api.staging.example.com. Set
+// REACT_APP_API_URL when starting or building the app (CRA inlines it at
+// build time); defaults to the local backend.
+export const API_URL = (process.env.REACT_APP_API_URL || 'http://localhost:3001').replace(/\/+$/, '');
+
+// Absolute URL for an API path such as `/api/items`.
+export function apiUrl(path) {
+  return `${API_URL}${path}`;
+}
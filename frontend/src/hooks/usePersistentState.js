@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+
+function readStored(key, fallback, allowed) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key));
+    if (stored !== null && (!allowed || allowed.includes(stored))) return stored;
+  } catch (err) {
+    // missing, unparseable or storage disabled
+  }
+  return fallback;
+}
+
+/**
+ * Like useState, but remembered in localStorage under `key` so the choice
+ * survives reloads and later visits. With `allowed`, stored values outside
+ * it (e.g. from an older version) fall back to `initial`.
+ */
+export default function usePersistentState(key, initial, allowed) {
+  const [value, setValue] = useState(() => readStored(key, initial, allowed));
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      // storage full or disabled: the choice lasts for this visit only
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
@@ -2,6 +2,8 @@ import React from 'react';
 import { Routes, Route, Link } from 'react-router-dom';
 import Items from './Items';
 import ItemDetail from './ItemDetail';
+import ItemForm from './ItemForm';
+import Stats from './Stats';
 import { DataProvider } from '../state/DataContext';
 import './App.css';
 
@@ -10,10 +12,15 @@ function App() {
     <DataProvider>
       <nav className="navbar">
         <Link to="/" className="navbar-link">Items</Link>
+        <Link to="/stats" className="navbar-link">Stats</Link>
+        <Link to="/items/new" className="navbar-link">New item</Link>
       </nav>
       <Routes>
         <Route path="/" element={<Items />} />
+        <Route path="/items/new" element={<ItemForm />} />
         <Route path="/items/:id" element={<ItemDetail />} />
+        <Route path="/items/:id/edit" element={<ItemForm />} />
+        <Route path="/stats" element={<Stats />} />
       </Routes>
     </DataProvider>
   );
@@ -1,63 +1,23 @@
-import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { FiArrowLeft } from 'react-icons/fi';
+import React from 'react';
+import { Link, useLocation, useParams, useNavigate } from 'react-router-dom';
+import { FiArrowLeft, FiEdit2 } from 'react-icons/fi';
+import ItemImage from '../components/ItemImage';
+import { useItem } from '../state/DataContext';
 import './ItemDetail.css';
 
 function ItemDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [item, setItem] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [notFound, setNotFound] = useState(false);
-
-  useEffect(() => {
-    // Use an AbortController to avoid updating state after unmount
-    const controller = new AbortController();
-    const signal = controller.signal;
-
-    async function load() {
-      setLoading(true);
-      setError(null);
-      setNotFound(false);
-      try {
-        // Use explicit backend URL to avoid proxy/CORS ambiguity in dev
-        const res = await fetch(`http://localhost:3001/api/items/${id}`, { signal });
-        if (res.status === 404) {
-          setNotFound(true);
-          return;
-        }
-        if (!res.ok) {
-          throw new Error('Failed to load item');
-        }
-        const json = await res.json();
-        // Ensure the response is a usable object. Some environments or
-        // misconfigured proxies may return an empty body which would lead
-        // to `item` being null and the component attempting to read its
-        // properties (causing the runtime TypeError you saw). Validate
-        // before setting state and surface an error otherwise.
-        if (!json || typeof json !== 'object') {
-          setError('Invalid item data received');
-          return;
-        }
-        setItem(json);
-      } catch (err) {
-        if (err.name === 'AbortError') return; // expected on unmount
-        setError(err.message || 'Unknown error');
-      } finally {
-        // If the request was aborted, avoid touching state here. The
-        // component may be unmounting and updating `loading` to false can
-        // lead to a render where `item` is still null which causes runtime
-        // errors. Check the signal before updating state.
-        if (signal && signal.aborted) return;
-        setLoading(false);
-      }
-    }
-
-    load();
-
-    return () => controller.abort();
-  }, [id]);
+  const location = useLocation();
+  // Opened from the list: go back to it as it was (filters, page, scroll
+  // position). Opened directly: go to the list.
+  const back = () => (location.state && location.state.fromList ? navigate(-1) : navigate('/'));
+  // An item already seen in the list (or prefetched on hover) shows at once
+  // while it revalidates. Requests are aborted by the cache on unmount.
+  const { data: item, error, isLoading: loading } = useItem(id);
+  const notFound = error && error.status === 404;
+  // { deletedAt, purgeAt } when the item is in the trash (410 Gone)
+  const deleted = error && error.status === 410 ? error.problem || {} : null;
 
   // Render states instead of immediately redirecting back to the list.
   if (loading) {
@@ -86,7 +46,7 @@ function ItemDetail() {
   if (notFound) {
     return (
       <div className="item-detail-container">
-        <button className="item-detail-back" onClick={() => navigate('/items')} aria-label="Back to items">
+        <button className="item-detail-back" onClick={back} aria-label="Back to items">
           <FiArrowLeft aria-hidden="true" />
           Back
         </button>
@@ -95,21 +55,41 @@ function ItemDetail() {
     );
   }
 
-  if (error) {
+  if (deleted) {
+    const formatDate = value => new Date(value).toLocaleDateString(undefined, { dateStyle: 'medium' });
+    return (
+      <div className="item-detail-container">
+        <button className="item-detail-back" onClick={back} aria-label="Back to items">
+          <FiArrowLeft aria-hidden="true" />
+          Back
+        </button>
+        <div className="item-detail-deleted" role="status">
+          <h1 className="item-detail-deleted-title">This item was deleted</h1>
+          <p>
+            It was moved to the trash on {formatDate(deleted.deletedAt)} and will be removed permanently on{' '}
+            {formatDate(deleted.purgeAt)} unless it is restored.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // A failed revalidation keeps showing the cached item.
+  if (error && !item) {
     return (
       <div className="item-detail-container">
-        <button className="item-detail-back" onClick={() => navigate('/')} aria-label="Back to items">
+        <button className="item-detail-back" onClick={back} aria-label="Back to items">
           <FiArrowLeft aria-hidden="true" />
           Back
         </button>
-        <p className="item-detail-error">Error: {error}</p>
+        <p className="item-detail-error">Error: {error.message || 'Unknown error'}</p>
       </div>
     );
   }
 
   return (
     <div className="item-detail-container">
-      <button className="item-detail-back" onClick={() => navigate('/')} aria-label="Back to items">
+      <button className="item-detail-back" onClick={back} aria-label="Back to items">
         <FiArrowLeft aria-hidden="true" />
         Back
       </button>
@@ -117,7 +97,7 @@ function ItemDetail() {
       <div className="item-detail-card">
         {item.img && (
           <div className="item-detail-img">
-            <div dangerouslySetInnerHTML={{ __html: item.img }} />
+            <ItemImage svg={item.img} alt={item.name} />
           </div>
         )}
 
@@ -128,6 +108,13 @@ function ItemDetail() {
             <span className="item-detail-category">{item.category}</span>
             <span className="item-detail-price">${item.price}</span>
           </div>
+
+          <div className="item-detail-actions">
+            <Link className="item-detail-btn" to={`/items/${item.id}/edit`}>
+              <FiEdit2 aria-hidden="true" />
+              Edit
+            </Link>
+          </div>
         </div>
       </div>
     </div>
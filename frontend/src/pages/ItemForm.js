@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { FiArrowLeft, FiUpload } from 'react-icons/fi';
+import ItemImage from '../components/ItemImage';
+import { useItem, useSaveItem, useStats } from '../state/DataContext';
+import { getAuthToken, signIn, signOut } from '../state/auth';
+import { validateItem } from '../state/itemSchema';
+import './ItemDetail.css';
+import './ItemForm.css';
+
+const LABELS = { name: 'Name', category: 'Category', price: 'Price', img: 'Image', apiKey: 'API key' };
+// Select value for typing a new category; real ones are trimmed, so none
+// starts with a space.
+const NEW_CATEGORY = ' new';
+
+const toValues = (item) => ({
+  name: item ? item.name : '',
+  category: item ? item.category : '',
+  price: item ? String(item.price) : '',
+  img: item && item.img ? item.img : '',
+});
+
+// What to tell the user about a failed save: messages for the fields the
+// server rejected, and/or one for the form as a whole.
+function describeFailure(err) {
+  const problem = err.problem || {};
+  if (err.status === 401) return { message: 'Your session has expired. Enter your API key again to save.' };
+  if (err.status === 403) return { message: 'This API key may not edit items. Enter an editor key to save.' };
+  if (problem.code === 'version_conflict') {
+    return { conflict: true, message: 'Someone else changed this item since you opened it.' };
+  }
+  const fields = {};
+  Object.entries(problem.errors || {}).forEach(([key, message]) => {
+    if (LABELS[key]) fields[key] = message;
+  });
+  const unmatched = Object.keys(problem.errors || {}).length > Object.keys(fields).length;
+  return { fields, message: !Object.keys(fields).length || unmatched ? err.message : null };
+}
+
+// A labelled control with its hint and inline error. `children` renders
+// the control from the props that tie it to them.
+function Field({ field, label = LABELS[field], errors, hint, children }) {
+  const id = `item-form-${field}`;
+  const error = errors[field];
+  const describedBy = [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(' ');
+  return (
+    <div className="item-form__field">
+      <label htmlFor={id}>{label}</label>
+      {children({ id, 'aria-invalid': error ? true : undefined, 'aria-describedby': describedBy || undefined })}
+      {hint && <span id={`${id}-hint`} className="item-form__hint">{hint}</span>}
+      {error && <span id={`${id}-error`} className="item-form__error">{LABELS[field]} {error}</span>}
+    </div>
+  );
+}
+
+/**
+ * The create/edit form. `item` is the cached item being edited, or
+ * undefined for a new one. Its values fill the form once, so background
+ * refreshes don't undo typing; after a conflicting change the user can
+ * start over from the latest copy.
+ */
+function ItemEditor({ item }) {
+  const navigate = useNavigate();
+  const save = useSaveItem();
+  const [values, setValues] = useState(() => toValues(item));
+  const [version, setVersion] = useState(item ? item.version : undefined);
+  const [errors, setErrors] = useState({});
+  const [failure, setFailure] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [signedIn, setSignedIn] = useState(() => Boolean(getAuthToken()));
+  const [apiKey, setApiKey] = useState('');
+  const [newCategory, setNewCategory] = useState(false);
+
+  // Categories come from the catalog; the item's own is always offered.
+  const { data: stats } = useStats({});
+  const known = new Set(stats ? stats.categories.map(({ category }) => category) : []);
+  if (item) known.add(item.category);
+  const categories = [...known].sort((a, b) => a.localeCompare(b));
+
+  const edit = (key) => (event) => setValues({ ...values, [key]: event.target.value });
+  const chooseCategory = (event) => {
+    const typed = event.target.value === NEW_CATEGORY;
+    setNewCategory(typed);
+    setValues({ ...values, category: typed ? '' : event.target.value });
+  };
+  const upload = async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+    const img = await file.text();
+    setValues((current) => ({ ...current, img }));
+  };
+
+  const startOver = () => {
+    setValues(toValues(item));
+    setVersion(item.version);
+    setErrors({});
+    setFailure(null);
+  };
+
+  const submit = async (event) => {
+    event.preventDefault();
+    const { value, errors: invalid } = validateItem(values);
+    const found = { ...invalid };
+    if (!signedIn && !apiKey.trim()) found.apiKey = 'is required';
+    setErrors(found);
+    setFailure(null);
+    if (Object.keys(found).length) return;
+
+    setSaving(true);
+    if (!signedIn) {
+      try {
+        await signIn(apiKey.trim());
+        setSignedIn(true);
+        setApiKey('');
+      } catch (err) {
+        setSaving(false);
+        if (err.status === 401) setErrors({ apiKey: 'was not recognized' });
+        else setFailure({ message: err.message });
+        return;
+      }
+    }
+
+    try {
+      const saved = await save(item ? item.id : null, value, { version });
+      navigate(`/items/${saved.id}`);
+    } catch (err) {
+      setSaving(false);
+      if (err.status === 401 || err.status === 403) {
+        signOut();
+        setSignedIn(false);
+      }
+      const { fields = {}, ...rest } = describeFailure(err);
+      setErrors(fields);
+      setFailure(rest.message ? rest : null);
+    }
+  };
+
+  const { errors: current } = validateItem(values);
+  const preview = Boolean(values.img.trim()) && !(current && current.img);
+  const back = item ? `/items/${item.id}` : '/';
+
+  return (
+    <div className="item-form-container">
+      <Link className="item-detail-back" to={back}>
+        <FiArrowLeft aria-hidden="true" />
+        Cancel
+      </Link>
+
+      <form className="item-form" onSubmit={submit} noValidate>
+        <h1 className="item-form__title">{item ? `Edit ${item.name}` : 'New item'}</h1>
+
+        {failure && (
+          <div className="item-form__failure" role="alert">
+            <p>{failure.message}</p>
+            {failure.conflict && (
+              <button type="button" className="item-form__secondary" onClick={startOver}>
+                Discard my changes and load the latest version
+              </button>
+            )}
+          </div>
+        )}
+
+        <Field field="name" errors={errors}>
+          {(props) => <input {...props} value={values.name} onChange={edit('name')} />}
+        </Field>
+
+        {/* Once "New category…" is picked, errors show on the text field. */}
+        <Field field={newCategory ? 'categoryChoice' : 'category'} label="Category" errors={errors}>
+          {(props) => (
+            <select {...props} value={newCategory ? NEW_CATEGORY : values.category} onChange={chooseCategory}>
+              <option value="" disabled>Choose a category</option>
+              {categories.map((category) => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+              <option value={NEW_CATEGORY}>New category…</option>
+            </select>
+          )}
+        </Field>
+
+        {newCategory && (
+          <Field field="category" label="New category" errors={errors}>
+            {(props) => <input {...props} value={values.category} onChange={edit('category')} />}
+          </Field>
+        )}
+
+        <Field field="price" errors={errors}>
+          {(props) => (
+            <input
+              {...props}
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="any"
+              value={values.price}
+              onChange={edit('price')}
+            />
+          )}
+        </Field>
+
+        <div className="item-form__image">
+          <Field field="img" label="Image (SVG markup, optional)" errors={errors}>
+            {(props) => <textarea {...props} rows={6} value={values.img} onChange={edit('img')} spellCheck={false} />}
+          </Field>
+          <label className="item-form__upload">
+            <FiUpload aria-hidden="true" />
+            Load an SVG file
+            <input type="file" accept="image/svg+xml,.svg" onChange={upload} className="visually-hidden" />
+          </label>
+          <div className="item-form__preview">
+            {preview ? <ItemImage svg={values.img} alt="Image preview" /> : <span>No image</span>}
+          </div>
+        </div>
+
+        {!signedIn && (
+          <Field
+            field="apiKey"
+            errors={errors}
+            hint="Needed once per session to save changes; it is exchanged for a temporary token."
+          >
+            {(props) => (
+              <input
+                {...props}
+                type="password"
+                autoComplete="off"
+                value={apiKey}
+                onChange={(event) => setApiKey(event.target.value)}
+              />
+            )}
+          </Field>
+        )}
+
+        <div className="item-form__actions">
+          <button type="submit" className="item-form__submit" disabled={saving}>
+            {saving ? 'Saving…' : item ? 'Save changes' : 'Create item'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Load the item first; the form starts from its cached copy when there is one.
+function EditItem({ id }) {
+  const { data: item, error, isLoading } = useItem(id);
+
+  if (isLoading) return <p className="item-form-container item-form__status">Loading…</p>;
+  if (error && !item) {
+    let message = `Error: ${error.message}`;
+    if (error.status === 404) message = 'Item not found.';
+    if (error.status === 410) message = 'This item was deleted, so it can no longer be edited.';
+    return (
+      <div className="item-form-container">
+        <Link className="item-detail-back" to="/">
+          <FiArrowLeft aria-hidden="true" />
+          Back
+        </Link>
+        <p className="item-detail-error">{message}</p>
+      </div>
+    );
+  }
+  return <ItemEditor key={id} item={item} />;
+}
+
+// /items/new and /items/:id/edit
+function ItemForm() {
+  const { id } = useParams();
+  return id === undefined ? <ItemEditor /> : <EditItem id={id} />;
+}
+
+export default ItemForm;
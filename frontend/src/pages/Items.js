@@ -1,46 +1,103 @@
-import React, { useEffect, useState } from 'react';
-import { useData } from '../state/DataContext';
-import { Link } from 'react-router-dom';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useItems, usePrefetchItem, useStats } from '../state/DataContext';
+import { useSearchParams } from 'react-router-dom';
 import './Items.css';
 import { FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import ItemCard from '../components/ItemCard';
+import ItemFilters from '../components/ItemFilters';
+import ContinuousItems from '../components/ContinuousItems';
+import usePersistentState from '../hooks/usePersistentState';
+import { isFiltered, itemQueryString, readItemQuery, updateItemQuery, writeItemQuery } from '../state/itemQuery';
+
+const PAGE_SIZE = 10;
+
+// How the list is browsed: numbered pages, or one list that keeps loading
+// as it scrolls. Remembered between visits.
+const VIEW_MODES = [
+  { value: 'pages', label: 'Pages' },
+  { value: 'continuous', label: 'Continuous' },
+];
 
 function Items() {
-  const { items, total, fetchItems } = useData();
-  const [page, setPage] = useState(1);
-  const [loading, setLoading] = useState(false);
-  const limit = 10;
+  const [mode, setMode] = usePersistentState('items.viewMode', 'pages', VIEW_MODES.map(({ value }) => value));
+
+  // Search, filters, sort and page live in the URL so views can be
+  // bookmarked, shared and restored with the back button.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => readItemQuery(searchParams), [searchParams]);
+  const { q, minPrice, maxPrice } = query;
+  const changeQuery = useCallback(
+    (changes) => setSearchParams(writeItemQuery(updateItemQuery(query, changes))),
+    [query, setSearchParams]
+  );
 
-  useEffect(() => {
-    const controller = new AbortController();
-    setLoading(true);
-
-    fetchItems({ limit, page, signal: controller.signal })
-      .catch((err) => {
-        if (err && err.name === 'AbortError') return;
-        console.error(err);
-      })
-      .finally(() => {
-        if (controller.signal && controller.signal.aborted) return;
-        setLoading(false);
-      });
-
-    return () => controller.abort();
-  }, [fetchItems, page]);
+  // Facet counts ignore the selected categories, so picking one doesn't
+  // hide the others.
+  const stats = useStats({ q, minPrice, maxPrice });
+  const facets = stats.data ? { categories: stats.data.categories, price: stats.data.price } : null;
+
+  const chooseMode = (value) => {
+    setMode(value);
+    // The continuous list always starts from the top.
+    if (value === 'continuous' && query.page !== 1) changeQuery({ page: 1 });
+  };
+
+  return (
+    <div className="items-container">
+      <div className="items-header">
+        <h1 className="items-title">Items</h1>
+        <div className="items-view" role="group" aria-label="View">
+          {VIEW_MODES.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              className={`items-view__btn ${mode === value ? 'items-view__btn--active' : ''}`}
+              aria-pressed={mode === value}
+              onClick={() => chooseMode(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <ItemFilters query={query} onChange={changeQuery} facets={facets} />
+
+      {mode === 'continuous' ? (
+        // A new search or filter starts a new list at the top.
+        <ContinuousItems key={itemQueryString({ ...query, page: 1 })} query={query} />
+      ) : (
+        <PagedItems query={query} onChange={changeQuery} />
+      )}
+    </div>
+  );
+}
+
+// Numbered pages of `query`; `onChange` moves to another page.
+function PagedItems({ query, onChange }) {
+  const { page } = query;
+  const limit = PAGE_SIZE;
+
+  // Cached pages show at once and revalidate in the background (see
+  // state/DataContext); the previous page stays up while a new one loads.
+  const { data, error, isLoading, isPreviousData } = useItems({ ...query, limit });
+  const { items, total } = data || { items: [], total: 0 };
+  const loading = (isLoading || isPreviousData) && !error;
+  const prefetchItem = usePrefetchItem();
 
   /*
     Change explanation:
-    - Replaced the previous `active` flag pattern with an AbortController.
-    - The `DataContext.fetchItems` now accepts an AbortSignal and passes it
-      to `fetch`. When the component unmounts we call `controller.abort()` to
-      cancel the request. This prevents state updates after unmount and
-      avoids memory leaks and React warnings.
+    - Requests go through the query cache in `state/DataContext`, which
+      aborts a request once no component is waiting for it (e.g. after
+      unmounting). Components only subscribe to the cache, so a response
+      arriving late can't update an unmounted component.
   */
 
   const totalPages = Math.max(1, Math.ceil((total || 0) / limit));
 
   const goToPage = (p) => {
     if (p < 1 || p > totalPages) return;
-    setPage(p);
+    onChange({ page: p });
   };
 
   // responsive page count: show fewer page buttons on smaller screens
@@ -92,28 +149,29 @@ function Items() {
   };
 
   return (
-    <div className="items-container">
-      <div className="items-header">
-        <h1 className="items-title">Items</h1>
-        <div className="items-info">
-          {loading ? (
-            <span className="items-loading">Loading…</span>
-          ) : (
-            <span className="items-meta">Showing page {page} of {totalPages}</span>
-          )}
-        </div>
+    <>
+      <div className="items-info">
+        {loading ? (
+          <span className="items-loading">Loading…</span>
+        ) : (
+          <span className="items-meta">
+            Showing page {page} of {totalPages}
+            {isFiltered(query) && ` · ${total} matching item${total === 1 ? '' : 's'}`}
+          </span>
+        )}
       </div>
 
+      {error && <p className="items-error" role="alert">Error: {error.message}</p>}
+      {data && !loading && !error && items.length === 0 && (
+        <p className="items-empty">
+          {isFiltered(query) ? 'No items match your search and filters.' : 'No items yet.'}
+        </p>
+      )}
+
       <ul className="items-list">
         {items.map(item => (
           <li className="items-list__item" key={item.id}>
-            <Link className="items-list__link" to={'/items/' + item.id}>
-              {item.img && (
-                <div className="items-list__img" dangerouslySetInnerHTML={{ __html: item.img }} />
-              )}
-              <div className="items-list__title">{item.name}</div>
-              <div className="items-list__meta">{item.category} • ${item.price}</div>
-            </Link>
+            <ItemCard item={item} onPrefetch={prefetchItem} />
           </li>
         ))}
       </ul>
@@ -160,7 +218,7 @@ function Items() {
           <FiChevronRight aria-hidden="true" />
         </button>
       </nav>
-    </div>
+    </>
   );
 }
 
@@ -0,0 +1,110 @@
+import React, { useCallback, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiList } from 'react-icons/fi';
+import BarChart from '../components/BarChart';
+import Histogram from '../components/Histogram';
+import ItemFilters from '../components/ItemFilters';
+import { useStats } from '../state/DataContext';
+import { isFiltered, readItemQuery, updateItemQuery, writeItemQuery } from '../state/itemQuery';
+import './Items.css';
+import './Stats.css';
+
+const formatPrice = (value) => (value == null
+  ? '–'
+  : `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`);
+
+/**
+ * Catalog statistics (GET /api/stats) for the same search, category and
+ * price filters as the Items page, kept in the URL the same way.
+ */
+function Stats() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => readItemQuery(searchParams), [searchParams]);
+  const { q, category, minPrice, maxPrice } = query;
+  const changeQuery = useCallback(
+    (changes) => setSearchParams(writeItemQuery(updateItemQuery(query, changes))),
+    [query, setSearchParams]
+  );
+
+  const { data: stats, error, isLoading, isPreviousData } = useStats(
+    { q, category, minPrice, maxPrice },
+    { keepPreviousData: true }
+  );
+  // Category chips count items for the search and price range alone.
+  const facetStats = useStats({ q, minPrice, maxPrice });
+  const facets = facetStats.data
+    ? { categories: facetStats.data.categories, price: facetStats.data.price }
+    : null;
+
+  const itemsLink = `/?${writeItemQuery({ ...query, page: 1 })}`;
+
+  return (
+    <div className="stats-container">
+      <div className="stats-header">
+        <h1 className="stats-title">Statistics</h1>
+        <Link className="stats-link" to={itemsLink}>
+          <FiList aria-hidden="true" />
+          {isFiltered(query) ? 'Show these items' : 'Show all items'}
+        </Link>
+      </div>
+
+      <ItemFilters query={query} onChange={changeQuery} facets={facets} sortable={false} />
+
+      {error && <p className="items-error" role="alert">Error: {error.message}</p>}
+      {isLoading && <p className="items-loading">Loading…</p>}
+
+      {stats && stats.total === 0 && (
+        <p className="items-empty">
+          {isFiltered(query) ? 'No items match your search and filters.' : 'No items yet.'}
+        </p>
+      )}
+
+      {stats && stats.total > 0 && (
+        <div className={`stats-body ${isPreviousData ? 'stats-body--updating' : ''}`} aria-busy={isPreviousData}>
+          <dl className="stats-summary">
+            <div className="stats-card">
+              <dt>Items</dt>
+              <dd>{stats.total.toLocaleString()}</dd>
+            </div>
+            <div className="stats-card">
+              <dt>Average price</dt>
+              <dd>{formatPrice(stats.averagePrice)}</dd>
+            </div>
+            <div className="stats-card">
+              <dt>Median price</dt>
+              <dd>{formatPrice(stats.price.median)}</dd>
+            </div>
+            <div className="stats-card">
+              <dt>Total value</dt>
+              <dd>{formatPrice(stats.totalValue)}</dd>
+            </div>
+          </dl>
+
+          <section className="stats-section">
+            <h2>Items per category</h2>
+            <BarChart
+              label="Items per category"
+              data={stats.categories.map(({ category: name, count }) => ({ label: name, value: count }))}
+            />
+          </section>
+
+          <section className="stats-section">
+            <h2>Value per category</h2>
+            <BarChart
+              label="Value per category"
+              data={stats.categories.map(({ category: name, totalValue }) => ({ label: name, value: totalValue }))}
+              format={formatPrice}
+            />
+          </section>
+
+          <section className="stats-section stats-section--wide">
+            <h2>Price distribution</h2>
+            <Histogram label="Items per price range" bins={stats.histogram} format={formatPrice} />
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Stats;
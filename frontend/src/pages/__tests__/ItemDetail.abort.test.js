@@ -2,6 +2,7 @@ import React from 'react';
 import { render, cleanup } from '@testing-library/react';
 import { MemoryRouter, Routes, Route } from 'react-router-dom';
 import ItemDetail from '../ItemDetail';
+import { DataProvider } from '../../state/DataContext';
 
 jest.useFakeTimers();
 
@@ -34,9 +35,11 @@ test('does not throw runtime errors when fetch is aborted on unmount', async ()
 
   const rendered = render(
     <MemoryRouter initialEntries={["/items/1"]}>
-      <Routes>
-        <Route path="/items/:id" element={<ItemDetail />} />
-      </Routes>
+      <DataProvider>
+        <Routes>
+          <Route path="/items/:id" element={<ItemDetail />} />
+        </Routes>
+      </DataProvider>
     </MemoryRouter>
   );
 
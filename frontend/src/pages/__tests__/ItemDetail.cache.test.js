@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, cleanup, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import Items from '../Items';
+import ItemDetail from '../ItemDetail';
+import { DataProvider } from '../../state/DataContext';
+import { QueryCache } from '../../state/queryCache';
+
+const chair = { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799, version: 1 };
+
+function respond(body) {
+  return { ok: true, json: async () => body };
+}
+
+function renderApp(url, cache = new QueryCache()) {
+  return render(
+    <MemoryRouter initialEntries={[url]}>
+      <DataProvider cache={cache}>
+        <Routes>
+          <Route path="/" element={<Items />} />
+          <Route path="/items/:id" element={<ItemDetail />} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+}
+
+const requested = (path) => global.fetch.mock.calls.map(([url]) => new URL(url)).filter((url) => url.pathname === path);
+
+afterEach(() => {
+  cleanup();
+  jest.restoreAllMocks();
+});
+
+test('shows an item from the list at once while revalidating it', async () => {
+  let answer;
+  global.fetch = jest.fn((url) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/api/items/4') return new Promise((resolve) => { answer = resolve; });
+    if (pathname === '/api/stats') return Promise.resolve(respond({ categories: [], price: {} }));
+    return Promise.resolve(respond({ data: [chair], total: 1 }));
+  });
+
+  renderApp('/');
+  fireEvent.click(await screen.findByText('Ergonomic Chair'));
+
+  expect(screen.getByRole('heading', { name: 'Ergonomic Chair' })).toBeTruthy();
+  await waitFor(() => expect(answer).toBeDefined());
+  answer(respond({ ...chair, name: 'Ergonomic Chair v2', version: 2 }));
+  expect(await screen.findByRole('heading', { name: 'Ergonomic Chair v2' })).toBeTruthy();
+});
+
+test('prefetches the next page and hovered items', async () => {
+  global.fetch = jest.fn(async (url) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/api/items/4') return respond(chair);
+    if (pathname === '/api/stats') return respond({ categories: [], price: {} });
+    return respond({ data: [chair], total: 25 });
+  });
+
+  renderApp('/');
+  await waitFor(() => expect(requested('/api/items').map((url) => url.searchParams.get('page'))).toEqual(['1', '2']));
+
+  fireEvent.mouseEnter(await screen.findByText('Ergonomic Chair'));
+  await waitFor(() => expect(requested('/api/items/4')).toHaveLength(1));
+  fireEvent.mouseEnter(screen.getByText('Ergonomic Chair'));
+  expect(requested('/api/items/4')).toHaveLength(1);
+});
+
+test('reports errors per query', async () => {
+  global.fetch = jest.fn(async (url) => {
+    if (new URL(url).pathname === '/api/stats') return respond({ categories: [], price: {} });
+    return {
+      ok: false,
+      status: 500,
+      headers: new Headers({ 'X-Request-Id': 'r-1' }),
+      json: async () => ({ code: 'internal_error', detail: 'An unexpected error occurred' }),
+    };
+  });
+
+  renderApp('/');
+  expect((await screen.findByRole('alert')).textContent).toBe('Error: An unexpected error occurred (request r-1)');
+});
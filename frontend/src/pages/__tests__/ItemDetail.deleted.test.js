@@ -0,0 +1,36 @@
+import React from 'react';
+import { render, screen, cleanup } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ItemDetail from '../ItemDetail';
+import { DataProvider } from '../../state/DataContext';
+
+afterEach(() => {
+  cleanup();
+  jest.restoreAllMocks();
+});
+
+test('shows a deleted state for items in the trash', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: false,
+    status: 410,
+    json: async () => ({
+      code: 'gone',
+      deletedAt: '2024-03-01T12:00:00.000Z',
+      purgeAt: '2024-03-31T12:00:00.000Z',
+    }),
+  }));
+
+  render(
+    <MemoryRouter initialEntries={["/items/3"]}>
+      <DataProvider>
+        <Routes>
+          <Route path="/items/:id" element={<ItemDetail />} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+
+  expect(await screen.findByRole('heading', { name: 'This item was deleted' })).toBeTruthy();
+  expect(screen.getByRole('status').textContent).toMatch(/removed permanently/);
+  expect(screen.queryByText(/not found/i)).toBeNull();
+});
@@ -0,0 +1,219 @@
+import React from 'react';
+import { render, screen, cleanup, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ItemForm from '../ItemForm';
+import { DataProvider } from '../../state/DataContext';
+import { QueryCache } from '../../state/queryCache';
+import { DEFAULT_ITEM_QUERY, itemQueryString } from '../../state/itemQuery';
+
+const chair = { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799, version: 3 };
+const stats = { categories: [{ category: 'Electronics', count: 3 }, { category: 'Furniture', count: 2 }], price: {} };
+
+function respond(body, status = 200) {
+  return { ok: status < 400, status, headers: new Headers(), json: async () => body };
+}
+
+function renderAt(url, cache = new QueryCache()) {
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <DataProvider cache={cache}>
+        <Routes>
+          <Route path="/items/new" element={<ItemForm />} />
+          <Route path="/items/:id/edit" element={<ItemForm />} />
+          <Route path="/items/:id" element={<p>Saved item page</p>} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+  return cache;
+}
+
+// Answer reads from fixtures (with `item` as item 4) and writes with `write(url, init)`.
+function serve(write, item = chair) {
+  global.fetch = jest.fn(async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    if (init.method) return write(pathname, init);
+    if (pathname === '/api/stats') return respond(stats);
+    if (pathname === '/api/items/4') return respond(item);
+    return respond({ data: [item], total: 1 });
+  });
+}
+
+// The first page of the plain catalog, cached the way the Items page loads it.
+const catalogQuery = { ...DEFAULT_ITEM_QUERY, limit: 10 };
+const catalogKey = `items?${itemQueryString(catalogQuery)}`;
+const cacheCatalog = (cache, items) => cache.fetch(catalogKey, async () => ({ items, total: items.length }), {
+  meta: catalogQuery,
+});
+const catalog = (cache) => cache.getSnapshot(catalogKey).data;
+
+const signedIn = () => window.sessionStorage.setItem(
+  'items.authToken', JSON.stringify({ token: 't-1', expiresAt: Date.now() + 60000 })
+);
+
+const writes = () => global.fetch.mock.calls.filter(([, init]) => init && init.method);
+const type = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+afterEach(() => {
+  cleanup();
+  window.sessionStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('checks the values with the same rules as the API before saving', async () => {
+  serve(async () => respond({}, 500));
+  renderAt('/items/new');
+  await screen.findByRole('option', { name: 'Furniture' });
+
+  type('Price', '0');
+  type('Image (SVG markup, optional)', '<p>not an image</p>');
+  fireEvent.click(screen.getByRole('button', { name: 'Create item' }));
+
+  expect(screen.getByText('Name must not be empty')).toBeTruthy();
+  expect(screen.getByText('Category must not be empty')).toBeTruthy();
+  expect(screen.getByText('Price must be greater than 0')).toBeTruthy();
+  expect(screen.getByText('Image must be an SVG image')).toBeTruthy();
+  expect(screen.getByText('API key is required')).toBeTruthy();
+  expect(screen.getByLabelText('Name').getAttribute('aria-invalid')).toBe('true');
+  expect(writes()).toHaveLength(0);
+});
+
+test('creates an item with a token obtained from the API key', async () => {
+  serve(async (pathname) => (pathname === '/api/auth/token'
+    ? respond({ token: 't-1', tokenType: 'Bearer', expiresIn: 3600, role: 'editor' }, 201)
+    : respond({ id: 9, name: 'Desk Lamp', category: 'Electronics', price: 49.5, version: 1 }, 201)));
+  renderAt('/items/new');
+
+  type('Name', ' Desk Lamp ');
+  await screen.findByRole('option', { name: 'Electronics' });
+  fireEvent.change(screen.getByLabelText('Category'), { target: { value: 'Electronics' } });
+  type('Price', '49.5');
+  type('Image (SVG markup, optional)', '<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+  expect(screen.getByAltText('Image preview')).toBeTruthy();
+  type('API key', 'secret-key');
+  fireEvent.click(screen.getByRole('button', { name: 'Create item' }));
+
+  expect(await screen.findByText('Saved item page')).toBeTruthy();
+  const [[tokenUrl, tokenInit], [saveUrl, saveInit]] = writes();
+  expect(new URL(tokenUrl).pathname).toBe('/api/auth/token');
+  expect(tokenInit.headers['X-API-Key']).toBe('secret-key');
+  expect(new URL(saveUrl).pathname).toBe('/api/items');
+  expect(saveInit.method).toBe('POST');
+  expect(saveInit.headers.Authorization).toBe('Bearer t-1');
+  expect(JSON.parse(saveInit.body)).toEqual({
+    name: 'Desk Lamp', category: 'Electronics', price: 49.5, img: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+  });
+});
+
+test('shows the fields the API rejected next to them', async () => {
+  window.sessionStorage.setItem('items.authToken', JSON.stringify({ token: 't-1', expiresAt: Date.now() + 60000 }));
+  serve(async () => respond({
+    code: 'validation_failed', detail: 'Validation failed', errors: { img: 'must be an SVG image' },
+  }, 400));
+  renderAt('/items/new');
+
+  type('Name', 'Lamp');
+  fireEvent.change(screen.getByLabelText('Category'), { target: { value: ' new' } });
+  type('New category', 'Lighting');
+  type('Price', '20');
+  type('Image (SVG markup, optional)', '<svg><script></script></svg>');
+  fireEvent.click(screen.getByRole('button', { name: 'Create item' }));
+
+  expect(await screen.findByText('Image must be an SVG image')).toBeTruthy();
+  expect(screen.queryByRole('alert')).toBeNull();
+  expect(JSON.parse(writes()[0][1].body).category).toBe('Lighting');
+});
+
+test('shows an edit everywhere at once and rolls it back when the save fails', async () => {
+  window.sessionStorage.setItem('items.authToken', JSON.stringify({ token: 't-1', expiresAt: Date.now() + 60000 }));
+  let answer;
+  serve(() => new Promise((resolve) => { answer = resolve; }));
+  const cache = new QueryCache();
+  await cacheCatalog(cache, [chair]);
+  renderAt('/items/4/edit', cache);
+
+  expect(await screen.findByDisplayValue('Ergonomic Chair')).toBeTruthy();
+  const reads = global.fetch.mock.calls.filter(([, init]) => !init.method);
+  expect(reads.length).toBeGreaterThan(0);
+  expect(reads.map(([, init]) => init.headers.Authorization)).toEqual(reads.map(() => 'Bearer t-1'));
+  type('Name', 'Kneeling Chair');
+  fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+  await waitFor(() => expect(answer).toBeDefined());
+  const [[url, init]] = writes();
+  expect(new URL(url).pathname).toBe('/api/items/4');
+  expect(init.method).toBe('PUT');
+  expect(init.headers['If-Match']).toBe('"3"');
+  expect(cache.getSnapshot('item:4').data.name).toBe('Kneeling Chair');
+  expect(catalog(cache).items[0].name).toBe('Kneeling Chair');
+
+  answer(respond({ code: 'version_conflict', detail: 'Item has changed', currentVersion: 4 }, 412));
+  expect((await screen.findByRole('alert')).textContent).toMatch('Someone else changed this item');
+  expect(catalog(cache).items[0].name).toBe('Ergonomic Chair');
+  expect(screen.getByDisplayValue('Kneeling Chair')).toBeTruthy();
+});
+
+test('shows a new item in the catalog until the API assigns its id', async () => {
+  signedIn();
+  let answer;
+  serve(() => new Promise((resolve) => { answer = resolve; }));
+  const cache = new QueryCache();
+  await cacheCatalog(cache, [chair]);
+  renderAt('/items/new', cache);
+
+  type('Name', 'Desk Lamp');
+  fireEvent.change(await screen.findByLabelText('Category'), { target: { value: 'Furniture' } });
+  type('Price', '49.5');
+  fireEvent.click(screen.getByRole('button', { name: 'Create item' }));
+
+  await waitFor(() => expect(answer).toBeDefined());
+  const [, pending] = catalog(cache).items;
+  expect(pending).toMatchObject({ name: 'Desk Lamp', category: 'Furniture', price: 49.5, pending: true });
+  expect(pending.id).toBeLessThan(0);
+  expect(catalog(cache).total).toBe(2);
+
+  const lamp = { id: 9, name: 'Desk Lamp', category: 'Furniture', price: 49.5, version: 1 };
+  answer(respond(lamp, 201));
+  expect(await screen.findByText('Saved item page')).toBeTruthy();
+  expect(catalog(cache)).toEqual({ items: [chair, lamp], total: 2 });
+  expect(cache.getSnapshot('item:9').data).toEqual(lamp);
+});
+
+test('takes a new item back out when the API refuses it', async () => {
+  signedIn();
+  serve(async () => respond({ code: 'internal_error', detail: 'Database is locked' }, 500));
+  const cache = new QueryCache();
+  await cacheCatalog(cache, [chair]);
+  renderAt('/items/new', cache);
+
+  type('Name', 'Desk Lamp');
+  fireEvent.change(await screen.findByLabelText('Category'), { target: { value: 'Furniture' } });
+  type('Price', '49.5');
+  fireEvent.click(screen.getByRole('button', { name: 'Create item' }));
+
+  expect((await screen.findByRole('alert')).textContent).toMatch('Database is locked');
+  expect(catalog(cache)).toEqual({ items: [chair], total: 1 });
+});
+
+test('drops a field cleared in the form from the copy shown while saving', async () => {
+  signedIn();
+  const framed = { ...chair, img: '<svg xmlns="http://www.w3.org/2000/svg"></svg>' };
+  let answer;
+  serve(() => new Promise((resolve) => { answer = resolve; }), framed);
+  const cache = new QueryCache();
+  await cacheCatalog(cache, [framed]);
+  renderAt('/items/4/edit', cache);
+
+  expect(await screen.findByAltText('Image preview')).toBeTruthy();
+  type('Image (SVG markup, optional)', '');
+  fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+  await waitFor(() => expect(answer).toBeDefined());
+  expect(JSON.parse(writes()[0][1].body)).not.toHaveProperty('img');
+  expect(cache.getSnapshot('item:4').data).toEqual(chair);
+  expect(catalog(cache).items).toEqual([chair]);
+
+  answer(respond({ ...chair, version: 4 }));
+  expect(await screen.findByText('Saved item page')).toBeTruthy();
+  expect(catalog(cache).items).toEqual([{ ...chair, version: 4 }]);
+});
@@ -0,0 +1,171 @@
+import React from 'react';
+import { render, screen, cleanup, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import Items from '../Items';
+import ItemDetail from '../ItemDetail';
+import { DataProvider } from '../../state/DataContext';
+import { QueryCache } from '../../state/queryCache';
+
+const TOTAL = 75;
+const catalog = Array.from({ length: TOTAL }, (_, i) => ({
+  id: i + 1, name: `Item ${i + 1}`, category: 'Misc', price: 10 + i, version: 1,
+}));
+
+function respond(body) {
+  return { ok: true, json: async () => body };
+}
+
+// Item list requests answered so far, as `page` numbers
+const requestedPages = () => global.fetch.mock.calls
+  .map(([url]) => new URL(url))
+  .filter((url) => url.pathname === '/api/items')
+  .map((url) => Number(url.searchParams.get('page')));
+
+// The same, as `order:page`
+const requestedOrderedPages = () => global.fetch.mock.calls
+  .map(([url]) => new URL(url))
+  .filter((url) => url.pathname === '/api/items')
+  .map((url) => `${url.searchParams.get('order') || 'asc'}:${url.searchParams.get('page')}`);
+
+let pending;
+// Pages whose next request fails
+let failing;
+
+beforeEach(() => {
+  pending = new Map();
+  failing = new Set();
+  global.fetch = jest.fn((url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/api/stats') return Promise.resolve(respond({ categories: [], price: {} }));
+    if (pathname.startsWith('/api/items/')) return Promise.resolve(respond(catalog[Number(pathname.split('/').pop()) - 1]));
+    const page = Number(searchParams.get('page'));
+    const limit = Number(searchParams.get('limit'));
+    if (failing.delete(page)) {
+      return Promise.resolve({ ok: false, status: 500, json: async () => ({ detail: 'Database is locked' }) });
+    }
+    const body = { data: catalog.slice((page - 1) * limit, page * limit), total: TOTAL };
+    // Pages after the first wait until the test releases them.
+    if (page === 1) return Promise.resolve(respond(body));
+    return new Promise((resolve) => pending.set(page, () => resolve(respond(body))));
+  });
+  // jsdom doesn't scroll; let the list's scrollToRow land.
+  Element.prototype.scrollTo = function scrollTo({ top }) {
+    this.scrollTop = top;
+    this.dispatchEvent(new Event('scroll'));
+  };
+});
+
+afterEach(() => {
+  cleanup();
+  window.localStorage.clear();
+  delete Element.prototype.scrollTo;
+  jest.restoreAllMocks();
+});
+
+// Positions are remembered per query for the session, so tests that must
+// start at the top pass a query of their own.
+function renderApp(path = '/', cache = new QueryCache()) {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <DataProvider cache={cache}>
+        <Routes>
+          <Route path="/" element={<Items />} />
+          <Route path="/items/:id" element={<ItemDetail />} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+}
+
+const scrollTo = (top) => {
+  const list = screen.getByRole('list', { name: 'Items' });
+  list.scrollTop = top;
+  fireEvent.scroll(list);
+};
+
+test('remembers the chosen mode', async () => {
+  renderApp();
+  fireEvent.click(screen.getByRole('button', { name: 'Continuous' }));
+  expect(await screen.findByText('Item 1')).toBeTruthy();
+  expect(window.localStorage.getItem('items.viewMode')).toBe('"continuous"');
+  cleanup();
+
+  renderApp();
+  expect(screen.getByRole('button', { name: 'Continuous' }).getAttribute('aria-pressed')).toBe('true');
+  expect(await screen.findByText('75 items')).toBeTruthy();
+  expect(screen.queryByRole('navigation', { name: 'Pagination' })).toBeNull();
+});
+
+test('loads further pages near the end, showing placeholders meanwhile', async () => {
+  window.localStorage.setItem('items.viewMode', '"continuous"');
+  renderApp();
+  expect(await screen.findByText('Item 1')).toBeTruthy();
+  expect(requestedPages()).toEqual([1]);
+
+  // One card per row here; showing row 20 brings the end of page 1 within reach.
+  act(() => scrollTo(20 * 200));
+  await waitFor(() => expect(requestedPages()).toEqual([1, 2]));
+  expect(screen.getByText('Item 22')).toBeTruthy();
+  act(() => scrollTo(28 * 200));
+  const placeholders = screen.getAllByText('Loading…');
+  expect(placeholders.length).toBeGreaterThan(0);
+  expect(placeholders[0].closest('[role="listitem"]').getAttribute('aria-busy')).toBe('true');
+
+  await act(async () => pending.get(2)());
+  expect(await screen.findByText('Item 31')).toBeTruthy();
+  expect(screen.queryByText('Loading…')).toBeNull();
+
+  // Growing the list only asks for the new page, even once the others are stale.
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + 60000);
+  act(() => scrollTo(50 * 200));
+  await waitFor(() => expect(requestedPages()).toEqual([1, 2, 3]));
+});
+
+test('returns to the same place after visiting an item', async () => {
+  window.localStorage.setItem('items.viewMode', '"continuous"');
+  renderApp();
+  await screen.findByText('Item 1');
+  act(() => scrollTo(20 * 200));
+  await act(async () => pending.get(2)());
+
+  fireEvent.click(await screen.findByText('Item 22'));
+  fireEvent.click(await screen.findByRole('button', { name: 'Back to items' }));
+
+  expect(await screen.findByText('Item 22')).toBeTruthy();
+  expect(screen.queryByText('Item 1')).toBeNull();
+  expect(screen.getByRole('list', { name: 'Items' }).scrollTop).toBeGreaterThan(0);
+});
+
+test('loads a page that failed again on request', async () => {
+  window.localStorage.setItem('items.viewMode', '"continuous"');
+  failing.add(2);
+  renderApp('/?q=retried');
+  await screen.findByText('Item 1');
+
+  act(() => scrollTo(20 * 200));
+  expect((await screen.findByRole('alert')).textContent).toMatch('Database is locked');
+  fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+  await waitFor(() => expect(requestedPages()).toEqual([1, 2, 2]));
+
+  act(() => scrollTo(28 * 200));
+  await act(async () => pending.get(2)());
+  expect(await screen.findByText('Item 31')).toBeTruthy();
+  expect(screen.queryByRole('alert')).toBeNull();
+});
+
+test('reloads pages invalidated while another sort was shown', async () => {
+  window.localStorage.setItem('items.viewMode', '"continuous"');
+  const cache = new QueryCache();
+  renderApp('/?q=invalidated', cache);
+  await screen.findByText('Item 1');
+
+  fireEvent.change(screen.getByLabelText('Sort'), { target: { value: 'id:desc' } });
+  await waitFor(() => expect(requestedOrderedPages()).toEqual(['asc:1', 'desc:1']));
+  act(() => cache.invalidate((key) => key.startsWith('items?')));
+  await waitFor(() => expect(requestedOrderedPages()).toEqual(['asc:1', 'desc:1', 'desc:1']));
+
+  fireEvent.change(screen.getByLabelText('Sort'), { target: { value: 'id:asc' } });
+  await waitFor(() => expect(requestedOrderedPages()).toEqual(['asc:1', 'desc:1', 'desc:1', 'asc:1']));
+  expect(await screen.findByText('Item 1')).toBeTruthy();
+});
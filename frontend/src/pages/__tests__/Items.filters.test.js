@@ -0,0 +1,107 @@
+import React from 'react';
+import { render, screen, cleanup, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import Items from '../Items';
+import { DataProvider } from '../../state/DataContext';
+
+const stats = {
+  categories: [
+    { category: 'Electronics', count: 3 },
+    { category: 'Furniture', count: 2 },
+  ],
+  price: { min: 99, max: 2499 },
+};
+
+function Location() {
+  const location = useLocation();
+  return <output data-testid="location">{location.search}</output>;
+}
+
+function renderAt(url) {
+  return render(
+    <MemoryRouter initialEntries={[url]}>
+      <DataProvider>
+        <Routes>
+          <Route path="/" element={<><Items /><Location /></>} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+}
+
+// Query strings of the item list requests made so far
+const itemRequests = () => global.fetch.mock.calls
+  .map(([url]) => new URL(url))
+  .filter((url) => url.pathname === '/api/items')
+  .map((url) => url.searchParams);
+
+beforeEach(() => {
+  global.fetch = jest.fn(async (url) => ({
+    ok: true,
+    json: async () => (new URL(url).pathname === '/api/stats'
+      ? stats
+      : { data: [{ id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }], total: 1 }),
+  }));
+});
+
+afterEach(() => {
+  cleanup();
+  jest.restoreAllMocks();
+});
+
+test('restores search, filters, sort and page from the URL', async () => {
+  renderAt('/?q=chair&category=Furniture&minPrice=100&sort=price&order=desc&page=2');
+
+  expect(await screen.findByText('Ergonomic Chair')).toBeTruthy();
+  const params = itemRequests()[0];
+  expect(params.get('q')).toBe('chair');
+  expect(params.getAll('category')).toEqual(['Furniture']);
+  expect(params.get('minPrice')).toBe('100');
+  expect(params.get('sort')).toBe('price');
+  expect(params.get('order')).toBe('desc');
+  expect(params.get('page')).toBe('2');
+
+  expect(screen.getByRole('searchbox', { name: 'Search items' }).value).toBe('chair');
+  expect(screen.getByRole('spinbutton', { name: 'Minimum price' }).value).toBe('100');
+  expect(screen.getByRole('combobox', { name: 'Sort' }).value).toBe('price:desc');
+  expect((await screen.findByRole('button', { name: 'Furniture 2 items' })).getAttribute('aria-pressed')).toBe('true');
+});
+
+test('facet counts ignore the selected categories', async () => {
+  renderAt('/?q=chair&category=Furniture');
+  await screen.findByRole('button', { name: 'Electronics 3 items' });
+  const statsUrl = new URL(global.fetch.mock.calls.map(([url]) => url).find((url) => url.includes('/api/stats')));
+  expect(statsUrl.searchParams.get('q')).toBe('chair');
+  expect(statsUrl.searchParams.has('category')).toBe(false);
+});
+
+test('changing a filter goes back to page 1', async () => {
+  renderAt('/?page=3');
+  fireEvent.click(await screen.findByRole('button', { name: 'Electronics 3 items' }));
+  expect(screen.getByTestId('location').textContent).toBe('?category=Electronics');
+  await waitFor(() => expect(itemRequests()).toHaveLength(2));
+  expect(itemRequests()[1].get('page')).toBe('1');
+});
+
+test('debounces the search box into the URL', async () => {
+  renderAt('/');
+  const search = screen.getByRole('searchbox', { name: 'Search items' });
+  fireEvent.change(search, { target: { value: 'des' } });
+  fireEvent.change(search, { target: { value: 'desk ' } });
+  expect(screen.getByTestId('location').textContent).toBe('');
+
+  await waitFor(() => expect(screen.getByTestId('location').textContent).toBe('?q=desk'));
+  // The trailing space being typed is kept
+  expect(search.value).toBe('desk ');
+  await waitFor(() => expect(itemRequests().map((params) => params.get('q'))).toEqual([null, 'desk']));
+});
+
+test('does not apply an inverted price range', async () => {
+  renderAt('/?minPrice=500');
+  const max = screen.getByRole('spinbutton', { name: 'Maximum price' });
+  fireEvent.change(max, { target: { value: '100' } });
+  expect(await screen.findByText('Must be at least the minimum')).toBeTruthy();
+  expect(max.getAttribute('aria-invalid')).toBe('true');
+  await act(() => new Promise((resolve) => setTimeout(resolve, 400)));
+  expect(screen.getByTestId('location').textContent).toBe('?minPrice=500');
+});
@@ -1,5 +1,6 @@
 import React from 'react';
 import { render, cleanup } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import Items from '../Items';
 import { DataProvider } from '../../state/DataContext';
 
@@ -27,15 +28,17 @@ test('does not update state after unmount (fetch aborted)', async () => {
 
       setTimeout(() => {
         if (signal) signal.removeEventListener('abort', onAbort);
-        resolve({ json: async () => ({ data: [{ id: 1, name: 'Test Item' }] }) });
+        resolve({ ok: true, json: async () => ({ data: [{ id: 1, name: 'Test Item' }], total: 1 }) });
       }, 100);
     });
   });
 
   const { unmount } = render(
-    <DataProvider>
-      <Items />
-    </DataProvider>
+    <MemoryRouter>
+      <DataProvider>
+        <Items />
+      </DataProvider>
+    </MemoryRouter>
   );
 
   // Immediately unmount to simulate the component going away before fetch resolves
@@ -0,0 +1,97 @@
+import React from 'react';
+import { render, screen, cleanup, fireEvent, waitFor, within } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import Stats from '../Stats';
+import { DataProvider } from '../../state/DataContext';
+
+const summary = (min, max) => ({ min, max, mean: (min + max) / 2, median: (min + max) / 2, p90: max });
+
+const allStats = {
+  total: 5,
+  averagePrice: 1000.5,
+  totalValue: 5002.5,
+  price: summary(99, 2499),
+  categories: [
+    { category: 'Electronics', count: 3, totalValue: 4203.5, price: summary(99, 2499) },
+    { category: 'Furniture', count: 2, totalValue: 799, price: summary(199, 600) },
+  ],
+  histogram: [
+    { min: 99, max: 1299, count: 4 },
+    { min: 1299, max: 2499, count: 1 },
+  ],
+};
+
+const furnitureStats = {
+  ...allStats,
+  total: 2,
+  averagePrice: 399.5,
+  totalValue: 799,
+  price: summary(199, 600),
+  categories: [allStats.categories[1]],
+  histogram: [{ min: 199, max: 600, count: 2 }],
+};
+
+// Stats requests made so far, as their query strings
+const statsRequests = () => global.fetch.mock.calls.map(([url]) => new URL(url).search);
+
+beforeEach(() => {
+  global.fetch = jest.fn(async (url) => {
+    const { searchParams } = new URL(url);
+    const body = searchParams.get('category') === 'Furniture' ? furnitureStats : allStats;
+    return { ok: true, json: async () => body };
+  });
+});
+
+afterEach(() => {
+  cleanup();
+  jest.restoreAllMocks();
+});
+
+function renderAt(url) {
+  return render(
+    <MemoryRouter initialEntries={[url]}>
+      <DataProvider>
+        <Routes>
+          <Route path="/stats" element={<Stats />} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+}
+
+const card = (term) => screen.getByText(term, { selector: 'dt' }).nextSibling.textContent;
+
+test('summarizes the catalog and charts it per category and price', async () => {
+  renderAt('/stats');
+
+  await screen.findByRole('heading', { name: 'Items per category' });
+  expect(card('Items')).toBe('5');
+  expect(card('Average price')).toBe('$1,000.5');
+  expect(card('Median price')).toBe('$1,299');
+  expect(card('Total value')).toBe('$5,002.5');
+
+  const perCategory = screen.getByRole('table', { name: 'Items per category' });
+  expect(within(perCategory).getAllByRole('row').map((row) => row.textContent)).toEqual(['Electronics3', 'Furniture2']);
+  const value = screen.getByRole('table', { name: 'Value per category' });
+  expect(within(value).getByRole('row', { name: /Electronics/ }).textContent).toBe('Electronics$4,203.5');
+
+  const chart = screen.getByRole('table', { name: 'Items per price range' }).closest('figure');
+  const bars = chart.querySelectorAll('rect.chart__bar');
+  expect(bars).toHaveLength(2);
+  expect(Number(bars[0].getAttribute('height'))).toBeGreaterThan(Number(bars[1].getAttribute('height')));
+  expect(chart.querySelector('title').textContent).toBe('$99–$1,299: 4 items');
+});
+
+test('follows the same filters as the items list', async () => {
+  renderAt('/stats?q=o&maxPrice=2500');
+  await screen.findByRole('heading', { name: 'Items per category' });
+  expect(screen.queryByLabelText('Sort')).toBeNull();
+  expect(screen.getByRole('link', { name: 'Show these items' }).getAttribute('href')).toBe('/?q=o&maxPrice=2500');
+
+  fireEvent.click(await screen.findByRole('button', { name: /Furniture/ }));
+
+  await waitFor(() => expect(card('Items')).toBe('2'));
+  expect(statsRequests()).toContain('?q=o&category=Furniture&maxPrice=2500');
+  expect(screen.getByRole('link', { name: 'Show these items' }).getAttribute('href'))
+    .toBe('/?q=o&category=Furniture&maxPrice=2500');
+});
@@ -1,32 +1,292 @@
-import React, { createContext, useCallback, useContext, useState } from 'react';
+import React, {
+  createContext, useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore,
+} from 'react';
+import { applyItemEvent, subscribeToItemEvents } from './itemEvents';
+import { DEFAULT_ITEM_QUERY, itemQueryString } from './itemQuery';
+import { QueryCache } from './queryCache';
+import { getItem, getItems, getStats, saveItem } from './api';
+import { getAuthToken, onAuthChange } from './auth';
+import { apiUrl } from '../config';
 
 const DataContext = createContext();
 
-export function DataProvider({ children }) {
-  const [items, setItems] = useState([]);
-  const [total, setTotal] = useState(0);
-
-  // Accepts optional parameters for pagination/search and an optional
-  // AbortSignal so callers (components) can cancel in-flight requests.
-  const fetchItems = useCallback(
-    async ({ limit = 10, page = 1, q = '', signal } = {}) => {
-      const url = `http://localhost:3001/api/items?limit=${limit}&page=${page}&q=${encodeURIComponent(
-        q
-      )}`;
-      const res = await fetch(url, { signal });
-      const json = await res.json();
-      // API returns { data: [...], total } for paginated responses.
-      setItems(json.data || json);
-      setTotal(json.total || (Array.isArray(json) ? json.length : 0));
-    },
-    []
-  );
+// Cache keys, one per API resource and parameters.
+const itemsKey = (query) => `items?${itemQueryString(query)}`;
+const itemKey = (id) => `item:${id}`;
+const statsKey = (filters) => `stats?${itemQueryString(filters)}`;
+
+// Keep the cache in step with a live change (see ./itemEvents): loaded pages
+// are patched where that is reliable and refetched otherwise, the item
+// itself is replaced, and stats are recomputed.
+function applyEventToCache(cache, event) {
+  if (event.type === 'reset') {
+    cache.invalidate(() => true);
+    return;
+  }
+  for (const { key, data, meta } of cache.findEntries('items?')) {
+    const patched = data && applyItemEvent(data, event, meta);
+    if (patched) cache.setData(key, patched);
+    else cache.invalidate((candidate) => candidate === key);
+  }
+  const key = itemKey(event.item.id);
+  if (event.type === 'deleted') cache.invalidate((candidate) => candidate === key);
+  else cache.setData(key, event.item);
+  cache.invalidate((candidate) => candidate.startsWith('stats?'));
+}
+
+// Put `update(data)` in place of the data cached under each key of
+// `updates` (a list of `[key, update]`) until the server confirms a save.
+// Requests in flight for those entries are cancelled so they can't
+// overwrite it. Returns a function that puts the previous data back and,
+// with `{ refetch: true }`, reloads those entries.
+function showOptimistically(cache, updates) {
+  const keys = updates.map(([key]) => key);
+  const previous = keys.map((key) => [key, cache.getSnapshot(key).data]);
+  keys.forEach((key) => cache.cancel(key));
+  updates.forEach(([key, update]) => cache.setData(key, (data) => data && update(data)));
+
+  return ({ refetch = false } = {}) => {
+    previous.forEach(([key, data]) => cache.setData(key, data));
+    if (refetch) cache.invalidate((key) => keys.includes(key));
+  };
+}
+
+// Show item `id` as `fields` wherever it is cached: its own entry and any
+// loaded page holding it. The fields replace the item's (a field cleared in
+// the form disappears); only its id and version are kept.
+function showEditedItem(cache, id, fields) {
+  const replace = (item) => (item.id === id ? { ...fields, id, version: item.version } : item);
+  const pages = cache.findEntries('items?')
+    .filter(({ data }) => data && data.items.some((item) => item.id === id))
+    .map(({ key }) => [key, (page) => ({ ...page, items: page.items.map(replace) })]);
+  return showOptimistically(cache, [[itemKey(id), replace], ...pages]);
+}
+
+// Temporary ids for items being created, below every id the API assigns.
+let lastTempId = 0;
+
+// Show a new item made of `fields` in the loaded pages a live `created`
+// event would patch (see ./itemEvents), under a temporary id until the
+// server assigns one; `pending` keeps ItemCard from linking to that id.
+// Other lists pick it up once it is saved.
+function showCreatedItem(cache, fields) {
+  lastTempId -= 1;
+  const event = { type: 'created', item: { ...fields, id: lastTempId, version: 1, pending: true } };
+  const pages = cache.findEntries('items?')
+    .filter(({ data, meta }) => data && applyItemEvent(data, event, meta))
+    .map(({ key, meta }) => [key, (page) => applyItemEvent(page, event, meta)]);
+  return showOptimistically(cache, pages);
+}
+
+// EventSource can't send headers, so the stream gets the token in its URL.
+function eventsUrl() {
+  const token = getAuthToken();
+  return apiUrl(`/api/events${token ? `?access_token=${encodeURIComponent(token)}` : ''}`);
+}
+
+export function DataProvider({ children, cache: providedCache }) {
+  const [cache] = useState(() => providedCache || new QueryCache());
+  const [session, setSession] = useState(0);
+
+  // After signing in or out, retry whatever the API refused and reconnect
+  // the event stream with the new credentials.
+  useEffect(() => onAuthChange(() => {
+    cache.invalidate((key, entry) => Boolean(entry.snapshot.error));
+    setSession((count) => count + 1);
+  }), [cache]);
+
+  // Subscribe to live changes and apply them to everything cached.
+  useEffect(() => {
+    if (typeof window.EventSource === 'undefined') return undefined;
+    return subscribeToItemEvents(eventsUrl, (event) => applyEventToCache(cache, event));
+  }, [cache, session]);
+
+  return <DataContext.Provider value={cache}>{children}</DataContext.Provider>;
+}
+
+/** The QueryCache behind the data hooks below. */
+export const useData = () => useContext(DataContext);
+
+/**
+ * Subscribe to the cached query `key`, loading it with `fetcher(signal)`
+ * when it is missing or stale. Cached data is returned at once while it
+ * revalidates. Returns `{ data, error, isLoading, isFetching,
+ * isPreviousData, refetch }`; `isLoading` means there is nothing to show
+ * yet. With `keepPreviousData`, the last data shown stays (flagged by
+ * `isPreviousData`) while a new key loads.
+ */
+export function useQuery(key, fetcher, { meta, keepPreviousData = false } = {}) {
+  const cache = useData();
+  const subscribe = useCallback((listener) => cache.subscribe(key, listener), [cache, key]);
+  const snapshot = useSyncExternalStore(subscribe, () => cache.getSnapshot(key));
+
+  // The latest fetcher and meta, without refetching when only their
+  // identity changes.
+  const latest = useRef({ fetcher, meta });
+  latest.current = { fetcher, meta };
+
+  useEffect(() => {
+    cache.fetch(key, (signal) => latest.current.fetcher(signal), { meta: latest.current.meta }).catch(() => {});
+  }, [cache, key]);
 
-  return (
-    <DataContext.Provider value={{ items, total, fetchItems }}>
-      {children}
-    </DataContext.Provider>
+  const previous = useRef(undefined);
+  if (snapshot.data !== undefined) previous.current = snapshot.data;
+  const isPreviousData = snapshot.data === undefined && keepPreviousData && previous.current !== undefined;
+  const data = isPreviousData ? previous.current : snapshot.data;
+
+  const refetch = useCallback(
+    () => cache.fetch(key, (signal) => latest.current.fetcher(signal), { force: true }),
+    [cache, key]
   );
+
+  return {
+    data,
+    error: snapshot.error,
+    isLoading: data === undefined && !snapshot.error,
+    isFetching: snapshot.isFetching,
+    isPreviousData,
+    refetch,
+  };
 }
 
-export const useData = () => useContext(DataContext);
\ No newline at end of file
+// Fetcher for one page of items that also caches every item on it for
+// ItemDetail.
+const loadItems = (cache, params) => async (signal) => {
+  const page = await getItems(params, signal);
+  page.items.forEach((item) => cache.seed(itemKey(item.id), item));
+  return page;
+};
+
+/**
+ * One page of items for `query` (see ./itemQuery), as `{ items, total }`.
+ * Every item on it is cached for ItemDetail, and the next page is
+ * prefetched once this one arrives.
+ */
+export function useItems(query) {
+  const cache = useData();
+  const full = { ...DEFAULT_ITEM_QUERY, limit: 10, ...query };
+  const key = itemsKey(full);
+  const latest = useRef(full);
+  latest.current = full;
+
+  const load = useCallback((params) => loadItems(cache, params), [cache]);
+  const result = useQuery(key, load(full), { meta: full, keepPreviousData: true });
+
+  const { data } = result;
+  const hasNext = Boolean(data) && full.page * full.limit < data.total;
+  useEffect(() => {
+    if (!hasNext) return;
+    const next = { ...latest.current, page: latest.current.page + 1 };
+    cache.prefetch(itemsKey(next), load(next), { meta: next });
+  }, [cache, key, hasNext, load]);
+
+  return result;
+}
+
+/**
+ * The first `pageCount` pages of items for `query`, merged for a
+ * continuous list. Each page is a cache entry like useItems' pages, so live
+ * updates patch them and coming back to the list shows them at once.
+ * Returns `{ items, total, error, isLoading, retry }`: `items[i]` is
+ * undefined while the page holding it loads, `error` is the first failed
+ * page's, and `retry()` loads the failed pages again.
+ */
+export function useItemPages(query, pageCount) {
+  const cache = useData();
+  const full = { ...DEFAULT_ITEM_QUERY, limit: 10, ...query };
+  const pages = Array.from({ length: pageCount }, (_, index) => ({ ...full, page: index + 1 }));
+  const keys = pages.map(itemsKey);
+  const keysId = keys.join('\n');
+  const latest = useRef(pages);
+  latest.current = pages;
+
+  const subscribe = useCallback((listener) => {
+    const unsubscribes = keysId.split('\n').map((key) => cache.subscribe(key, listener));
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [cache, keysId]);
+
+  // useSyncExternalStore needs the same array until one of the pages changes.
+  const combined = useRef([]);
+  const getSnapshot = () => {
+    const snapshots = keys.map((key) => cache.getSnapshot(key));
+    const previous = combined.current;
+    if (snapshots.length !== previous.length || snapshots.some((snapshot, i) => snapshot !== previous[i])) {
+      combined.current = snapshots;
+    }
+    return combined.current;
+  };
+  const snapshots = useSyncExternalStore(subscribe, getSnapshot);
+
+  // Load the pages that are missing, invalidated or failed. Loaded pages
+  // aren't refetched for age as the list grows, or every new page would
+  // refetch all the ones before it; live updates and invalidation keep them
+  // current.
+  const load = useCallback(() => {
+    latest.current.forEach((params) => {
+      cache.fetch(itemsKey(params), loadItems(cache, params), { meta: params, staleTime: Infinity })
+        .catch(() => {});
+    });
+  }, [cache]);
+  useEffect(load, [load, keysId]);
+
+  const { limit } = full;
+  return useMemo(() => {
+    const items = [];
+    snapshots.forEach(({ data }, page) => {
+      if (data) data.items.forEach((item, i) => { items[page * limit + i] = item; });
+    });
+    const loaded = snapshots.find(({ data }) => data);
+    const error = snapshots.map((snapshot) => snapshot.error).find(Boolean) || null;
+    return {
+      items,
+      total: loaded ? loaded.data.total : 0,
+      error,
+      isLoading: !loaded && !error,
+      retry: load,
+    };
+  }, [snapshots, limit, load]);
+}
+
+/** One item by id; cached copies (e.g. from the list) show immediately. */
+export function useItem(id) {
+  return useQuery(itemKey(id), (signal) => getItem(id, signal));
+}
+
+/** GET /api/stats for `filters` (q, category, minPrice, maxPrice). */
+export function useStats(filters, options) {
+  const { q, category, minPrice, maxPrice } = { ...DEFAULT_ITEM_QUERY, ...filters };
+  const params = { q, category, minPrice, maxPrice };
+  return useQuery(statsKey(params), (signal) => getStats(params, signal), options);
+}
+
+/** A function that starts loading an item's details, e.g. on hover. */
+export function usePrefetchItem() {
+  const cache = useData();
+  return useCallback((id) => cache.prefetch(itemKey(id), (signal) => getItem(id, signal)), [cache]);
+}
+
+/**
+ * A function that saves an item: `save(null, fields)` creates one and
+ * `save(id, fields, { version })` replaces item `id` (see api.saveItem).
+ * The change shows in the cache right away (a new item in the lists where
+ * its place is known) and is rolled back if the save fails. Once saved, the
+ * item is cached as the server returned it and lists and stats are brought
+ * up to date the way a live update would.
+ * Resolves to the saved item; rejects with the API error.
+ */
+export function useSaveItem() {
+  const cache = useData();
+  return useCallback(async (id, fields, options) => {
+    const undo = id == null ? showCreatedItem(cache, fields) : showEditedItem(cache, Number(id), fields);
+    let saved;
+    try {
+      saved = await saveItem(id, fields, options);
+    } catch (err) {
+      undo({ refetch: true });
+      throw err;
+    }
+    undo();
+    applyEventToCache(cache, { type: id == null ? 'created' : 'updated', item: saved });
+    return saved;
+  }, [cache]);
+}
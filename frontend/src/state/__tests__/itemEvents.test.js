@@ -0,0 +1,170 @@
+import { applyItemEvent, subscribeToItemEvents } from '../itemEvents';
+
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(type, data = {}, lastEventId = '') {
+    this.listeners[type]({ data: JSON.stringify(data), lastEventId });
+  }
+}
+
+const latest = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+describe('subscribeToItemEvents', () => {
+  let unsubscribe;
+  let received;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(1); // no jitter: wait the full delay
+    FakeEventSource.instances = [];
+    received = [];
+    unsubscribe = subscribeToItemEvents('/api/events', (event) => received.push(event), {
+      EventSourceImpl: FakeEventSource,
+    });
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('forwards item changes and resets, not housekeeping events', () => {
+    latest().emit('ready', {}, 'a-0');
+    latest().emit('heartbeat', { time: 'now' });
+    latest().emit('updated', { id: 1, price: 5 }, 'a-1');
+    latest().emit('reset', {}, 'a-2');
+    expect(received).toEqual([{ type: 'updated', item: { id: 1, price: 5 } }, { type: 'reset' }]);
+  });
+
+  test('reconnects with exponential backoff, resuming from the last event id', () => {
+    latest().onopen();
+    latest().emit('created', { id: 7 }, 'a-3');
+
+    latest().onerror();
+    expect(latest().closed).toBe(true);
+    jest.advanceTimersByTime(999);
+    expect(FakeEventSource.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(latest().url).toBe('/api/events?lastEventId=a-3');
+
+    latest().onerror();
+    jest.advanceTimersByTime(1999);
+    expect(FakeEventSource.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(FakeEventSource.instances).toHaveLength(3);
+
+    // A successful open resets the backoff.
+    latest().onopen();
+    latest().onerror();
+    jest.advanceTimersByTime(1000);
+    expect(FakeEventSource.instances).toHaveLength(4);
+  });
+
+  test('treats a silent connection as dead', () => {
+    latest().onopen();
+    jest.advanceTimersByTime(44000);
+    latest().emit('heartbeat');
+    jest.advanceTimersByTime(44000);
+    expect(latest().closed).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(latest().closed).toBe(true);
+    jest.advanceTimersByTime(1000);
+    expect(FakeEventSource.instances).toHaveLength(2);
+  });
+
+  test('builds the URL afresh for every connection when given a function', () => {
+    unsubscribe();
+    let token = 'old';
+    unsubscribe = subscribeToItemEvents(() => `/api/events?access_token=${token}`, () => {}, {
+      EventSourceImpl: FakeEventSource,
+    });
+    latest().emit('ready', {}, 'a-0');
+    token = 'new';
+    latest().onerror();
+    jest.advanceTimersByTime(1000);
+    expect(latest().url).toBe('/api/events?access_token=new&lastEventId=a-0');
+  });
+
+  test('unsubscribing closes the stream and cancels retries', () => {
+    latest().onerror();
+    unsubscribe();
+    jest.advanceTimersByTime(60000);
+    expect(FakeEventSource.instances).toHaveLength(1);
+  });
+});
+
+describe('applyItemEvent', () => {
+  const items = [1, 2, 3].map((id) => ({ id, name: `Item ${id}` }));
+  const page = { items, total: 3 };
+  const query = { page: 1, limit: 10, q: '' };
+
+  test('replaces updated items in place', () => {
+    const next = applyItemEvent(page, { type: 'updated', item: { id: 2, name: 'Renamed' } }, query);
+    expect(next.items.map((i) => i.name)).toEqual(['Item 1', 'Renamed', 'Item 3']);
+    expect(applyItemEvent(page, { type: 'updated', item: { id: 9 } }, query)).toBe(page);
+  });
+
+  test('appends created items on the last page and counts them', () => {
+    expect(applyItemEvent(page, { type: 'created', item: { id: 4 } }, query)).toEqual({
+      items: [...items, { id: 4 }],
+      total: 4,
+    });
+    const full = applyItemEvent(page, { type: 'created', item: { id: 4 } }, { ...query, limit: 3 });
+    expect(full).toEqual({ items, total: 4 });
+    // A page refetched after the item was created already has it.
+    expect(applyItemEvent(page, { type: 'created', item: { id: 3, name: 'New' } }, query)).toEqual({
+      items: [items[0], items[1], { id: 3, name: 'New' }],
+      total: 3,
+    });
+  });
+
+  test('removes deleted items unless later pages need to shift', () => {
+    expect(applyItemEvent(page, { type: 'deleted', item: { id: 2 } }, query)).toEqual({
+      items: [items[0], items[2]],
+      total: 2,
+    });
+    const firstOfTwo = { items, total: 5 };
+    expect(applyItemEvent(firstOfTwo, { type: 'deleted', item: { id: 2 } }, { ...query, limit: 3 })).toBeNull();
+    expect(applyItemEvent(firstOfTwo, { type: 'deleted', item: { id: 5 } }, { ...query, limit: 3 })).toEqual({
+      items,
+      total: 4,
+    });
+  });
+
+  test('asks for a refetch when it cannot tell', () => {
+    const search = { ...query, q: 'item' };
+    expect(applyItemEvent(page, { type: 'created', item: { id: 4 } }, search)).toBeNull();
+    expect(applyItemEvent(page, { type: 'restored', item: { id: 4 } }, query)).toBeNull();
+    expect(applyItemEvent(page, { type: 'reset' }, query)).toBeNull();
+  });
+
+  test('refetches filtered or re-sorted pages on any change', () => {
+    const views = [
+      { ...query, category: ['Furniture'] },
+      { ...query, minPrice: 100 },
+      { ...query, sort: 'price' },
+      { ...query, order: 'desc' },
+    ];
+    for (const view of views) {
+      expect(applyItemEvent(page, { type: 'updated', item: { id: 2, name: 'Renamed' } }, view)).toBeNull();
+      expect(applyItemEvent(page, { type: 'deleted', item: { id: 3 } }, view)).toBeNull();
+    }
+  });
+});
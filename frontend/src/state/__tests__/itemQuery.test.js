@@ -0,0 +1,60 @@
+import { readItemQuery, writeItemQuery, itemQueryString, updateItemQuery, isFiltered } from '../itemQuery';
+
+const read = (search) => readItemQuery(new URLSearchParams(search));
+
+describe('readItemQuery', () => {
+  test('defaults to the whole catalog in id order', () => {
+    expect(read('')).toEqual({
+      q: '', category: [], minPrice: null, maxPrice: null, sort: 'id', order: 'asc', page: 1,
+    });
+  });
+
+  test('reads every field', () => {
+    expect(read('q=desk&category=Furniture&category=Office,Home&minPrice=10&maxPrice=99.5&sort=price&order=desc&page=3'))
+      .toEqual({
+        q: 'desk',
+        category: ['Furniture', 'Office', 'Home'],
+        minPrice: 10,
+        maxPrice: 99.5,
+        sort: 'price',
+        order: 'desc',
+        page: 3,
+      });
+  });
+
+  test('drops values the API would reject', () => {
+    expect(read('minPrice=-5&maxPrice=abc&sort=colour&order=up&page=0')).toEqual(read(''));
+    expect(read('minPrice=50&maxPrice=10')).toMatchObject({ minPrice: 50, maxPrice: null });
+  });
+});
+
+describe('writeItemQuery', () => {
+  test('leaves out defaults and round-trips', () => {
+    const query = read('q=lamp&category=Home&maxPrice=20&order=desc&page=2');
+    const params = writeItemQuery(query);
+    expect(params.toString()).toBe('q=lamp&category=Home&maxPrice=20&order=desc&page=2');
+    expect(readItemQuery(params)).toEqual(query);
+    expect(writeItemQuery(read('')).toString()).toBe('');
+  });
+});
+
+describe('itemQueryString', () => {
+  test('spells out paging and sort for the API', () => {
+    expect(itemQueryString({ ...read('category=A&category=B'), limit: 10 }))
+      .toBe('category=A&category=B&sort=id&order=asc&page=1&limit=10');
+  });
+});
+
+describe('updateItemQuery', () => {
+  test('goes back to page 1 unless the page is what changed', () => {
+    const query = read('q=desk&page=4');
+    expect(updateItemQuery(query, { category: ['Office'] })).toMatchObject({ page: 1, q: 'desk' });
+    expect(updateItemQuery(query, { page: 5 })).toMatchObject({ page: 5 });
+  });
+});
+
+test('isFiltered', () => {
+  expect(isFiltered(read('sort=price&page=2'))).toBe(false);
+  expect(isFiltered(read('minPrice=0'))).toBe(true);
+  expect(isFiltered(read('category=Home'))).toBe(true);
+});
@@ -0,0 +1,25 @@
+import { validateItem } from '../itemSchema';
+
+const values = { name: 'Desk', category: 'Furniture', price: '120', img: '' };
+
+test('turns valid form values into a payload', () => {
+  expect(validateItem({ ...values, name: ' Desk ', price: '120.5' })).toEqual({
+    value: { name: 'Desk', category: 'Furniture', price: 120.5 },
+    errors: null,
+  });
+  expect(validateItem({ ...values, img: ' <svg></svg> ' }).value.img).toBe('<svg></svg>');
+});
+
+test('reports every invalid field with the API messages', () => {
+  expect(validateItem({ name: ' ', category: '', price: 'abc', img: '<img>' })).toEqual({
+    value: null,
+    errors: {
+      name: 'must not be empty',
+      category: 'must not be empty',
+      price: 'must be a number',
+      img: 'must be an SVG image',
+    },
+  });
+  expect(validateItem({ ...values, price: '' }).errors).toEqual({ price: 'is required' });
+  expect(validateItem({ ...values, price: '-1' }).errors).toEqual({ price: 'must be greater than 0' });
+});
@@ -0,0 +1,148 @@
+import { QueryCache } from '../queryCache';
+
+// A fetcher whose calls resolve or reject when the test says so.
+function deferredFetcher() {
+  const calls = [];
+  const fetcher = jest.fn((signal) => new Promise((resolve, reject) => {
+    calls.push({ resolve, reject, signal });
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  fetcher.calls = calls;
+  return fetcher;
+}
+
+describe('QueryCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new QueryCache({ staleTime: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shares one request between identical fetches', async () => {
+    const fetcher = deferredFetcher();
+    const first = cache.fetch('item:1', fetcher);
+    const second = cache.fetch('item:1', fetcher);
+    expect(first).toBe(second);
+    expect(cache.getSnapshot('item:1').isFetching).toBe(true);
+
+    await Promise.resolve();
+    fetcher.calls[0].resolve({ id: 1 });
+    await expect(first).resolves.toEqual({ id: 1 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(cache.getSnapshot('item:1')).toMatchObject({ data: { id: 1 }, error: null, isFetching: false });
+  });
+
+  test('serves fresh data without refetching, then revalidates once stale', async () => {
+    let now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const fetcher = jest.fn(async () => ({ id: 1, version: fetcher.mock.calls.length }));
+
+    await cache.fetch('item:1', fetcher);
+    now = 999;
+    await cache.fetch('item:1', fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    now = 1000;
+    const revalidating = cache.fetch('item:1', fetcher);
+    // The old data is still there while the new request runs
+    expect(cache.getSnapshot('item:1').data).toEqual({ id: 1, version: 1 });
+    await revalidating;
+    expect(cache.getSnapshot('item:1').data).toEqual({ id: 1, version: 2 });
+  });
+
+  test('keeps data and records the error when a request fails', async () => {
+    cache.setData('item:1', { id: 1 });
+    const failure = new Error('boom');
+    await expect(cache.fetch('item:1', async () => { throw failure; }, { force: true })).rejects.toBe(failure);
+    expect(cache.getSnapshot('item:1')).toMatchObject({ data: { id: 1 }, error: failure, isFetching: false });
+  });
+
+  test('lets a fetch keep data for longer, but not past an error or invalidation', async () => {
+    let now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const fetcher = jest.fn(async () => ({ id: 1 }));
+    const forever = { staleTime: Infinity };
+
+    await cache.fetch('item:1', fetcher);
+    now = 60000;
+    await cache.fetch('item:1', fetcher, forever);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    cache.invalidate((key) => key === 'item:1');
+    await cache.fetch('item:1', fetcher, forever);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+
+    await cache.fetch('item:1', async () => { throw new Error('boom'); }, { force: true }).catch(() => {});
+    await cache.fetch('item:1', fetcher, forever);
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    expect(cache.getSnapshot('item:1').error).toBeNull();
+  });
+
+  test('only notifies when an entry changes and keeps snapshots stable', () => {
+    const listener = jest.fn();
+    cache.subscribe('item:1', listener);
+    const before = cache.getSnapshot('item:1');
+    expect(cache.getSnapshot('item:1')).toBe(before);
+    cache.setData('item:1', { id: 1 });
+    cache.setData('item:1', (item) => item);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(cache.getSnapshot('item:1')).not.toBe(before);
+  });
+
+  test('aborts a request once its last subscriber leaves', async () => {
+    const fetcher = deferredFetcher();
+    const unsubscribeA = cache.subscribe('items?page=1', () => {});
+    const unsubscribeB = cache.subscribe('items?page=1', () => {});
+    cache.prefetch('items?page=1', fetcher);
+    await Promise.resolve();
+
+    unsubscribeA();
+    expect(fetcher.calls[0].signal.aborted).toBe(false);
+    unsubscribeB();
+    expect(fetcher.calls[0].signal.aborted).toBe(true);
+    expect(cache.getSnapshot('items?page=1').isFetching).toBe(false);
+
+    // A later fetch starts over instead of joining the aborted one
+    cache.prefetch('items?page=1', fetcher);
+    await Promise.resolve();
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  test('seeds data that is shown but revalidated on first use', async () => {
+    cache.seed('item:1', { id: 1, name: 'From the list' });
+    cache.seed('item:1', { id: 1, name: 'Ignored' });
+    expect(cache.getSnapshot('item:1').data.name).toBe('From the list');
+    expect(cache.isFresh('item:1')).toBe(false);
+
+    const fetcher = jest.fn(async () => ({ id: 1, name: 'From the API' }));
+    await cache.fetch('item:1', fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(cache.getSnapshot('item:1').data.name).toBe('From the API');
+  });
+
+  test('invalidating refetches only what is on screen', async () => {
+    const shown = jest.fn(async () => 'shown');
+    const hidden = jest.fn(async () => 'hidden');
+    cache.subscribe('stats?a', () => {});
+    await cache.fetch('stats?a', shown);
+    await cache.fetch('stats?b', hidden);
+
+    cache.invalidate((key) => key.startsWith('stats?'));
+    await Promise.resolve();
+    expect(shown).toHaveBeenCalledTimes(2);
+    expect(hidden).toHaveBeenCalledTimes(1);
+    expect(cache.isFresh('stats?b')).toBe(false);
+  });
+
+  test('finds entries by prefix with their meta', async () => {
+    await cache.fetch('items?page=1', async () => ({ items: [], total: 0 }), { meta: { page: 1 } });
+    cache.setData('item:1', { id: 1 });
+    expect(cache.findEntries('items?')).toEqual([
+      { key: 'items?page=1', data: { items: [], total: 0 }, meta: { page: 1 } },
+    ]);
+  });
+});
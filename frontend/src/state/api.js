@@ -0,0 +1,70 @@
+// Requests to the backend API, sent with the signed-in user's token if any
+// (see ./auth). Each resolves to the parsed body and rejects with an Error
+// carrying `status` and the problem details (`problem`) when the API
+// answers with an error.
+import { authHeaders } from './auth';
+import { itemQueryString } from './itemQuery';
+import { apiUrl } from '../config';
+
+/**
+ * An Error for a failed response, with the problem `detail` when the API
+ * sent one and the request id so the failure can be found in its logs.
+ */
+export async function requestError(res, message) {
+  let problem = null;
+  try {
+    problem = await res.json();
+  } catch (err) {
+    // not a problem+json body
+  }
+  const detail = problem && problem.detail;
+  const requestId = res.headers && res.headers.get('X-Request-Id');
+  const error = new Error(`${detail || message}${requestId ? ` (request ${requestId})` : ''}`);
+  error.status = res.status;
+  error.problem = problem;
+  return error;
+}
+
+// GET /api/items: one page of `query` (see ./itemQuery) as `{ items, total }`.
+export async function getItems(query, signal) {
+  const res = await fetch(apiUrl(`/api/items?${itemQueryString(query)}`), { headers: authHeaders(), signal });
+  if (!res.ok) throw await requestError(res, 'Failed to load items');
+  const { data, total } = await res.json();
+  return { items: data, total };
+}
+
+// GET /api/items/:id. A deleted item fails with status 410 and
+// `problem.deletedAt`/`problem.purgeAt`.
+export async function getItem(id, signal) {
+  const res = await fetch(apiUrl(`/api/items/${id}`), { headers: authHeaders(), signal });
+  if (!res.ok) throw await requestError(res, 'Failed to load item');
+  const json = await res.json();
+  // Guard against proxies or misconfigured servers answering 200 with an
+  // empty body, which would leave the page reading properties of null.
+  if (!json || typeof json !== 'object') throw new Error('Invalid item data received');
+  return json;
+}
+
+// GET /api/stats for the items matching `filters` (q, category, minPrice, maxPrice).
+export async function getStats({ q, category, minPrice, maxPrice }, signal) {
+  const query = itemQueryString({ q, category, minPrice, maxPrice });
+  const res = await fetch(apiUrl(`/api/stats?${query}`), { headers: authHeaders(), signal });
+  if (!res.ok) throw await requestError(res, 'Failed to load statistics');
+  return res.json();
+}
+
+// POST /api/items, or PUT /api/items/:id when `id` is given. `version` is
+// the version the edit started from: sent as If-Match, it makes the save
+// fail with 412 (`version_conflict`) instead of overwriting someone else's
+// change. Resolves to the saved item.
+export async function saveItem(id, fields, { version } = {}) {
+  const headers = { 'Content-Type': 'application/json', ...authHeaders() };
+  if (id != null && version != null) headers['If-Match'] = `"${version}"`;
+  const res = await fetch(apiUrl(id == null ? '/api/items' : `/api/items/${id}`), {
+    method: id == null ? 'POST' : 'PUT',
+    headers,
+    body: JSON.stringify(fields),
+  });
+  if (!res.ok) throw await requestError(res, 'Failed to save item');
+  return res.json();
+}
@@ -0,0 +1,62 @@
+// Credentials for API requests. The UI never keeps an API key: the key is
+// exchanged once for a short-lived bearer token (POST /api/auth/token),
+// which lives in sessionStorage until it expires or the tab is closed.
+// Reads send it too, for APIs that don't allow anonymous reads.
+import { apiUrl } from '../config';
+
+const STORAGE_KEY = 'items.authToken';
+
+const listeners = new Set();
+
+/** Call `listener` after every sign-in and sign-out. Returns an unsubscribe function. */
+export function onAuthChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function readStored() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+/** The current bearer token, or null when signed out or expired. */
+export function getAuthToken() {
+  const stored = readStored();
+  if (!stored || !stored.token || stored.expiresAt <= Date.now()) return null;
+  return stored.token;
+}
+
+/** `Authorization` header for the current token, if any. */
+export function authHeaders() {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Exchange `apiKey` for a bearer token and keep it. Rejects with an Error
+ * carrying `status` (401 for an unknown key) when the API refuses.
+ */
+export async function signIn(apiKey) {
+  const res = await fetch(apiUrl('/api/auth/token'), {
+    method: 'POST',
+    headers: { 'X-API-Key': apiKey },
+  });
+  if (!res.ok) {
+    const error = new Error(res.status === 401 ? 'Unknown API key' : 'Could not sign in');
+    error.status = res.status;
+    throw error;
+  }
+  const { token, expiresIn } = await res.json();
+  window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ token, expiresAt: Date.now() + expiresIn * 1000 }));
+  listeners.forEach((listener) => listener());
+  return token;
+}
+
+/** Forget the token, e.g. after the API rejected it. */
+export function signOut() {
+  window.sessionStorage.removeItem(STORAGE_KEY);
+  listeners.forEach((listener) => listener());
+}
@@ -0,0 +1,114 @@
+// Live catalog updates from the backend's Server-Sent Events stream
+// (GET /api/events), plus the rules for patching a loaded page with them.
+import { isFiltered } from './itemQuery';
+
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+// The server sends a heartbeat every 15s; this long without any message
+// means the connection is dead even if the browser hasn't noticed.
+const STALL_TIMEOUT = 45000;
+const EVENT_TYPES = ['created', 'updated', 'deleted', 'restored', 'reset', 'ready', 'heartbeat'];
+
+/**
+ * Subscribe to item changes. `onEvent` receives `{ type, item }` for
+ * created/updated/deleted/restored items and `{ type: 'reset' }` when
+ * events were missed and the caller should refetch.
+ *
+ * Every error or stall closes the connection and reconnects after an
+ * exponential backoff with jitter (1s, 2s, 4s … capped at 30s), resuming
+ * from the last event id so nothing is missed in between. `url` may be a
+ * function, called on every (re)connect, e.g. to carry a fresh token.
+ * Returns a function that unsubscribes.
+ */
+export function subscribeToItemEvents(url, onEvent, { EventSourceImpl = window.EventSource } = {}) {
+  let source = null;
+  let lastEventId = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let stallTimer = null;
+
+  const watchForStall = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(reconnect, STALL_TIMEOUT);
+  };
+
+  function connect() {
+    retryTimer = null;
+    const base = typeof url === 'function' ? url() : url;
+    const resumeUrl = lastEventId
+      ? `${base}${base.includes('?') ? '&' : '?'}lastEventId=${encodeURIComponent(lastEventId)}`
+      : base;
+    source = new EventSourceImpl(resumeUrl);
+    source.onopen = () => {
+      attempt = 0;
+      watchForStall();
+    };
+    source.onerror = reconnect;
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (message) => {
+        watchForStall();
+        if (message.lastEventId) lastEventId = message.lastEventId;
+        if (type === 'ready' || type === 'heartbeat') return;
+        onEvent(type === 'reset' ? { type } : { type, item: JSON.parse(message.data) });
+      });
+    });
+  }
+
+  function reconnect() {
+    if (!source || retryTimer) return;
+    source.close();
+    clearTimeout(stallTimer);
+    const delay = Math.min(MAX_RETRY_DELAY, INITIAL_RETRY_DELAY * 2 ** attempt);
+    attempt += 1;
+    retryTimer = setTimeout(connect, delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  connect();
+
+  return () => {
+    clearTimeout(retryTimer);
+    clearTimeout(stallTimer);
+    if (source) source.close();
+    source = null;
+  };
+}
+
+/**
+ * Apply an item event to the loaded page `{ items, total }` fetched with
+ * `query` (see ./itemQuery). Returns the patched page, or null when the
+ * page can't be patched reliably and should be refetched instead. Only the
+ * plain catalog in id order is patched; with a search, filters or another
+ * sort the server decides which items belong on the page and where.
+ */
+export function applyItemEvent(current, { type, item }, query) {
+  const { items, total } = current;
+  const { page, limit, sort = 'id', order = 'asc' } = query;
+  const plain = !isFiltered(query) && sort === 'id' && order === 'asc';
+  const index = item ? items.findIndex((i) => i.id === item.id) : -1;
+
+  switch (type) {
+    case 'updated':
+      if (!plain) return null;
+      if (index === -1) return current;
+      return { items: items.map((i) => (i.id === item.id ? item : i)), total };
+    case 'created':
+      if (!plain) return null;
+      // Already loaded, e.g. by a refetch that raced the event.
+      if (index !== -1) return { items: items.map((i) => (i.id === item.id ? item : i)), total };
+      // New items get the highest id, so they can only land on the last page.
+      return {
+        items: items.length < limit ? [...items, item] : items,
+        total: total + 1,
+      };
+    case 'deleted': {
+      if (!plain) return null;
+      const lastId = items.length ? items[items.length - 1].id : -Infinity;
+      if (index === -1) return item.id > lastId ? { items, total: total - 1 } : null;
+      // Later pages shift up into the gap; refetch to fill it.
+      if (page * limit < total) return null;
+      return { items: items.filter((i) => i.id !== item.id), total: total - 1 };
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,84 @@
+// What the Items page shows — search, category/price filters, sort and
+// page — and its two encodings: the page URL (so a view can be bookmarked,
+// shared and restored with the back button) and the API query string.
+
+export const SORT_FIELDS = ['id', 'name', 'price'];
+export const SORT_ORDERS = ['asc', 'desc'];
+
+export const DEFAULT_ITEM_QUERY = {
+  q: '',
+  category: [],
+  minPrice: null,
+  maxPrice: null,
+  sort: 'id',
+  order: 'asc',
+  page: 1,
+};
+
+function price(value) {
+  if (value === null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Read the query from URL search params. Values the API would reject are
+ * dropped rather than reported, so a mangled link still shows something.
+ */
+export function readItemQuery(params) {
+  const page = Number(params.get('page'));
+  const sort = params.get('sort');
+  const order = params.get('order');
+  const query = {
+    q: (params.get('q') || '').trim(),
+    category: [...new Set(params.getAll('category').flatMap((c) => c.split(',')).map((c) => c.trim()).filter(Boolean))],
+    minPrice: price(params.get('minPrice')),
+    maxPrice: price(params.get('maxPrice')),
+    sort: SORT_FIELDS.includes(sort) ? sort : DEFAULT_ITEM_QUERY.sort,
+    order: SORT_ORDERS.includes(order) ? order : DEFAULT_ITEM_QUERY.order,
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+  };
+  if (query.minPrice !== null && query.maxPrice !== null && query.minPrice > query.maxPrice) {
+    query.maxPrice = null;
+  }
+  return query;
+}
+
+function toParams(query, defaults) {
+  const params = new URLSearchParams();
+  if (query.q) params.set('q', query.q);
+  (query.category || []).forEach((category) => params.append('category', category));
+  if (query.minPrice !== null && query.minPrice !== undefined) params.set('minPrice', query.minPrice);
+  if (query.maxPrice !== null && query.maxPrice !== undefined) params.set('maxPrice', query.maxPrice);
+  for (const key of ['sort', 'order', 'page']) {
+    if (query[key] !== undefined && query[key] !== defaults[key]) params.set(key, query[key]);
+  }
+  return params;
+}
+
+/** URL search params for `query`, leaving out defaults to keep links short. */
+export function writeItemQuery(query) {
+  return toParams(query, DEFAULT_ITEM_QUERY);
+}
+
+/** Query string for GET /api/items (and, without paging, /api/stats). */
+export function itemQueryString({ limit, ...query }) {
+  const params = toParams(query, {});
+  if (limit !== undefined) params.set('limit', limit);
+  return params.toString();
+}
+
+/**
+ * `query` with `changes` applied. Anything but a page change starts over
+ * at page 1, since the old page number means nothing for new results.
+ */
+export function updateItemQuery(query, changes) {
+  return { ...query, page: 1, ...changes };
+}
+
+/** Whether search or filters narrow the catalog. */
+export function isFiltered({ q, category, minPrice, maxPrice }) {
+  return Boolean(q) || Boolean(category && category.length)
+    || (minPrice !== null && minPrice !== undefined)
+    || (maxPrice !== null && maxPrice !== undefined);
+}
@@ -0,0 +1,35 @@
+// Client-side copy of the backend's item rules (backend/src/utils/itemSchema.js),
+// so the form can point out mistakes before saving. The messages are the
+// server's, so both kinds of error read the same. The server still has the
+// final say, e.g. on what its SVG sanitizer accepts.
+
+const nonEmptyString = (value) => (value.trim() ? null : 'must not be empty');
+
+function positiveNumber(value) {
+  if (!value.trim()) return 'is required';
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 'must be a number';
+  if (number <= 0) return 'must be greater than 0';
+  return null;
+}
+
+const svgMarkup = (value) => (/<svg[\s>]/i.test(value) ? null : 'must be an SVG image');
+
+/**
+ * Check the form's values (all strings) and turn them into an item payload.
+ * Returns `{ value, errors }` like the backend: `errors` maps field name to
+ * message, or is null when the values are valid. An empty image is left out.
+ */
+export function validateItem({ name, category, price, img }) {
+  const errors = {};
+  const checks = { name: nonEmptyString(name), category: nonEmptyString(category), price: positiveNumber(price) };
+  if (img.trim()) checks.img = svgMarkup(img);
+  Object.entries(checks).forEach(([key, message]) => {
+    if (message) errors[key] = message;
+  });
+  if (Object.keys(errors).length) return { value: null, errors };
+
+  const value = { name: name.trim(), category: category.trim(), price: Number(price) };
+  if (img.trim()) value.img = img.trim();
+  return { value, errors: null };
+}
@@ -0,0 +1,183 @@
+// A small keyed cache for API reads, shared by every component through
+// DataContext. Each key (e.g. `item:3`) holds the last data, the last
+// error and whether a request is in flight:
+//
+// - identical requests made while one is in flight share it;
+// - cached data is served at once and revalidated in the background
+//   when it is older than `staleTime`;
+// - live updates patch entries in place (`setData`) or mark them stale
+//   (`invalidate`), refetching the ones on screen;
+// - a request nobody is waiting for any more is aborted.
+
+const DEFAULT_STALE_TIME = 5000;
+const DEFAULT_MAX_ENTRIES = 200;
+
+const IDLE = Object.freeze({ data: undefined, error: null, isFetching: false, updatedAt: 0 });
+
+export class QueryCache {
+  constructor({ staleTime = DEFAULT_STALE_TIME, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.staleTime = staleTime;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  entry(key) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        snapshot: IDLE,
+        stale: true,
+        fetcher: null,
+        meta: undefined,
+        controller: null,
+        promise: null,
+        listeners: new Set(),
+      };
+      this.entries.set(key, entry);
+      this.evict();
+    }
+    return entry;
+  }
+
+  // Forget the oldest entries nobody is subscribed to.
+  evict() {
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries) break;
+      if (!entry.listeners.size && !entry.promise) this.entries.delete(key);
+    }
+  }
+
+  update(entry, changes) {
+    entry.snapshot = { ...entry.snapshot, ...changes };
+    entry.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * `{ data, error, isFetching, updatedAt }` for `key`. The object only
+   * changes when the entry does, as useSyncExternalStore requires.
+   */
+  getSnapshot(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.snapshot : IDLE;
+  }
+
+  /** Listen for changes to `key`. Returns a function that unsubscribes. */
+  subscribe(key, listener) {
+    const entry = this.entry(key);
+    entry.listeners.add(listener);
+    return () => {
+      entry.listeners.delete(listener);
+      if (!entry.listeners.size) this.cancel(key);
+    };
+  }
+
+  /** Whether `key` loaded within `staleTime` ms, without being invalidated or failing since. */
+  isFresh(key, staleTime = this.staleTime) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !entry.stale && !entry.snapshot.error
+      && Date.now() - entry.snapshot.updatedAt < staleTime;
+  }
+
+  /**
+   * Load `key` with `fetcher(signal)` unless its data is still fresh, or
+   * join the request already in flight. `force` skips the freshness check;
+   * `staleTime` replaces the cache's own for it (Infinity: only load what is
+   * missing, invalidated or failed). `meta` is kept with the entry (see
+   * `findEntries`). Resolves to the data; failures also land in the entry's
+   * `error`.
+   */
+  fetch(key, fetcher, { force = false, staleTime, meta } = {}) {
+    const entry = this.entry(key);
+    entry.fetcher = fetcher;
+    if (meta !== undefined) entry.meta = meta;
+    if (entry.promise) return entry.promise;
+    if (!force && this.isFresh(key, staleTime)) return Promise.resolve(entry.snapshot.data);
+
+    const controller = new AbortController();
+    const current = () => entry.controller === controller;
+    entry.controller = controller;
+    entry.promise = Promise.resolve()
+      .then(() => fetcher(controller.signal))
+      .then(
+        (data) => {
+          if (current()) {
+            entry.stale = false;
+            this.settle(entry, { data, error: null, updatedAt: Date.now() });
+          }
+          return data;
+        },
+        (error) => {
+          if (current()) this.settle(entry, { error });
+          throw error;
+        }
+      );
+    this.update(entry, { isFetching: true });
+    return entry.promise;
+  }
+
+  settle(entry, changes) {
+    entry.controller = null;
+    entry.promise = null;
+    this.update(entry, { ...changes, isFetching: false });
+  }
+
+  /** Start loading `key` in the background unless it is fresh or loading. */
+  prefetch(key, fetcher, options) {
+    this.fetch(key, fetcher, options).catch(() => {});
+  }
+
+  /** Abort the request in flight for `key`, keeping the data it had. */
+  cancel(key) {
+    const entry = this.entries.get(key);
+    if (!entry || !entry.controller) return;
+    entry.controller.abort();
+    this.settle(entry, {});
+  }
+
+  /**
+   * Replace the data for `key` with `updater(data)` (or `updater` itself),
+   * e.g. to apply a live update or an optimistic edit. The entry counts as
+   * fresh again.
+   */
+  setData(key, updater) {
+    const entry = this.entry(key);
+    const data = typeof updater === 'function' ? updater(entry.snapshot.data) : updater;
+    if (data === entry.snapshot.data) return;
+    entry.stale = false;
+    this.update(entry, { data, error: null, updatedAt: Date.now() });
+  }
+
+  /**
+   * Provide data for `key` if it has none yet, e.g. an item already known
+   * from a list. It stays stale, so its first use shows it and revalidates.
+   */
+  seed(key, data) {
+    const entry = this.entry(key);
+    if (entry.snapshot.data !== undefined) return;
+    entry.stale = true;
+    this.update(entry, { data, updatedAt: Date.now() });
+  }
+
+  /**
+   * Mark the entries whose key matches `predicate` stale. Entries someone is
+   * subscribed to are refetched right away; the rest on their next use.
+   */
+  invalidate(predicate) {
+    for (const entry of [...this.entries.values()]) {
+      if (!predicate(entry.key, entry)) continue;
+      entry.stale = true;
+      if (entry.listeners.size && entry.fetcher) {
+        this.cancel(entry.key);
+        this.prefetch(entry.key, entry.fetcher);
+      }
+    }
+  }
+
+  /** Entries whose key starts with `prefix`, as `{ key, data, meta }`. */
+  findEntries(prefix) {
+    return [...this.entries.values()]
+      .filter((entry) => entry.key.startsWith(prefix))
+      .map((entry) => ({ key: entry.key, data: entry.snapshot.data, meta: entry.meta }));
+  }
+}